@@ -12,6 +12,20 @@ function initializeApp() {
     const audioStarter = document.getElementById('audioStarter');
     const startBtn = document.getElementById('startAudioBtn');
 
+    // A shared preset link is read now and recalled once the sound starts
+    let sharedPreset = null;
+    const presetLink = getPresetLinkFromHash(window.location.hash);
+    if (presetLink) {
+        const starterPreset = document.getElementById('starterPreset');
+        try {
+            sharedPreset = decodePresetLink(presetLink);
+            starterPreset.textContent = `Opening with the ${sharedPreset.name} preset`;
+        } catch (error) {
+            starterPreset.textContent = error.message;
+        }
+        starterPreset.hidden = false;
+    }
+
     startBtn.addEventListener('click', async () => {
         startBtn.disabled = true;
         startBtn.textContent = 'Initializing...';
@@ -20,8 +34,27 @@ function initializeApp() {
         if (success) {
             audioStarter.classList.add('hidden');
             initializeInstruments();
+            initializeInstrumentBuilder();
+            initializeTuning();
             initializeVisualizer();
             initializeControls();
+            initializeMixer();
+            initializeSynthesis();
+            initializeSamplePacks();
+            initializeSoundscape();
+            initializeDrone();
+            initializeGenerative();
+            initializeChakraJourney();
+            initializeSessionTimer();
+            initializeMediaSession();
+            initializeGroupSync();
+            initializeJam();
+            initializeEntrainment();
+            initializeRecorder();
+            initializeSequencer();
+            initializeMidi();
+            initializeKeyboard();
+            initializePresets(sharedPreset);
             createParticles();
         } else {
             startBtn.disabled = false;
@@ -29,6 +62,51 @@ function initializeApp() {
             console.error('Audio engine failed to initialize. Please check browser permissions.');
         }
     });
+
+    initializeServiceWorker();
+}
+
+// Offline support - the service worker precaches the sanctuary, and a new version waits for the user
+function initializeServiceWorker() {
+    const banner = document.getElementById('updateBanner');
+    const updateBtn = document.getElementById('updateReloadBtn');
+    const dismissBtn = document.getElementById('updateDismissBtn');
+    if (!('serviceWorker' in navigator) || !banner) return;
+
+    let waiting = null;
+    const offerUpdate = (worker) => {
+        waiting = worker;
+        banner.hidden = false;
+    };
+
+    // Resolved against <base>, so the worker and its scope live under /sound-bath/
+    navigator.serviceWorker.register('service-worker.js').then(registration => {
+        // Only updates wait - the very first install has no older version to replace
+        if (registration.waiting && navigator.serviceWorker.controller) offerUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker?.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+
+        // A retreat can keep the page open for days, so look for releases now and then, not just on load
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(error => {
+        console.warn('Offline support unavailable:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (waiting) window.location.reload();
+    });
+
+    updateBtn.addEventListener('click', () => {
+        updateBtn.disabled = true;
+        waiting?.postMessage({ type: 'skip-waiting' });
+    });
+    dismissBtn.addEventListener('click', () => {
+        banner.hidden = true;
+    });
 }
 
 function initializeInstruments() {
@@ -37,6 +115,7 @@ function initializeInstruments() {
     setupGongs();
     setupWindInstruments();
     renderHandpans();
+    labelFixedInstruments();
     setupPlayStyleButtons();
 }
 
@@ -50,6 +129,200 @@ const AUDIO_DURATIONS = {
     didgeridoo: 8000
 };
 
+// Toggle the .playing highlight, restarting the timer if the element is struck again
+const playingTimers = new WeakMap();
+
+function flashInstrument(el, durationMs) {
+    if (!el) return;
+
+    clearTimeout(playingTimers.get(el));
+    el.classList.add('playing');
+    el.setAttribute('aria-pressed', 'true');
+
+    playingTimers.set(el, setTimeout(() => {
+        el.classList.remove('playing');
+        el.setAttribute('aria-pressed', 'false');
+        playingTimers.delete(el);
+    }, durationMs));
+}
+
+// Keep the highlight on until a held voice is released
+function holdInstrument(el) {
+    if (!el) return;
+
+    clearTimeout(playingTimers.get(el));
+    el.classList.add('playing');
+    el.setAttribute('aria-pressed', 'true');
+}
+
+// Strike dynamics: pointer pressure sets velocity, and where the pointer lands sets strike position
+const strikeDynamics = new WeakMap();
+
+function bindStrikeDynamics(el, positionSurface = null) {
+    el.addEventListener('pointerdown', (e) => {
+        const options = {};
+
+        // Mice and pressure-less screens report a flat 0.5 (or 0), which carries no dynamics
+        if (e.pressure > 0 && e.pressure !== 0.5) {
+            options.velocity = 0.3 + 0.7 * e.pressure;
+        }
+
+        if (positionSurface) {
+            const rect = positionSurface.getBoundingClientRect();
+            const dx = e.clientX - (rect.left + rect.width / 2);
+            const dy = e.clientY - (rect.top + rect.height / 2);
+            options.position = Math.min(1, Math.hypot(dx, dy) / (Math.min(rect.width, rect.height) / 2));
+        }
+
+        strikeDynamics.set(el, options);
+    });
+}
+
+// Read once, so keyboard strikes afterwards fall back to the default level
+function takeStrikeDynamics(el) {
+    const options = strikeDynamics.get(el) || {};
+    strikeDynamics.delete(el);
+    return options;
+}
+
+// Find the element rendered for a resolveInstrument() target
+function getInstrumentElement(target) {
+    switch (target.family) {
+        case 'crystal':
+            return document.querySelectorAll('.crystal-bowl')[target.index];
+        case 'tibetan':
+            return document.querySelectorAll('.tibetan-bowl')[target.index];
+        case 'gong':
+            return document.querySelector(`.gong[data-instrument="${target.member}"]`);
+        case 'didgeridoo':
+            return document.querySelector('.didgeridoo');
+        case 'panflute':
+            return document.querySelectorAll('.pipe')[target.index];
+        case 'handpan': {
+            const handpan = `.handpan[data-instrument="${target.key}"]`;
+            return target.member === 'ding'
+                ? document.querySelector(`${handpan} .handpan-ding`)
+                : document.querySelectorAll(`${handpan} .handpan-note`)[target.index];
+        }
+        default:
+            return null;
+    }
+}
+
+// Hand-mute gestures: double-tap, long-press or Escape silences a ringing instrument
+const HAND_MUTE_DOUBLE_TAP_MS = 300;
+const HAND_MUTE_LONG_PRESS_MS = 600;
+const gestureStates = new WeakMap();
+
+function bindHandMute(el, mute) {
+    gestureStates.set(el, { lastTap: 0, pressTimer: null, mute });
+
+    const cancelLongPress = () => clearTimeout(gestureStates.get(el).pressTimer);
+    ['mouseup', 'mouseleave', 'touchend', 'touchcancel'].forEach(type => el.addEventListener(type, cancelLongPress));
+
+    el.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            handMute(el);
+        }
+    });
+}
+
+function strikeOrMute(el, strike) {
+    const state = gestureStates.get(el);
+    if (!state) {
+        strike();
+        return;
+    }
+
+    const now = performance.now();
+    clearTimeout(state.pressTimer);
+
+    // Second tap in quick succession mutes instead of striking again
+    if (now - state.lastTap < HAND_MUTE_DOUBLE_TAP_MS) {
+        state.lastTap = 0;
+        handMute(el);
+        return;
+    }
+
+    state.lastTap = now;
+
+    // Holding a gated voice sustains it, so only one-shot strikes arm the long-press mute
+    if (!strike()) {
+        state.pressTimer = setTimeout(() => handMute(el), HAND_MUTE_LONG_PRESS_MS);
+    }
+}
+
+function handMute(el) {
+    const state = gestureStates.get(el);
+    if (!state) return;
+
+    state.mute();
+    heldVoices.delete(el);
+    clearTimeout(playingTimers.get(el));
+    el.classList.remove('playing');
+    el.setAttribute('aria-pressed', 'false');
+
+    // Brief visual cue that the hand has settled on the instrument
+    el.classList.add('muted');
+    setTimeout(() => el.classList.remove('muted'), 500);
+}
+
+// Gate playback: sustained styles ring for as long as the pointer or key is held
+const heldVoices = new WeakMap();
+
+// A group sync listener in listen-only mode hears the facilitator alone. The instruments are also
+// greyed out, but a focused one still answers Enter, so each play path checks too.
+function isListenOnly() {
+    return Boolean(window.groupSync?.isLocked());
+}
+
+// Returns true when the voice was opened as a held gate rather than a one-shot strike
+function playInstrumentVoice(el, method, frequency, style, family) {
+    if (isListenOnly()) return false;
+    const engine = window.audioEngine;
+    const options = takeStrikeDynamics(el);
+
+    if (engine.canGate(method, style)) {
+        releaseHeldVoice(el);
+        heldVoices.set(el, engine.noteOn(method, frequency, style, options));
+        holdInstrument(el);
+        return true;
+    }
+
+    flashInstrument(el, AUDIO_DURATIONS[family]);
+    engine[method](frequency, style, undefined, options);
+    return false;
+}
+
+function releaseHeldVoice(el) {
+    const id = heldVoices.get(el);
+    if (!id) return;
+
+    heldVoices.delete(el);
+    const release = window.audioEngine.noteOff(id);
+    flashInstrument(el, release * 1000); // Glow while the voice rings out
+}
+
+function bindGateRelease(el) {
+    ['mouseup', 'mouseleave', 'touchend', 'touchcancel'].forEach(type => {
+        el.addEventListener(type, () => releaseHeldVoice(el));
+    });
+    el.addEventListener('keyup', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') releaseHeldVoice(el);
+    });
+}
+
+// Labels can come from imported journeys and the builder, so they go in as text - the first is the bowl's name
+function appendBowlLabels(bowlEl, labels) {
+    labels.forEach((text, index) => {
+        const span = document.createElement('span');
+        span.className = index === 0 ? 'bowl-label' : 'bowl-note';
+        span.textContent = text ?? '';
+        bowlEl.appendChild(span);
+    });
+}
+
 // Crystal Singing Bowls
 function renderCrystalBowls() {
     const container = document.getElementById('crystalBowls');
@@ -71,24 +344,28 @@ function renderCrystalBowls() {
             <div class="crystal-bowl-body">
                 <div class="crystal-bowl-inner"></div>
             </div>
-            <span class="bowl-label">${bowl.note}</span>
-            <span class="bowl-note">${bowl.chakra}</span>
         `;
+        appendBowlLabels(bowlEl, [bowl.note, bowl.chakra, `${bowl.frequency}Hz`]);
 
-        bowlEl.addEventListener('mousedown', () => playCrystalBowl(index));
+        bindStrikeDynamics(bowlEl);
+        bindHandMute(bowlEl, () => window.audioEngine.dampen('crystal', INSTRUMENTS.crystalBowls[index].frequency));
+        bindGateRelease(bowlEl);
+        bowlEl.addEventListener('mousedown', () => strikeOrMute(bowlEl, () => playCrystalBowl(index)));
         bowlEl.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            playCrystalBowl(index);
+            strikeOrMute(bowlEl, () => playCrystalBowl(index));
         });
         bowlEl.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                playCrystalBowl(index);
+                if (!e.repeat) playCrystalBowl(index);
             }
         });
 
         container.appendChild(bowlEl);
     });
+
+    renderKeyHints();
 }
 
 function playCrystalBowl(index) {
@@ -100,14 +377,7 @@ function playCrystalBowl(index) {
     const bowlEl = bowlElements[index];
     if (!bowlEl) return;
 
-    bowlEl.classList.add('playing');
-    bowlEl.setAttribute('aria-pressed', 'true');
-    window.audioEngine.playCrystalBowl(bowl.frequency, style);
-
-    setTimeout(() => {
-        bowlEl.classList.remove('playing');
-        bowlEl.setAttribute('aria-pressed', 'false');
-    }, AUDIO_DURATIONS.crystal);
+    return playInstrumentVoice(bowlEl, 'playCrystalBowl', bowl.frequency, style, 'crystal');
 }
 
 // Tibetan Singing Bowls
@@ -130,24 +400,28 @@ function renderTibetanBowls() {
             <div class="tibetan-bowl-body">
                 <div class="tibetan-bowl-pattern"></div>
             </div>
-            <span class="bowl-label">${bowl.name}</span>
-            <span class="bowl-note">${bowl.frequency}Hz</span>
         `;
+        appendBowlLabels(bowlEl, [bowl.name, `${bowl.frequency}Hz`]);
 
-        bowlEl.addEventListener('mousedown', () => playTibetanBowl(index));
+        bindStrikeDynamics(bowlEl);
+        bindHandMute(bowlEl, () => window.audioEngine.dampen('tibetan', INSTRUMENTS.tibetanBowls[index].frequency));
+        bindGateRelease(bowlEl);
+        bowlEl.addEventListener('mousedown', () => strikeOrMute(bowlEl, () => playTibetanBowl(index)));
         bowlEl.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            playTibetanBowl(index);
+            strikeOrMute(bowlEl, () => playTibetanBowl(index));
         });
         bowlEl.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                playTibetanBowl(index);
+                if (!e.repeat) playTibetanBowl(index);
             }
         });
 
         container.appendChild(bowlEl);
     });
+
+    renderKeyHints();
 }
 
 function playTibetanBowl(index) {
@@ -159,14 +433,7 @@ function playTibetanBowl(index) {
     const bowlEl = bowlElements[index];
     if (!bowlEl) return;
 
-    bowlEl.classList.add('playing');
-    bowlEl.setAttribute('aria-pressed', 'true');
-    window.audioEngine.playTibetanBowl(bowl.frequency, style);
-
-    setTimeout(() => {
-        bowlEl.classList.remove('playing');
-        bowlEl.setAttribute('aria-pressed', 'false');
-    }, AUDIO_DURATIONS.tibetan);
+    return playInstrumentVoice(bowlEl, 'playTibetanBowl', bowl.frequency, style, 'tibetan');
 }
 
 // Gongs
@@ -177,12 +444,13 @@ function setupGongs() {
     if (chauGong) {
         chauGong.setAttribute('role', 'button');
         chauGong.setAttribute('tabindex', '0');
-        chauGong.setAttribute('aria-label', 'Chau Gong, 40 inch wind gong, 50 hertz');
 
-        chauGong.addEventListener('mousedown', () => playGong('chauGong'));
+        bindStrikeDynamics(chauGong, chauGong.querySelector('.gong-surface') || chauGong);
+        bindHandMute(chauGong, () => window.audioEngine.dampen('gong', INSTRUMENTS.gongs.chauGong.frequency));
+        chauGong.addEventListener('mousedown', () => strikeOrMute(chauGong, () => playGong('chauGong')));
         chauGong.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            playGong('chauGong');
+            strikeOrMute(chauGong, () => playGong('chauGong'));
         });
         chauGong.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
@@ -195,12 +463,13 @@ function setupGongs() {
     if (symphGong) {
         symphGong.setAttribute('role', 'button');
         symphGong.setAttribute('tabindex', '0');
-        symphGong.setAttribute('aria-label', 'Symphonic Gong, 36 inch Paiste style, 65 hertz');
 
-        symphGong.addEventListener('mousedown', () => playGong('symphGong'));
+        bindStrikeDynamics(symphGong, symphGong.querySelector('.gong-surface') || symphGong);
+        bindHandMute(symphGong, () => window.audioEngine.dampen('gong', INSTRUMENTS.gongs.symphGong.frequency));
+        symphGong.addEventListener('mousedown', () => strikeOrMute(symphGong, () => playGong('symphGong')));
         symphGong.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            playGong('symphGong');
+            strikeOrMute(symphGong, () => playGong('symphGong'));
         });
         symphGong.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
@@ -213,20 +482,14 @@ function setupGongs() {
 
 function playGong(gongType) {
     const gong = INSTRUMENTS.gongs?.[gongType];
-    if (!gong) return;
+    if (!gong || isListenOnly()) return;
 
     const style = playStyles.gong;
     const gongEl = document.querySelector(`.${gongType === 'chauGong' ? 'chau-gong' : 'symph-gong'}`);
     if (!gongEl) return;
 
-    gongEl.classList.add('playing');
-    gongEl.setAttribute('aria-pressed', 'true');
-    window.audioEngine.playGong(gong.frequency, style);
-
-    setTimeout(() => {
-        gongEl.classList.remove('playing');
-        gongEl.setAttribute('aria-pressed', 'false');
-    }, AUDIO_DURATIONS.gong);
+    flashInstrument(gongEl, AUDIO_DURATIONS.gong);
+    window.audioEngine.playGong(gong.frequency, style, undefined, takeStrikeDynamics(gongEl));
 }
 
 // Wind Instruments
@@ -237,46 +500,19 @@ function setupWindInstruments() {
     if (didgeridoo) {
         didgeridoo.setAttribute('role', 'button');
         didgeridoo.setAttribute('tabindex', '0');
-        didgeridoo.setAttribute('aria-label', 'Didgeridoo, eucalyptus, key of D, 65 hertz');
-
-        didgeridoo.addEventListener('mousedown', () => {
-            didgeridoo.classList.add('playing');
-            didgeridoo.setAttribute('aria-pressed', 'true');
-            playDidgeridoo();
-        });
-
-        didgeridoo.addEventListener('mouseup', () => {
-            didgeridoo.classList.remove('playing');
-            didgeridoo.setAttribute('aria-pressed', 'false');
-        });
-
-        didgeridoo.addEventListener('mouseleave', () => {
-            didgeridoo.classList.remove('playing');
-            didgeridoo.setAttribute('aria-pressed', 'false');
-        });
 
+        // Held like a real breath: the drone sustains until release
+        bindStrikeDynamics(didgeridoo);
+        bindGateRelease(didgeridoo);
+        didgeridoo.addEventListener('mousedown', playDidgeridoo);
         didgeridoo.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            didgeridoo.classList.add('playing');
-            didgeridoo.setAttribute('aria-pressed', 'true');
             playDidgeridoo();
         });
-
-        didgeridoo.addEventListener('touchend', () => {
-            didgeridoo.classList.remove('playing');
-            didgeridoo.setAttribute('aria-pressed', 'false');
-        });
-
         didgeridoo.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                didgeridoo.classList.add('playing');
-                didgeridoo.setAttribute('aria-pressed', 'true');
-                playDidgeridoo();
-                setTimeout(() => {
-                    didgeridoo.classList.remove('playing');
-                    didgeridoo.setAttribute('aria-pressed', 'false');
-                }, AUDIO_DURATIONS.didgeridoo);
+                if (!e.repeat) playDidgeridoo();
             }
         });
     }
@@ -284,11 +520,11 @@ function setupWindInstruments() {
     // Pan Flute pipes
     const pipes = document.querySelectorAll('.pipe');
     pipes.forEach((pipe, index) => {
-        const note = INSTRUMENTS.panFlute?.[index];
         pipe.setAttribute('role', 'button');
         pipe.setAttribute('tabindex', '0');
-        pipe.setAttribute('aria-label', `Pan flute pipe ${index + 1}, note ${note?.note || ''}, ${note?.frequency || ''} hertz`);
 
+        bindStrikeDynamics(pipe);
+        bindGateRelease(pipe);
         pipe.addEventListener('mousedown', () => playPanFlutePipe(index));
         pipe.addEventListener('touchstart', (e) => {
             e.preventDefault();
@@ -297,7 +533,7 @@ function setupWindInstruments() {
         pipe.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
-                playPanFlutePipe(index);
+                if (!e.repeat) playPanFlutePipe(index);
             }
         });
     });
@@ -305,7 +541,10 @@ function setupWindInstruments() {
 
 function playDidgeridoo() {
     const style = playStyles.wind;
-    window.audioEngine.playDidgeridoo(INSTRUMENTS.didgeridoo.frequency, style);
+    const didgeridoo = document.querySelector('.didgeridoo');
+    if (!didgeridoo) return false;
+
+    return playInstrumentVoice(didgeridoo, 'playDidgeridoo', INSTRUMENTS.didgeridoo.frequency, style, 'didgeridoo');
 }
 
 function playPanFlutePipe(index) {
@@ -317,14 +556,27 @@ function playPanFlutePipe(index) {
     const pipe = pipes[index];
     if (!pipe) return;
 
-    pipe.classList.add('playing');
-    pipe.setAttribute('aria-pressed', 'true');
-    window.audioEngine.playPanFlute(note.frequency, style);
+    return playInstrumentVoice(pipe, 'playPanFlute', note.frequency, style, 'panflute');
+}
+
+// Labels for the gongs and winds whose markup lives in index.html - refreshed when the tuning changes
+function labelFixedInstruments() {
+    Object.entries(INSTRUMENTS.gongs || {}).forEach(([gongType, gong]) => {
+        const wrapper = document.getElementById(gongType);
+        if (!wrapper) return;
+
+        wrapper.querySelector('.gong')?.setAttribute('aria-label', `${gong.name}, ${gong.description}, ${gong.frequency} hertz`);
+        wrapper.querySelector('.instrument-label').textContent = gong.name;
+        wrapper.querySelector('.instrument-note').textContent = gong.description;
+    });
 
-    setTimeout(() => {
-        pipe.classList.remove('playing');
-        pipe.setAttribute('aria-pressed', 'false');
-    }, AUDIO_DURATIONS.panflute);
+    const didgeridoo = INSTRUMENTS.didgeridoo;
+    document.querySelector('.didgeridoo')?.setAttribute('aria-label', `Didgeridoo, eucalyptus, key of ${didgeridoo.key}, ${didgeridoo.frequency} hertz`);
+
+    document.querySelectorAll('.pipe').forEach((pipe, index) => {
+        const note = INSTRUMENTS.panFlute?.[index];
+        pipe.setAttribute('aria-label', `Pan flute pipe ${index + 1}, note ${note?.note || ''}, ${note?.frequency || ''} hertz`);
+    });
 }
 
 // Handpans
@@ -342,24 +594,39 @@ function renderHandpan(handpanId, config) {
 
     const handpanClass = handpanId === 'handpan1' ? 'handpan-1' : 'handpan-2';
 
-    // Setup ding (center)
+    // Labels follow the config so re-renders pick up new scales
+    const handpanEl = document.querySelector(`.${handpanClass}`);
+    handpanEl?.setAttribute('aria-label', `Handpan ${config.name}`);
+    const wrapper = document.getElementById(`${handpanId}Wrapper`);
+    if (wrapper) {
+        wrapper.querySelector('.instrument-label').textContent = `Handpan ${config.name}`;
+        wrapper.querySelector('.instrument-note').textContent = [config.ding, ...config.notes].map(n => n.note).join(' ');
+    }
+
+    // Setup ding (center) - the ding element persists, so only bind it once
     const ding = document.querySelector(`.${handpanClass} .handpan-ding`);
     if (ding) {
         ding.setAttribute('role', 'button');
         ding.setAttribute('tabindex', '0');
         ding.setAttribute('aria-label', `Handpan ${config.name} center ding, note ${config.ding.note}, ${config.ding.frequency} hertz`);
 
-        ding.addEventListener('mousedown', () => playHandpanNote(handpanId, config.ding.frequency, true));
-        ding.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            playHandpanNote(handpanId, config.ding.frequency, true);
-        });
-        ding.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
+        if (!ding.dataset.bound) {
+            ding.dataset.bound = 'true';
+            const playDing = () => playHandpanNote(handpanId, INSTRUMENTS[handpanId].ding.frequency, true, takeStrikeDynamics(ding));
+
+            bindStrikeDynamics(ding, ding);
+            ding.addEventListener('mousedown', playDing);
+            ding.addEventListener('touchstart', (e) => {
                 e.preventDefault();
-                playHandpanNote(handpanId, config.ding.frequency, true);
-            }
-        });
+                playDing();
+            });
+            ding.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    playDing();
+                }
+            });
+        }
     }
 
     // Create outer notes
@@ -382,10 +649,11 @@ function renderHandpan(handpanId, config) {
         noteEl.style.left = `calc(50% + ${x}px - 17.5px)`;
         noteEl.style.top = `calc(50% + ${y}px - 17.5px)`;
 
-        noteEl.addEventListener('mousedown', () => playHandpanNote(handpanId, note.frequency, false));
+        bindStrikeDynamics(noteEl, noteEl);
+        noteEl.addEventListener('mousedown', () => playHandpanNote(handpanId, note.frequency, false, takeStrikeDynamics(noteEl)));
         noteEl.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            playHandpanNote(handpanId, note.frequency, false);
+            playHandpanNote(handpanId, note.frequency, false, takeStrikeDynamics(noteEl));
         });
         noteEl.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' || e.key === ' ') {
@@ -396,51 +664,75 @@ function renderHandpan(handpanId, config) {
 
         notesContainer.appendChild(noteEl);
     });
+
+    renderKeyHints();
 }
 
-function playHandpanNote(handpanId, frequency, isDing) {
+// The handpan last played by hand - the drone's default root follows its ding
+let selectedHandpan = 'handpan1';
+
+function playHandpanNote(handpanId, frequency, isDing, options = {}) {
+    if (isListenOnly()) return;
     const style = playStyles.handpan;
+    selectedHandpan = handpanId;
     const handpanClass = handpanId === 'handpan1' ? 'handpan-1' : 'handpan-2';
 
     // Find the note element
     const noteEls = document.querySelectorAll(`.${handpanClass} ${isDing ? '.handpan-ding' : '.handpan-note'}`);
 
     if (isDing && noteEls.length > 0) {
-        noteEls[0].classList.add('playing');
-        noteEls[0].setAttribute('aria-pressed', 'true');
-        setTimeout(() => {
-            noteEls[0].classList.remove('playing');
-            noteEls[0].setAttribute('aria-pressed', 'false');
-        }, AUDIO_DURATIONS.handpan);
+        flashInstrument(noteEls[0], AUDIO_DURATIONS.handpan);
     }
 
-    window.audioEngine.playHandpan(frequency, style);
+    window.audioEngine.playHandpan(frequency, style, undefined, options);
 }
 
 // Play Style Buttons
 function setupPlayStyleButtons() {
-    const styleButtons = document.querySelectorAll('.style-btn');
+    const styleButtons = document.querySelectorAll('.style-btn[data-group]');
 
     styleButtons.forEach(btn => {
-        btn.addEventListener('click', () => {
-            const group = btn.dataset.group;
-            const style = btn.dataset.style;
-
-            // Update active state and aria-pressed
-            document.querySelectorAll(`.style-btn[data-group="${group}"]`).forEach(b => {
-                b.classList.remove('active');
-                b.setAttribute('aria-pressed', 'false');
-            });
-            btn.classList.add('active');
-            btn.setAttribute('aria-pressed', 'true');
+        btn.addEventListener('click', () => setPlayStyle(btn.dataset.group, btn.dataset.style));
+    });
+}
 
-            // Update play style
-            playStyles[group] = style;
-        });
+function setPlayStyle(group, style) {
+    if (!PLAY_STYLE_OPTIONS[group]?.includes(style)) return;
+
+    // Update active state and aria-pressed
+    document.querySelectorAll(`.style-btn[data-group="${group}"]`).forEach(b => {
+        const isActive = b.dataset.style === style;
+        b.classList.toggle('active', isActive);
+        b.setAttribute('aria-pressed', isActive ? 'true' : 'false');
     });
+
+    // Update play style
+    playStyles[group] = style;
 }
 
 // Controls
+function setMasterVolumeControl(value, smoothing) {
+    const volumeSlider = document.getElementById('masterVolume');
+    if (volumeSlider) volumeSlider.value = Math.round(value * 100);
+    window.audioEngine.setMasterVolume(value, smoothing);
+    window.sessionTimer?.setBaseVolume(value);
+}
+
+function setAmbientVolumeControl(value) {
+    const ambientSlider = document.getElementById('ambientLevel');
+    if (ambientSlider) ambientSlider.value = Math.round(value * 100);
+    window.audioEngine.setAmbientVolume(value);
+}
+
+function setReverbSpaceControl(key, fadeSeconds) {
+    if (!window.audioEngine.setReverbSpace(key, fadeSeconds)) return;
+
+    const reverbSelect = document.getElementById('reverbSpace');
+    const customOption = reverbSelect?.querySelector('option[value="custom"]');
+    if (customOption) customOption.hidden = true;
+    if (reverbSelect) reverbSelect.value = key;
+}
+
 function initializeControls() {
     // Master volume
     const volumeSlider = document.getElementById('masterVolume');
@@ -463,17 +755,2175 @@ function initializeControls() {
         });
     }
 
-    // Ambient toggle (ocean waves)
+    // Reverb space - the last option loads a user impulse response
+    const reverbSelect = document.getElementById('reverbSpace');
+    const reverbFileInput = document.getElementById('reverbFileInput');
+    if (reverbSelect) {
+        Object.entries(REVERB_SPACES).forEach(([key, space]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = space.label;
+            reverbSelect.appendChild(option);
+        });
+        const customOption = document.createElement('option');
+        customOption.value = 'custom';
+        customOption.hidden = true;
+        reverbSelect.appendChild(customOption);
+        const loadOption = document.createElement('option');
+        loadOption.value = 'load';
+        loadOption.textContent = 'Load impulse response…';
+        reverbSelect.appendChild(loadOption);
+
+        const showCurrentSpace = () => {
+            const reverb = window.audioEngine.reverb;
+            customOption.hidden = reverb.space !== 'custom';
+            customOption.textContent = reverb.customName || 'Custom impulse';
+            reverbSelect.value = reverb.space;
+        };
+        showCurrentSpace();
+
+        reverbSelect.addEventListener('change', () => {
+            if (reverbSelect.value === 'load') {
+                showCurrentSpace();
+                reverbFileInput.click();
+            } else if (reverbSelect.value !== 'custom') {
+                window.audioEngine.setReverbSpace(reverbSelect.value);
+            }
+        });
+
+        reverbFileInput.addEventListener('change', async () => {
+            const file = reverbFileInput.files[0];
+            reverbFileInput.value = '';
+            if (!file) return;
+
+            const reverbControl = document.getElementById('reverbControl');
+            try {
+                await window.audioEngine.loadReverbImpulse(await file.arrayBuffer(), file.name.replace(/\.[^.]+$/, ''));
+                reverbControl.title = `Reverb Space: ${file.name}`;
+            } catch (error) {
+                console.error('Impulse response could not be decoded:', error);
+                reverbControl.title = `${file.name} could not be read as an impulse response`;
+            }
+            showCurrentSpace();
+        });
+    }
+}
+
+// Instrument Builder
+const BUILDER_COLUMNS = {
+    handpan: [['note', 'Note', 'text'], ['frequency', 'Hz', 'number'], ['angle', 'Angle', 'number']],
+    crystalBowls: [['note', 'Note', 'text'], ['frequency', 'Hz', 'number'], ['chakra', 'Label', 'text'], ['size', 'Size', 'number'], ['color', 'Colour', 'color']],
+    tibetanBowls: [['name', 'Name', 'text'], ['frequency', 'Hz', 'number'], ['size', 'Size', 'number']],
+    gong: [['frequency', 'Hz', 'number'], ['description', 'Description', 'text']]
+};
+
+function initializeInstrumentBuilder() {
+    const library = window.instrumentLibrary;
+    const slotRow = document.getElementById('builderSlots');
+    const entrySelect = document.getElementById('builderEntry');
+    const kindSelect = document.getElementById('builderKind');
+    const nameInput = document.getElementById('builderName');
+    const scaleRow = document.getElementById('builderScaleRow');
+    const dingInput = document.getElementById('builderDing');
+    const scaleSelect = document.getElementById('builderScale');
+    const head = document.getElementById('builderHead');
+    const rows = document.getElementById('builderRows');
+    const addRowBtn = document.getElementById('builderAddRowBtn');
+    const deleteBtn = document.getElementById('builderDeleteBtn');
+    const errorList = document.getElementById('builderErrors');
+    const status = document.getElementById('builderStatus');
+    if (!library || !slotRow) return;
+
+    const rerender = () => {
+        renderCrystalBowls();
+        renderTibetanBowls();
+        renderHandpans();
+        labelFixedInstruments();
+    };
+
+    library.restoreSlots();
+    rerender();
+
+    // Slot pickers - built-ins first, then matching saved instruments
+    const renderSlots = () => {
+        slotRow.innerHTML = '';
+        Object.entries(INSTRUMENT_SLOTS).forEach(([slot, config]) => {
+            const field = document.createElement('label');
+            field.className = 'tool-field';
+            field.innerHTML = `<span>${config.label}</span>`;
+
+            const select = document.createElement('select');
+            select.className = 'tool-select';
+            const builtin = config.kind === 'gong' ? BUILTIN_INSTRUMENTS.gongs[slot] : BUILTIN_INSTRUMENTS[slot];
+            [{ id: '', name: `Built-in${builtin?.name ? `: ${builtin.name}` : ''}` }, ...library.list(config.kind)].forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.id;
+                option.textContent = entry.name;
+                select.appendChild(option);
+            });
+            select.value = library.slots[slot] || '';
+            select.addEventListener('change', () => {
+                library.loadSlot(slot, select.value || null);
+                rerender();
+                status.textContent = `${config.label}: ${select.options[select.selectedIndex].textContent}`;
+            });
+
+            field.appendChild(select);
+            slotRow.appendChild(field);
+        });
+    };
+
+    // Editor draft - rows mirror the table, so the table can be redrawn at any time
+    let draft = null;
+
+    const renderRows = () => {
+        const columns = BUILDER_COLUMNS[draft.kind];
+        head.innerHTML = `<tr><th scope="col">#</th>${columns.map(([, label]) => `<th scope="col">${label}</th>`).join('')}<th scope="col"><span class="sr-only">Remove</span></th></tr>`;
+        rows.innerHTML = '';
+
+        draft.rows.forEach((rowData, index) => {
+            const row = document.createElement('tr');
+            const numberCell = document.createElement('td');
+            numberCell.textContent = draft.kind === 'handpan' && index === 0 ? 'Ding' : index + 1;
+            row.appendChild(numberCell);
+
+            columns.forEach(([key, label, type]) => {
+                const input = document.createElement('input');
+                input.type = type;
+                input.className = 'tool-input';
+                input.value = rowData[key] ?? '';
+                input.setAttribute('aria-label', `Row ${index + 1} ${label}`);
+                if (draft.kind === 'handpan' && index === 0 && key === 'angle') input.disabled = true;
+
+                input.addEventListener('change', () => {
+                    rowData[key] = type === 'number' ? (input.value === '' ? undefined : Number(input.value)) : input.value;
+
+                    // A recognised note name fills in its frequency for the current tuning
+                    if (key === 'note') {
+                        const tonic = draft.rows[0]?.note || input.value;
+                        const frequency = library.noteFrequency(input.value, tonic);
+                        if (frequency) {
+                            rowData.frequency = frequency;
+                            renderRows();
+                        }
+                    }
+                });
+
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove row ${index + 1}`);
+            removeBtn.disabled = draft.rows.length === 1;
+            removeBtn.addEventListener('click', () => {
+                draft.rows.splice(index, 1);
+                renderRows();
+            });
+            const removeCell = document.createElement('td');
+            removeCell.appendChild(removeBtn);
+            row.appendChild(removeCell);
+
+            rows.appendChild(row);
+        });
+
+        addRowBtn.disabled = draft.kind === 'gong';
+    };
+
+    const editDraft = (entry) => {
+        draft = entry;
+        entrySelect.value = entry.id || '';
+        kindSelect.value = entry.kind;
+        kindSelect.disabled = Boolean(entry.id);
+        nameInput.value = entry.name;
+        scaleRow.hidden = entry.kind !== 'handpan';
+        deleteBtn.disabled = !entry.id;
+        errorList.innerHTML = '';
+        renderRows();
+    };
+
+    const newDraft = (kind) => {
+        const starters = {
+            handpan: library.createHandpanRows(dingInput.value, scaleSelect.value),
+            crystalBowls: [{ note: 'C', frequency: library.noteFrequency('C4'), chakra: 'Root', color: '#ff4444', size: 110 }],
+            tibetanBowls: [{ name: 'Medium', frequency: 220, size: 90 }],
+            gong: [{ frequency: 60, description: '' }]
+        };
+        editDraft({ id: null, kind, name: '', rows: starters[kind] });
+    };
+
+    const renderEntryOptions = () => {
+        entrySelect.innerHTML = '<option value="">New instrument…</option>';
+        library.list().forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.id;
+            option.textContent = `${entry.name} (${INSTRUMENT_KINDS[entry.kind]})`;
+            entrySelect.appendChild(option);
+        });
+        entrySelect.value = draft?.id || '';
+    };
+
+    Object.entries(INSTRUMENT_KINDS).forEach(([kind, label]) => {
+        const option = document.createElement('option');
+        option.value = kind;
+        option.textContent = label;
+        kindSelect.appendChild(option);
+    });
+    Object.entries(HANDPAN_SCALES).forEach(([key, scale]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = scale.label;
+        scaleSelect.appendChild(option);
+    });
+
+    entrySelect.addEventListener('change', () => {
+        const entry = library.get(entrySelect.value);
+        if (entry) {
+            editDraft({ id: entry.id, kind: entry.kind, name: entry.name, rows: library.getRows(entry.kind, entry.definition) });
+        } else {
+            newDraft(kindSelect.value);
+        }
+    });
+    kindSelect.addEventListener('change', () => newDraft(kindSelect.value));
+    nameInput.addEventListener('input', () => {
+        draft.name = nameInput.value;
+    });
+
+    document.getElementById('builderFillBtn').addEventListener('click', () => {
+        const filled = library.createHandpanRows(dingInput.value, scaleSelect.value);
+        if (!filled) {
+            status.textContent = `"${dingInput.value}" is not a note name - try D3 or F#3.`;
+            return;
+        }
+        draft.rows = filled;
+        if (!draft.name) {
+            draft.name = `${midiNoteName(parseNoteName(dingInput.value))} ${HANDPAN_SCALES[scaleSelect.value].label}`;
+            nameInput.value = draft.name;
+        }
+        renderRows();
+    });
+
+    addRowBtn.addEventListener('click', () => {
+        const last = draft.rows[draft.rows.length - 1] || {};
+        const row = draft.kind === 'handpan' ? { note: '', angle: ((last.angle ?? 0) + 45) % 360 } : { ...last };
+        draft.rows.push(row);
+        renderRows();
+    });
+
+    document.getElementById('builderSaveBtn').addEventListener('click', () => {
+        const { saved, errors } = library.save(draft);
+        errorList.innerHTML = '';
+
+        if (!saved) {
+            errors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                errorList.appendChild(item);
+            });
+            status.textContent = `${errors.length} problem${errors.length === 1 ? '' : 's'} to fix before saving:`;
+            return;
+        }
+
+        // Slots playing this instrument pick up the edit straight away
+        Object.keys(library.slots).forEach(slot => {
+            if (library.slots[slot] === saved.id) library.loadSlot(slot, saved.id);
+        });
+        rerender();
+
+        draft.id = saved.id;
+        editDraft({ ...draft });
+        renderEntryOptions();
+        renderSlots();
+        status.textContent = `Saved ${saved.name}.`;
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        if (!draft.id) return;
+        const name = draft.name;
+        library.remove(draft.id);
+        rerender();
+        newDraft(draft.kind);
+        renderEntryOptions();
+        renderSlots();
+        status.textContent = `Deleted ${name}.`;
+    });
+
+    renderSlots();
+    newDraft('handpan');
+    renderEntryOptions();
+}
+
+// Tuning
+function setTuningControl(reference, temperament) {
+    const tuning = window.tuningSystem;
+    if (!tuning.apply(reference, temperament)) return;
+
+    const referenceSelect = document.getElementById('tuningReference');
+    const temperamentSelect = document.getElementById('tuningTemperament');
+    const status = document.getElementById('tuningStatus');
+    referenceSelect.value = tuning.reference;
+    temperamentSelect.value = tuning.temperament;
+    temperamentSelect.disabled = tuning.reference === 'factory';
+
+    renderCrystalBowls();
+    renderTibetanBowls();
+    renderHandpans();
+    labelFixedInstruments();
+
+    status.textContent = tuning.reference === 'factory'
+        ? 'Instruments play at their built-in frequencies.'
+        : `A4 = ${Math.round(tuning.concertPitch * 100) / 100} Hz • root bowl ${INSTRUMENTS.crystalBowls[0]?.frequency} Hz`;
+}
+
+function initializeTuning() {
+    const tuning = window.tuningSystem;
+    const referenceSelect = document.getElementById('tuningReference');
+    const temperamentSelect = document.getElementById('tuningTemperament');
+    if (!tuning || !referenceSelect || !temperamentSelect) return;
+
+    Object.entries(TUNING_REFERENCES).forEach(([key, reference]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = reference.label;
+        referenceSelect.appendChild(option);
+    });
+    Object.entries(TEMPERAMENTS).forEach(([key, temperament]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = temperament.label;
+        temperamentSelect.appendChild(option);
+    });
+
+    referenceSelect.addEventListener('change', () => setTuningControl(referenceSelect.value, temperamentSelect.value));
+    temperamentSelect.addEventListener('change', () => setTuningControl(referenceSelect.value, temperamentSelect.value));
+
+    const stored = tuning.load();
+    setTuningControl(stored?.reference || 'factory', stored?.temperament || 'equal');
+}
+
+// Mixer
+function initializeMixer() {
+    const engine = window.audioEngine;
+    const rows = document.getElementById('mixerChannels');
+    const drySlider = document.getElementById('mixerDry');
+    const wetSlider = document.getElementById('mixerWet');
+    const fileInput = document.getElementById('mixerFileInput');
+    const status = document.getElementById('mixerStatus');
+    if (!rows || !drySlider || !wetSlider) return;
+
+    const controls = {}; // channel -> { gain, pan, send, mute, solo }
+
+    const createSlider = (label, min, max, onInput) => {
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'volume-slider';
+        slider.min = min;
+        slider.max = max;
+        slider.setAttribute('aria-label', label);
+        slider.addEventListener('input', () => onInput(parseInt(slider.value, 10) / 100));
+        return slider;
+    };
+
+    const createToggle = (text, label, onToggle) => {
+        const button = document.createElement('button');
+        button.className = 'style-btn mixer-toggle';
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', () => onToggle(!button.classList.contains('active')));
+        return button;
+    };
+
+    const describe = (state) => {
+        const channels = Object.entries(state.channels);
+        const soloed = channels.filter(([, channel]) => channel.solo).map(([key]) => MIXER_CHANNELS[key].label);
+        const muted = channels.filter(([, channel]) => channel.mute).map(([key]) => MIXER_CHANNELS[key].label);
+        if (soloed.length > 0) return `Solo: ${soloed.join(', ')}`;
+        if (muted.length > 0) return `Muted: ${muted.join(', ')}`;
+        return 'All channels playing.';
+    };
+
+    const update = (state) => {
+        Object.entries(controls).forEach(([key, control]) => {
+            const channel = state.channels[key];
+            control.gain.value = Math.round(channel.gain * 100);
+            control.pan.value = Math.round(channel.pan * 100);
+            control.send.value = Math.round(channel.send * 100);
+            [['mute', channel.mute], ['solo', channel.solo]].forEach(([name, on]) => {
+                control[name].classList.toggle('active', on);
+                control[name].setAttribute('aria-pressed', on ? 'true' : 'false');
+            });
+        });
+        drySlider.value = Math.round(state.master.dry * 100);
+        wetSlider.value = Math.round(state.master.wet * 100);
+        status.textContent = describe(state);
+    };
+
+    const apply = (state) => {
+        const applied = engine.setMixerState(state);
+        saveMixerState(applied);
+        update(applied);
+    };
+
+    const setChannel = (key, settings) => {
+        engine.setChannel(key, settings);
+        saveMixerState(engine.getMixerState());
+        update(engine.getMixerState());
+    };
+
+    const setMaster = (settings) => {
+        engine.setMixerMaster(settings);
+        saveMixerState(engine.getMixerState());
+        update(engine.getMixerState());
+    };
+
+    // One strip per instrument family
+    Object.entries(MIXER_CHANNELS).forEach(([key, channel]) => {
+        const control = {
+            gain: createSlider(`${channel.label} level`, 0, 100, (value) => setChannel(key, { gain: value })),
+            pan: createSlider(`${channel.label} pan`, -100, 100, (value) => setChannel(key, { pan: value })),
+            send: createSlider(`${channel.label} reverb send`, 0, 100, (value) => setChannel(key, { send: value })),
+            mute: createToggle('M', `Mute ${channel.label}`, (on) => setChannel(key, { mute: on })),
+            solo: createToggle('S', `Solo ${channel.label}`, (on) => setChannel(key, { solo: on }))
+        };
+        controls[key] = control;
+
+        // Double-click centres the pan
+        control.pan.addEventListener('dblclick', () => setChannel(key, { pan: 0 }));
+
+        const row = document.createElement('tr');
+        const name = document.createElement('th');
+        name.scope = 'row';
+        name.textContent = channel.label;
+        row.appendChild(name);
+
+        [[control.gain], [control.pan], [control.send], [control.mute, control.solo]].forEach(cells => {
+            const cell = document.createElement('td');
+            cells.forEach(el => cell.appendChild(el));
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+
+    // Presets move the faders from outside the panel
+    engine.on('mixer', ({ state }) => update(state));
+
+    drySlider.addEventListener('input', () => setMaster({ dry: parseInt(drySlider.value, 10) / 100 }));
+    wetSlider.addEventListener('input', () => setMaster({ wet: parseInt(wetSlider.value, 10) / 100 }));
+
+    document.getElementById('mixerResetBtn')?.addEventListener('click', () => apply(createMixerState()));
+
+    document.getElementById('mixerExportBtn')?.addEventListener('click', () => {
+        const doc = createMixerDocument(engine.getMixerState());
+        downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'sound-bath.mixer.json');
+    });
+
+    document.getElementById('mixerImportBtn')?.addEventListener('click', () => fileInput.click());
+    fileInput?.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        try {
+            apply(parseMixerDocument(await file.text()));
+            status.textContent = `Loaded ${file.name}`;
+        } catch (error) {
+            status.textContent = `${file.name}: ${error.message}`;
+        }
+    });
+
+    apply(loadMixerState() || engine.getMixerState());
+}
+
+// Synthesis
+function initializeSynthesis() {
+    const engine = window.audioEngine;
+    const families = document.getElementById('synthesisFamilies');
+    const status = document.getElementById('synthesisStatus');
+    if (!families) return;
+
+    const selects = {};
+    Object.entries(MODAL_MODELS).forEach(([family, model]) => {
+        const field = document.createElement('label');
+        field.className = 'tool-field';
+        const label = document.createElement('span');
+        label.textContent = model.label;
+        const select = document.createElement('select');
+        select.className = 'tool-select';
+        Object.entries(SYNTHESIS_BACKENDS).forEach(([key, backend]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = backend.label;
+            select.appendChild(option);
+        });
+        select.disabled = !engine.modalReady;
+        select.addEventListener('change', () => {
+            engine.setSynthesis(family, select.value);
+            saveSynthesisSettings(engine.synthesis);
+            update();
+        });
+        field.append(label, select);
+        families.appendChild(field);
+        selects[family] = select;
+    });
+
+    const update = () => {
+        Object.entries(selects).forEach(([family, select]) => {
+            select.value = engine.modalReady ? engine.synthesis[family] : 'oscillator';
+        });
+
+        const modal = Object.keys(selects).filter(family => engine.useModal(family));
+        if (!engine.modalReady) {
+            status.textContent = 'This browser cannot run audio worklets, so every instrument plays its oscillator voice.';
+        } else if (modal.length === 0) {
+            status.textContent = 'Every instrument plays its oscillator voice.';
+        } else {
+            status.textContent = `Physical model: ${modal.map(family => MODAL_MODELS[family].label.toLowerCase()).join(', ')}`;
+        }
+    };
+
+    update();
+}
+
+// Sample Packs
+function initializeSamplePacks() {
+    const library = window.samplePacks;
+    const table = document.getElementById('samplePackTable');
+    const rows = document.getElementById('samplePackRows');
+    const loadBtn = document.getElementById('samplePackLoadBtn');
+    const fileInput = document.getElementById('samplePackFileInput');
+    const status = document.getElementById('samplePackStatus');
+    if (!library || !rows || !loadBtn) return;
+
+    if (typeof indexedDB === 'undefined') {
+        loadBtn.disabled = true;
+        status.textContent = 'This browser cannot store sample packs.';
+        return;
+    }
+
+    const describe = () => {
+        const enabled = library.packs.filter(pack => pack.enabled && !pack.error);
+        const failed = library.packs.filter(pack => pack.error);
+        const problem = failed.length > 0 ? ` • ${failed.map(pack => pack.name).join(', ')} could not be loaded` : '';
+        if (library.packs.length === 0) return 'No sample packs yet.';
+        if (enabled.length === 0) return `Every pack is off - instruments play their synthesized voices.${problem}`;
+        const covered = new Set(enabled.flatMap(pack => pack.samples.map(sample => sample.instrument)));
+        return `${enabled.length} ${enabled.length === 1 ? 'pack' : 'packs'} on • ${covered.size} recorded ${covered.size === 1 ? 'instrument' : 'instruments'}${problem}`;
+    };
+
+    // Library calls decode audio and touch IndexedDB, so the panel waits on each one
+    const run = async (task) => {
+        loadBtn.disabled = true;
+        try {
+            const message = await task();
+            status.textContent = message || describe();
+        } catch (error) {
+            status.textContent = error.message;
+        }
+        loadBtn.disabled = false;
+        render();
+    };
+
+    const render = () => {
+        rows.innerHTML = '';
+        table.hidden = library.packs.length === 0;
+
+        library.packs.forEach(pack => {
+            const row = document.createElement('tr');
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = pack.error ? `${pack.name} (could not be loaded)` : pack.name;
+            if (pack.error) name.title = pack.error;
+
+            const instruments = document.createElement('td');
+            instruments.textContent = new Set(pack.samples.map(sample => sample.instrument)).size;
+            const size = document.createElement('td');
+            size.textContent = `${(pack.size / 1048576).toFixed(1)} MB`;
+
+            const actions = document.createElement('td');
+            const toggle = document.createElement('button');
+            toggle.className = 'style-btn';
+            toggle.textContent = 'Use';
+            toggle.classList.toggle('active', pack.enabled);
+            toggle.setAttribute('aria-pressed', pack.enabled ? 'true' : 'false');
+            toggle.setAttribute('aria-label', `Use ${pack.name}`);
+            toggle.addEventListener('click', () => run(() => library.setEnabled(pack.id, !pack.enabled).then(() => null)));
+
+            const remove = document.createElement('button');
+            remove.className = 'style-btn';
+            remove.textContent = 'Remove';
+            remove.setAttribute('aria-label', `Remove ${pack.name}`);
+            remove.addEventListener('click', () => run(() => library.remove(pack.id).then(() => `Removed ${pack.name}`)));
+
+            actions.append(toggle, remove);
+            row.append(name, instruments, size, actions);
+            rows.appendChild(row);
+        });
+    };
+
+    loadBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const files = [...fileInput.files];
+        fileInput.value = '';
+        if (files.length === 0) return;
+
+        status.textContent = 'Loading samples…';
+        run(async () => {
+            const pack = await library.import(files);
+            return `Loaded ${pack.name} • ${pack.samples.length} ${pack.samples.length === 1 ? 'zone' : 'zones'}`;
+        });
+    });
+
+    status.textContent = 'Opening sample packs…';
+    run(() => library.load().then(() => null));
+}
+
+// Generative Sound Bath
+const autoPlayTimers = new WeakMap();
+
+// A brief extra glow marks strikes the sanctuary played by itself
+function markAutoPlayed(el) {
+    if (!el) return;
+
+    clearTimeout(autoPlayTimers.get(el));
+    el.classList.add('auto-played');
+    autoPlayTimers.set(el, setTimeout(() => {
+        el.classList.remove('auto-played');
+        autoPlayTimers.delete(el);
+    }, 1500));
+}
+
+function initializeGenerative() {
+    const player = window.generativePlayer;
+    const toggleBtn = document.getElementById('generativeToggleBtn');
+    const seedInput = document.getElementById('generativeSeed');
+    const densitySlider = document.getElementById('generativeDensity');
+    const intensitySlider = document.getElementById('generativeIntensity');
+    const densityValue = document.getElementById('generativeDensityValue');
+    const status = document.getElementById('generativeStatus');
+    if (!player || !toggleBtn) return;
+
+    const updateControls = () => {
+        toggleBtn.textContent = player.isPlaying ? 'Stop' : 'Play';
+        toggleBtn.classList.toggle('active', player.isPlaying);
+        toggleBtn.setAttribute('aria-pressed', player.isPlaying ? 'true' : 'false');
+        densityValue.textContent = `${player.density}/min`;
+    };
+
+    player.onTrigger = (target, style, delaySeconds) => {
+        setTimeout(() => {
+            if (!player.isPlaying) return;
+            const el = getInstrumentElement(target);
+            flashInstrument(el, AUDIO_DURATIONS[target.family]);
+            markAutoPlayed(el);
+            status.textContent = `Seed ${player.seed} • ${target.path} (${style})`;
+        }, delaySeconds * 1000);
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (player.isPlaying) {
+            player.stop();
+            status.textContent = `Stopped • seed ${player.seed} replays this performance`;
+        } else {
+            const seed = parseInt(seedInput.value, 10);
+            player.start(Number.isFinite(seed) ? seed : null);
+            status.textContent = `Playing • seed ${player.seed}`;
+        }
+        updateControls();
+    });
+
+    densitySlider.value = player.density;
+    densitySlider.addEventListener('input', () => {
+        player.setDensity(parseInt(densitySlider.value, 10));
+        updateControls();
+    });
+
+    intensitySlider.value = Math.round(player.intensity * 100);
+    intensitySlider.addEventListener('input', () => {
+        player.setIntensity(parseInt(intensitySlider.value, 10) / 100);
+    });
+
+    // The lock screen's stop halts the player from outside the panel
+    window.audioEngine.on('stopAll', updateControls);
+
+    updateControls();
+}
+
+// Chakra Journey
+function initializeChakraJourney() {
+    const journey = window.chakraJourney;
+    const toggleBtn = document.getElementById('chakraToggleBtn');
+    const directionSelect = document.getElementById('chakraDirection');
+    const dwellInput = document.getElementById('chakraDwell');
+    const affirmationsBtn = document.getElementById('chakraAffirmationsBtn');
+    const affirmationText = document.getElementById('chakraAffirmationText');
+    const affirmation = document.getElementById('chakraAffirmation');
+    const points = document.querySelectorAll('#chakraFigure .chakra-point');
+    const ambientBg = document.querySelector('.ambient-bg');
+    const status = document.getElementById('chakraStatus');
+    if (!journey || !toggleBtn) return;
+
+    let showAffirmations = true;
+    let countdown = null;
+
+    const updateStatus = () => {
+        const step = journey.getStep();
+        if (!step) return;
+        const name = step.bowl.chakra || `Bowl ${step.bowlIndex + 1}`;
+        status.textContent = `${name} • ${step.number} of ${step.total} • ${formatTime(journey.getRemaining())} left`;
+    };
+
+    const renderAffirmation = (step) => {
+        affirmation.textContent = step && showAffirmations ? step.affirmation : '';
+        affirmationsBtn.classList.toggle('active', showAffirmations);
+        affirmationsBtn.setAttribute('aria-pressed', showAffirmations ? 'true' : 'false');
+    };
+
+    journey.onStep = (step) => {
+        points.forEach(point => point.classList.toggle('active', step !== null && Number(point.dataset.center) === step.center));
+        ambientBg.classList.toggle('chakra-tinted', step !== null);
+        renderAffirmation(step);
+        if (!step) return;
+
+        ambientBg.style.setProperty('--orb-tint', step.bowl.color);
+        affirmation.style.setProperty('--chakra-color', step.bowl.color);
+        flashInstrument(getInstrumentElement(resolveInstrument(`crystalBowls[${step.bowlIndex}]`)), journey.dwell * 1000);
+        updateStatus();
+    };
+
+    journey.onStateChange = (isPlaying) => {
+        toggleBtn.textContent = isPlaying ? 'End' : 'Begin';
+        toggleBtn.classList.toggle('active', isPlaying);
+        toggleBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+        directionSelect.disabled = isPlaying;
+        dwellInput.disabled = isPlaying;
+
+        clearInterval(countdown);
+        countdown = isPlaying ? setInterval(updateStatus, 1000) : null;
+        if (!isPlaying) status.textContent = 'Journey ended. Rest a while in the silence.';
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (journey.isPlaying) {
+            journey.stop();
+            return;
+        }
+        const minutes = parseFloat(dwellInput.value);
+        if (!journey.start({
+            direction: directionSelect.value,
+            dwell: Number.isFinite(minutes) ? minutes * 60 : journey.dwell
+        })) {
+            status.textContent = 'Add a crystal bowl to begin a journey.';
+        }
+    });
+
+    affirmationsBtn.addEventListener('click', () => {
+        showAffirmations = !showAffirmations;
+        renderAffirmation(journey.getStep());
+    });
+
+    affirmationText.value = journey.affirmations.join('\n');
+    affirmationText.addEventListener('change', () => {
+        journey.setAffirmations(affirmationText.value.split('\n'));
+        renderAffirmation(journey.getStep());
+    });
+
+    directionSelect.value = journey.direction;
+    dwellInput.value = journey.dwell / 60;
+    renderAffirmation(null);
+}
+
+// Session Timer
+function initializeSessionTimer() {
+    const timer = window.sessionTimer;
+    const display = document.getElementById('timerDisplay');
+    const presetRow = document.getElementById('timerPresets');
+    const minutesInput = document.getElementById('timerMinutes');
+    const toggleBtn = document.getElementById('timerToggleBtn');
+    const bellIntervalInput = document.getElementById('timerBellInterval');
+    const bellSelect = document.getElementById('timerBell');
+    const gongsBtn = document.getElementById('timerGongsBtn');
+    const sleepBtn = document.getElementById('timerSleepBtn');
+    const status = document.getElementById('timerStatus');
+    if (!timer || !toggleBtn) return;
+
+    let countdown = null;
+
+    const setPressed = (button, pressed) => {
+        button.classList.toggle('active', pressed);
+        button.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+    };
+
+    const presetButtons = SESSION_TIMER_PRESETS.map(minutes => {
+        const button = document.createElement('button');
+        button.className = 'style-btn';
+        button.textContent = `${minutes} min`;
+        button.addEventListener('click', () => {
+            minutesInput.value = minutes;
+            updateControls();
+        });
+        presetRow.appendChild(button);
+        return { button, minutes };
+    });
+
+    const renderBellOptions = () => {
+        const selected = bellSelect.value || timer.settings.bellPath;
+        bellSelect.innerHTML = '';
+        INSTRUMENTS.tibetanBowls.forEach((bowl, i) => {
+            const option = document.createElement('option');
+            option.value = `tibetanBowls[${i}]`;
+            option.textContent = `${bowl.name} bowl • ${bowl.frequency} Hz`;
+            bellSelect.appendChild(option);
+        });
+        bellSelect.value = bellSelect.querySelector(`option[value="${selected}"]`) ? selected : 'tibetanBowls[0]';
+    };
+
+    const getSettings = () => ({
+        minutes: Math.max(1, parseInt(minutesInput.value, 10) || timer.settings.minutes),
+        bellInterval: Math.max(0, parseInt(bellIntervalInput.value, 10) || 0),
+        bellPath: bellSelect.value,
+        gongs: gongsBtn.classList.contains('active'),
+        sleep: sleepBtn.classList.contains('active')
+    });
+
+    const updateDisplay = () => {
+        const seconds = timer.isRunning ? Math.ceil(timer.getRemaining()) : getSettings().minutes * 60;
+        display.textContent = formatTime(seconds);
+        display.classList.toggle('fading', timer.isFading());
+    };
+
+    const updateControls = () => {
+        const minutes = getSettings().minutes;
+        presetButtons.forEach(({ button, minutes: preset }) => setPressed(button, preset === minutes));
+        toggleBtn.textContent = timer.isRunning ? 'Cancel' : 'Start';
+        setPressed(toggleBtn, timer.isRunning);
+        [minutesInput, ...presetButtons.map(({ button }) => button)].forEach(el => {
+            el.disabled = timer.isRunning;
+        });
+        updateDisplay();
+    };
+
+    // Each panel's own toggle stops its player and brings that panel up to date
+    const stopFromPanel = (isActive, buttonId) => {
+        if (isActive) document.getElementById(buttonId)?.click();
+    };
+
+    // The header's volume control shows when a finished session is holding the master at zero
+    const volumeControl = document.getElementById('masterVolumeBtn');
+    const volumeIcon = volumeControl?.querySelector('.icon');
+    timer.onSilenceChange = (silenced) => {
+        if (!volumeControl) return;
+        volumeControl.classList.toggle('session-muted', silenced);
+        volumeControl.title = silenced ? 'Muted after the session - move to unmute' : 'Master Volume';
+        volumeIcon.textContent = silenced ? '🔇' : '🔊';
+        document.getElementById('masterVolume').setAttribute('aria-label', silenced ? 'Master volume, muted after the session' : 'Master volume');
+    };
+
+    timer.onStateChange = (isRunning) => {
+        clearInterval(countdown);
+        countdown = isRunning ? setInterval(updateDisplay, 500) : null;
+        updateControls();
+    };
+
+    timer.onComplete = (sleep) => {
+        if (sleep) {
+            stopFromPanel(window.generativePlayer?.isPlaying, 'generativeToggleBtn');
+            stopFromPanel(window.entrainmentGenerator?.isPlaying, 'entrainmentToggleBtn');
+            stopFromPanel(Boolean(window.audioEngine.drone), 'droneToggleBtn');
+            if (window.soundscape?.getActive().length > 0) window.soundscape.toggleAll();
+            window.chakraJourney?.stop(0.5);
+            window.journeySequencer?.stop();
+        }
+        status.textContent = sleep
+            ? 'Session complete • Everything has been stopped. Sleep well.'
+            : 'Session complete • Move the master volume or start another session to hear the sanctuary again.';
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (timer.isRunning) {
+            timer.stop();
+            status.textContent = 'Session cancelled.';
+            return;
+        }
+        const settings = getSettings();
+        timer.start(settings);
+        status.textContent = settings.bellInterval > 0
+            ? `Session started • a bell every ${settings.bellInterval} min`
+            : 'Session started';
+    });
+
+    [gongsBtn, sleepBtn].forEach(button => {
+        button.addEventListener('click', () => {
+            setPressed(button, !button.classList.contains('active'));
+            const { gongs, sleep } = getSettings();
+            timer.update({ gongs, sleep });
+        });
+    });
+
+    [bellIntervalInput, bellSelect].forEach(el => el.addEventListener('change', () => {
+        const { bellInterval, bellPath } = getSettings();
+        timer.update({ bellInterval, bellPath });
+    }));
+    minutesInput.addEventListener('input', updateControls);
+
+    document.getElementById('masterVolume')?.addEventListener('input', (e) => {
+        timer.setBaseVolume(e.target.value / 100);
+    });
+
+    renderBellOptions();
+    minutesInput.value = timer.settings.minutes;
+    bellIntervalInput.value = timer.settings.bellInterval;
+    setPressed(gongsBtn, timer.settings.gongs);
+    setPressed(sleepBtn, timer.settings.sleep);
+    updateControls();
+}
+
+// Lock-screen controls and the screen wake lock
+function initializeMediaSession() {
+    const controls = window.mediaSessionControls;
+    const wakeLockBtn = document.getElementById('wakeLockBtn');
+    if (!controls) return;
+
+    controls.register();
+    if (!wakeLockBtn) return;
+
+    const setPressed = (on) => {
+        wakeLockBtn.classList.toggle('active', on);
+        wakeLockBtn.setAttribute('aria-pressed', on ? 'true' : 'false');
+    };
+
+    wakeLockBtn.hidden = !controls.canKeepAwake;
+    wakeLockBtn.addEventListener('click', async () => {
+        const on = !controls.keepAwake;
+        setPressed(on);
+        const held = await controls.setKeepAwake(on);
+        if (on && !held) document.getElementById('timerStatus').textContent = 'This device would not keep the screen on.';
+    });
+    setPressed(controls.keepAwake);
+}
+
+// Group Sound Bath
+function initializeGroupSync() {
+    const sync = window.groupSync;
+    const roomDisplay = document.getElementById('syncRoom');
+    const roomInput = document.getElementById('syncRoomCode');
+    const hostBtn = document.getElementById('syncHostBtn');
+    const joinBtn = document.getElementById('syncJoinBtn');
+    const leaveBtn = document.getElementById('syncLeaveBtn');
+    const listenOnlyBtn = document.getElementById('syncListenOnlyBtn');
+    const urlInput = document.getElementById('syncServerUrl');
+    const status = document.getElementById('syncStatus');
+    if (!sync || !hostBtn) return;
+
+    const describePeers = () => {
+        const people = `${sync.listeners} listener${sync.listeners === 1 ? '' : 's'}`;
+        if (sync.role === 'facilitator') return `Hosting room ${sync.room} • ${people}`;
+        return sync.hasFacilitator
+            ? `Listening in room ${sync.room} • ${people}`
+            : `In room ${sync.room} • waiting for the facilitator`;
+    };
+
+    const updateControls = () => {
+        const connected = sync.status === 'connected';
+        const busy = sync.status !== 'idle';
+        roomDisplay.hidden = !connected;
+        roomDisplay.textContent = connected ? sync.room : '';
+        hostBtn.hidden = busy;
+        joinBtn.hidden = busy;
+        leaveBtn.hidden = !busy;
+        roomInput.disabled = busy;
+        urlInput.disabled = busy;
+        listenOnlyBtn.classList.toggle('active', sync.listenOnly);
+        listenOnlyBtn.setAttribute('aria-pressed', sync.listenOnly ? 'true' : 'false');
+        document.body.classList.toggle('listen-only', sync.isLocked());
+    };
+
+    sync.onStateChange = (state) => {
+        if (state === 'connecting') status.textContent = 'Connecting…';
+        if (state === 'connected') status.textContent = describePeers();
+        updateControls();
+    };
+
+    sync.onPeers = () => {
+        status.textContent = describePeers();
+    };
+
+    sync.onError = (message) => {
+        status.textContent = message;
+    };
+
+    // Light up the struck instrument on listeners' screens too
+    sync.onRemotePlay = (event, delaySeconds) => {
+        const target = findInstrument(event.method, event.frequency);
+        if (!target) return;
+        setTimeout(() => flashInstrument(getInstrumentElement(target), AUDIO_DURATIONS[target.family]), delaySeconds * 1000);
+    };
+
+    hostBtn.addEventListener('click', () => sync.host(roomInput.value.trim()));
+
+    joinBtn.addEventListener('click', () => {
+        const code = roomInput.value.trim();
+        if (!code) {
+            status.textContent = 'Enter the room code the facilitator shared.';
+            roomInput.focus();
+            return;
+        }
+        sync.join(code);
+    });
+
+    leaveBtn.addEventListener('click', () => {
+        sync.leave();
+        status.textContent = 'Left the room.';
+    });
+
+    listenOnlyBtn.addEventListener('click', () => {
+        sync.setListenOnly(!sync.listenOnly);
+        updateControls();
+    });
+
+    urlInput.value = sync.url;
+    urlInput.addEventListener('change', () => {
+        sync.setUrl(urlInput.value);
+        urlInput.value = sync.url;
+    });
+
+    updateControls();
+}
+
+// Jam Room
+const jamTimers = new WeakMap();
+
+function initializeJam() {
+    const jam = window.jamSession;
+    const roomDisplay = document.getElementById('jamRoom');
+    const playerList = document.getElementById('jamPlayers');
+    const nameInput = document.getElementById('jamName');
+    const roomInput = document.getElementById('jamRoomCode');
+    const openBtn = document.getElementById('jamOpenBtn');
+    const joinBtn = document.getElementById('jamJoinBtn');
+    const lockingBtn = document.getElementById('jamLockingBtn');
+    const releaseBtn = document.getElementById('jamReleaseBtn');
+    const leaveBtn = document.getElementById('jamLeaveBtn');
+    const status = document.getElementById('jamStatus');
+    if (!jam || !openBtn) return;
+
+    let locking = false;
+
+    const updateControls = () => {
+        const connected = jam.status === 'connected';
+        const busy = jam.status !== 'idle';
+        roomDisplay.hidden = !connected;
+        roomDisplay.textContent = connected ? jam.room : '';
+        [openBtn, joinBtn, lockingBtn].forEach(button => { button.hidden = busy; });
+        leaveBtn.hidden = !busy;
+        releaseBtn.hidden = !connected || !jam.locking;
+        nameInput.disabled = busy;
+        roomInput.disabled = busy;
+        lockingBtn.classList.toggle('active', locking);
+        lockingBtn.setAttribute('aria-pressed', locking ? 'true' : 'false');
+    };
+
+    const renderPlayers = () => {
+        playerList.innerHTML = '';
+        jam.players.forEach(player => {
+            const item = document.createElement('li');
+            item.textContent = player.id === jam.id ? `${player.name} (you)` : player.name;
+            item.classList.toggle('jam-me', player.id === jam.id);
+            item.style.setProperty('--jam-color', player.color);
+            playerList.appendChild(item);
+        });
+    };
+
+    // Outline claimed instruments in their owner's color; lock the ones other players hold
+    const renderClaims = () => {
+        listInstrumentPaths().forEach(path => {
+            const target = resolveInstrument(path);
+            const el = getInstrumentElement(target);
+            if (!el) return;
+
+            const owner = jam.status === 'connected' ? jam.getOwner(target) : null;
+            el.classList.toggle('jam-owned', Boolean(owner));
+            el.classList.toggle('jam-locked', jam.status === 'connected' && jam.isLockedForMe(target));
+            if (owner) {
+                el.style.setProperty('--jam-owner-color', owner.color);
+                el.title = `Claimed by ${owner.id === jam.id ? 'you' : owner.name}`;
+            } else {
+                el.style.removeProperty('--jam-owner-color');
+                el.removeAttribute('title');
+            }
+        });
+    };
+
+    const describeRoom = () => {
+        const others = jam.players.size - 1;
+        const company = others > 0 ? `${others} other player${others === 1 ? '' : 's'}` : 'waiting for others';
+        return `Jamming in room ${jam.room} • ${company}${jam.locking ? ' • claiming on' : ''}`;
+    };
+
+    jam.onStateChange = (state) => {
+        if (state === 'connecting') status.textContent = 'Connecting…';
+        if (state === 'connected') status.textContent = describeRoom();
+        if (state === 'idle') renderPlayers();
+        renderClaims();
+        updateControls();
+    };
+
+    jam.onPlayers = () => {
+        renderPlayers();
+        renderClaims();
+        status.textContent = describeRoom();
+    };
+
+    jam.onStrike = (target, player, delaySeconds) => {
+        const el = getInstrumentElement(target);
+        if (!el || !player) return;
+
+        setTimeout(() => {
+            const duration = AUDIO_DURATIONS[target.family];
+            if (player.id !== jam.id) flashInstrument(el, duration);
+
+            clearTimeout(jamTimers.get(el));
+            el.style.setProperty('--jam-color', player.color);
+            el.classList.add('jam-struck');
+            jamTimers.set(el, setTimeout(() => {
+                el.classList.remove('jam-struck');
+                jamTimers.delete(el);
+            }, duration));
+        }, Math.max(0, delaySeconds) * 1000);
+    };
+
+    jam.onDenied = (instrument, owner) => {
+        status.textContent = `${owner?.name || 'Another player'} has claimed that instrument.`;
+    };
+
+    jam.onError = (message) => {
+        status.textContent = message;
+    };
+
+    const join = (room, create) => jam.join(room, {
+        url: window.groupSync?.url || GroupSync.getDefaultUrl(),
+        name: nameInput.value,
+        create,
+        locking
+    });
+
+    openBtn.addEventListener('click', () => join(roomInput.value.trim(), true));
+
+    joinBtn.addEventListener('click', () => {
+        const code = roomInput.value.trim();
+        if (!code) {
+            status.textContent = 'Enter the room code you were given.';
+            roomInput.focus();
+            return;
+        }
+        join(code, false);
+    });
+
+    lockingBtn.addEventListener('click', () => {
+        locking = !locking;
+        updateControls();
+    });
+
+    releaseBtn.addEventListener('click', () => jam.release());
+
+    leaveBtn.addEventListener('click', () => {
+        jam.leave();
+        status.textContent = 'Left the jam.';
+    });
+
+    nameInput.value = jam.name;
+    updateControls();
+}
+
+// Drone
+function initializeDrone() {
+    const engine = window.audioEngine;
+    const styleRow = document.getElementById('droneStyles');
+    const toggleBtn = document.getElementById('droneToggleBtn');
+    const rootSelect = document.getElementById('droneRoot');
+    const noteInput = document.getElementById('droneNote');
+    const levelSlider = document.getElementById('droneLevel');
+    const status = document.getElementById('droneStatus');
+    if (!toggleBtn || !rootSelect) return;
+
+    let style = 'tanpura';
+
+    const getRootPath = (value) => {
+        if (value !== 'auto') return value;
+        return INSTRUMENTS[selectedHandpan]?.ding ? `${selectedHandpan}.ding` : 'crystalBowls[0]';
+    };
+
+    // { frequency, label } for a root option, following the current tuning and loaded instruments
+    const resolveRoot = (value) => {
+        if (value === 'custom') {
+            const frequency = instrumentLibrary.noteFrequency(noteInput.value.trim());
+            return frequency ? { frequency, label: noteInput.value.trim() } : null;
+        }
+
+        const target = resolveInstrument(getRootPath(value));
+        if (!target) return null;
+        if (target.family === 'handpan') {
+            const handpan = INSTRUMENTS[target.key];
+            return { frequency: target.frequency, label: `${handpan.name} ding • ${handpan.ding.note}` };
+        }
+        const bowl = INSTRUMENTS.crystalBowls[target.index];
+        return { frequency: target.frequency, label: `${bowl.chakra || 'Root'} bowl • ${bowl.note}` };
+    };
+
+    const renderRootOptions = () => {
+        const selected = rootSelect.value || 'auto';
+        rootSelect.innerHTML = '';
+        [...INSTRUMENTS.drone.roots, 'custom'].forEach(value => {
+            const root = value === 'custom' ? null : resolveRoot(value);
+            if (value !== 'custom' && !root) return;
+
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value === 'custom'
+                ? 'Any note…'
+                : `${value === 'auto' ? 'Last handpan played: ' : ''}${root.label} (${root.frequency} Hz)`;
+            rootSelect.appendChild(option);
+        });
+        rootSelect.value = rootSelect.querySelector(`option[value="${selected}"]`) ? selected : 'auto';
+    };
+
+    const styleButtons = Object.entries(DRONE_VOICES).map(([key, voice]) => {
+        const button = document.createElement('button');
+        button.className = 'style-btn';
+        button.dataset.drone = key;
+        button.textContent = voice.label;
+        styleRow.appendChild(button);
+        return button;
+    });
+
+    const updateControls = () => {
+        const root = resolveRoot(rootSelect.value);
+        styleButtons.forEach(button => {
+            const active = button.dataset.drone === style;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        noteInput.hidden = rootSelect.value !== 'custom';
+        toggleBtn.textContent = engine.drone ? 'Stop' : 'Start';
+        toggleBtn.classList.toggle('active', Boolean(engine.drone));
+        toggleBtn.setAttribute('aria-pressed', engine.drone ? 'true' : 'false');
+
+        if (!root) {
+            status.textContent = 'Type a note such as D3 or C#2.';
+        } else if (engine.drone) {
+            status.textContent = `${DRONE_VOICES[style].label} on ${root.label} (${root.frequency} Hz)`;
+        } else {
+            status.textContent = 'Choose a voice and root, then start.';
+        }
+    };
+
+    const start = () => {
+        const root = resolveRoot(rootSelect.value);
+        if (root) engine.startDrone(root.frequency, style);
+        updateControls();
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (engine.drone) {
+            engine.stopDrone();
+            updateControls();
+        } else {
+            renderRootOptions();
+            start();
+        }
+    });
+
+    styleButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            style = button.dataset.drone;
+            if (engine.drone) {
+                start();
+            } else {
+                updateControls();
+            }
+        });
+    });
+
+    const rekey = () => {
+        const root = resolveRoot(rootSelect.value);
+        if (root && engine.drone) engine.setDroneRoot(root.frequency);
+        updateControls();
+    };
+    rootSelect.addEventListener('focus', renderRootOptions);
+    rootSelect.addEventListener('change', rekey);
+    noteInput.addEventListener('change', rekey);
+
+    levelSlider.value = Math.round(engine.droneLevel * 100);
+    levelSlider.addEventListener('input', () => {
+        engine.setDroneVolume(parseInt(levelSlider.value, 10) / 100);
+    });
+
+    engine.on('stopAll', updateControls);
+
+    renderRootOptions();
+    updateControls();
+}
+
+// Soundscapes
+function initializeSoundscape() {
+    const soundscape = window.soundscape;
+    const rows = document.getElementById('soundscapeBeds');
+    const ambientSlider = document.getElementById('ambientLevel');
     const ambientBtn = document.getElementById('ambientToggle');
-    if (ambientBtn) {
-        ambientBtn.addEventListener('click', () => {
-            const isPlaying = window.audioEngine.toggleAmbient();
-            ambientBtn.classList.toggle('active', isPlaying);
-            ambientBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+    const status = document.getElementById('soundscapeStatus');
+    if (!soundscape || !rows) return;
+
+    const buttons = {};
+    const sliders = {};
+
+    Object.entries(SOUNDSCAPE_BEDS).forEach(([key, bed]) => {
+        const button = document.createElement('button');
+        button.className = 'style-btn soundscape-btn';
+        button.innerHTML = `<span aria-hidden="true">${bed.icon}</span> ${bed.label}`;
+        button.setAttribute('aria-pressed', 'false');
+        button.addEventListener('click', () => soundscape.toggle(key));
+        buttons[key] = button;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'volume-slider';
+        slider.min = 0;
+        slider.max = 100;
+        slider.value = Math.round(soundscape.levels[key] * 100);
+        slider.setAttribute('aria-label', `${bed.label} volume`);
+        slider.addEventListener('input', () => soundscape.setLevel(key, parseInt(slider.value, 10) / 100));
+        sliders[key] = slider;
+
+        const row = document.createElement('tr');
+        [button, slider].forEach(el => {
+            const cell = document.createElement('td');
+            cell.appendChild(el);
+            row.appendChild(cell);
+        });
+        rows.appendChild(row);
+    });
+
+    soundscape.onChange = (active) => {
+        Object.entries(buttons).forEach(([key, button]) => {
+            const on = active.includes(key);
+            button.classList.toggle('active', on);
+            button.setAttribute('aria-pressed', on ? 'true' : 'false');
+            sliders[key].value = Math.round(soundscape.levels[key] * 100);
+        });
+        if (ambientBtn) {
+            ambientBtn.classList.toggle('active', active.length > 0);
+            ambientBtn.setAttribute('aria-pressed', active.length > 0 ? 'true' : 'false');
+        }
+        status.textContent = active.length > 0
+            ? `Playing: ${active.map(key => SOUNDSCAPE_BEDS[key].label).join(' + ')}`
+            : 'Layer as many beds as you like.';
+        window.mediaSessionControls?.update();
+    };
+
+    ambientBtn?.addEventListener('click', () => soundscape.toggleAll());
+
+    if (ambientSlider) {
+        ambientSlider.value = Math.round(window.audioEngine.ambientLevel * 100);
+        ambientSlider.addEventListener('input', () => {
+            window.audioEngine.setAmbientVolume(parseInt(ambientSlider.value, 10) / 100);
         });
     }
 }
 
+// Brainwave Entrainment
+function initializeEntrainment() {
+    const generator = window.entrainmentGenerator;
+    const modeSelect = document.getElementById('entrainmentMode');
+    const toggleBtn = document.getElementById('entrainmentToggleBtn');
+    const presetRow = document.getElementById('entrainmentPresets');
+    const carrierSelect = document.getElementById('entrainmentCarrierSource');
+    const carrierInput = document.getElementById('entrainmentCarrier');
+    const rampInput = document.getElementById('entrainmentRamp');
+    const levelSlider = document.getElementById('entrainmentLevel');
+    const notice = document.getElementById('entrainmentNotice');
+    const status = document.getElementById('entrainmentStatus');
+    if (!generator || !modeSelect || !toggleBtn) return;
+
+    let preset = 'theta';
+    let statusTimer = null;
+
+    Object.entries(ENTRAINMENT_MODES).forEach(([key, label]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    });
+    modeSelect.value = generator.mode;
+
+    const presetButtons = Object.entries(ENTRAINMENT_PRESETS).map(([key, band]) => {
+        const button = document.createElement('button');
+        button.className = 'style-btn';
+        button.dataset.preset = key;
+        button.textContent = `${band.label} ${band.beat} Hz`;
+        button.title = band.description;
+        presetRow.appendChild(button);
+        return button;
+    });
+
+    // Custom frequency, or lock to a chakra bowl so the tones sit inside the bowls' harmony
+    const renderCarrierOptions = () => {
+        const selected = carrierSelect.value || 'custom';
+        carrierSelect.innerHTML = '<option value="custom">Custom</option>';
+        INSTRUMENTS.crystalBowls.forEach((bowl, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = `${bowl.chakra || bowl.note} bowl • ${bowl.frequency} Hz`;
+            carrierSelect.appendChild(option);
+        });
+        carrierSelect.value = carrierSelect.querySelector(`option[value="${selected}"]`) ? selected : 'custom';
+    };
+
+    const getCarrier = () => {
+        const bowl = INSTRUMENTS.crystalBowls[parseInt(carrierSelect.value, 10)];
+        if (bowl) return bowl.frequency;
+        const value = parseFloat(carrierInput.value);
+        return Number.isFinite(value) ? Math.max(40, Math.min(1000, value)) : DEFAULT_ENTRAINMENT_CARRIER;
+    };
+
+    const updateStatus = () => {
+        const band = ENTRAINMENT_PRESETS[preset];
+        const beat = Math.round(generator.getCurrentBeat() * 10) / 10;
+        const remaining = generator.getRampRemaining();
+
+        if (!generator.isPlaying) {
+            status.textContent = `${band.label} ${band.beat} Hz on a ${generator.carrier} Hz carrier - press start.`;
+        } else if (remaining > 0) {
+            status.textContent = `${beat} Hz, gliding to ${band.label} ${band.beat} Hz • ${formatTime(remaining)} left`;
+        } else {
+            status.textContent = `${band.label} ${beat} Hz • ${band.description} • ${generator.carrier} Hz carrier`;
+        }
+    };
+
+    const updateControls = () => {
+        presetButtons.forEach(button => {
+            const active = button.dataset.preset === preset;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        toggleBtn.textContent = generator.isPlaying ? 'Stop' : 'Start';
+        toggleBtn.classList.toggle('active', generator.isPlaying);
+        toggleBtn.setAttribute('aria-pressed', generator.isPlaying ? 'true' : 'false');
+        notice.hidden = modeSelect.value !== 'binaural';
+        carrierInput.disabled = carrierSelect.value !== 'custom';
+        carrierInput.value = getCarrier();
+        updateStatus();
+    };
+
+    const start = (beat = ENTRAINMENT_PRESETS[preset].beat) => {
+        generator.start({
+            mode: modeSelect.value,
+            carrier: getCarrier(),
+            beat,
+            level: parseInt(levelSlider.value, 10) / 100
+        });
+        clearInterval(statusTimer);
+        statusTimer = setInterval(updateStatus, 1000);
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (generator.isPlaying) {
+            generator.stop();
+            clearInterval(statusTimer);
+        } else {
+            renderCarrierOptions();
+            start();
+        }
+        updateControls();
+    });
+
+    // While playing, a new band is reached by a slow ramp rather than a jump
+    presetButtons.forEach(button => {
+        button.addEventListener('click', () => {
+            preset = button.dataset.preset;
+            const minutes = Math.max(0, parseFloat(rampInput.value) || 0);
+            generator.setBeat(ENTRAINMENT_PRESETS[preset].beat, minutes * 60);
+            updateControls();
+        });
+    });
+
+    // Switching mode mid-glide picks the ramp up where it was
+    modeSelect.addEventListener('change', () => {
+        if (generator.isPlaying) {
+            const remaining = generator.getRampRemaining();
+            start(generator.getCurrentBeat());
+            if (remaining > 0) generator.setBeat(ENTRAINMENT_PRESETS[preset].beat, remaining);
+        }
+        updateControls();
+    });
+
+    carrierSelect.addEventListener('focus', renderCarrierOptions);
+    carrierSelect.addEventListener('change', () => {
+        generator.setCarrier(getCarrier());
+        updateControls();
+    });
+    carrierInput.addEventListener('change', () => {
+        generator.setCarrier(getCarrier());
+        updateControls();
+    });
+
+    levelSlider.addEventListener('input', () => {
+        generator.setLevel(parseInt(levelSlider.value, 10) / 100);
+    });
+
+    window.audioEngine.on('stopAll', updateControls);
+
+    renderCarrierOptions();
+    updateControls();
+}
+
+// Session Recorder
+function initializeRecorder() {
+    const recorder = window.sessionRecorder;
+    const recordBtn = document.getElementById('recordBtn');
+    const renderBtn = document.getElementById('renderWavBtn');
+    const bitDepthSelect = document.getElementById('recordBitDepth');
+    const status = document.getElementById('recorderStatus');
+    if (!recorder || !recordBtn || !renderBtn) return;
+
+    recordBtn.addEventListener('click', () => {
+        if (recorder.isRecording) {
+            recorder.stop();
+            recordBtn.classList.remove('recording');
+            recordBtn.setAttribute('aria-pressed', 'false');
+            recordBtn.textContent = '⏺ Record';
+            renderBtn.disabled = !recorder.hasRecording();
+            status.textContent = recorder.hasRecording()
+                ? `Recorded ${recorder.events.length} strikes • ${formatTime(recorder.getDuration())} to render`
+                : 'Nothing was played - press record, then play.';
+        } else if (recorder.start()) {
+            recordBtn.classList.add('recording');
+            recordBtn.setAttribute('aria-pressed', 'true');
+            recordBtn.textContent = '⏹ Stop';
+            renderBtn.disabled = true;
+            status.textContent = 'Recording...';
+        }
+    });
+
+    renderBtn.addEventListener('click', async () => {
+        const bitDepth = parseInt(bitDepthSelect.value, 10);
+        renderBtn.disabled = true;
+        status.textContent = 'Rendering session...';
+
+        try {
+            const blob = await recorder.exportWav(bitDepth);
+            downloadBlob(blob, `sound-bath-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}.wav`);
+            status.textContent = `Saved ${bitDepth}-bit WAV (${(blob.size / 1048576).toFixed(1)} MB)`;
+        } catch (error) {
+            console.error('Session render failed:', error);
+            status.textContent = 'Render failed - the session may be too long for this device.';
+        } finally {
+            renderBtn.disabled = false;
+        }
+    });
+}
+
+// Journey Sequencer
+function initializeSequencer() {
+    const sequencer = window.journeySequencer;
+    const select = document.getElementById('journeySelect');
+    const playBtn = document.getElementById('journeyPlayBtn');
+    const stopBtn = document.getElementById('journeyStopBtn');
+    const progress = document.getElementById('journeyProgress');
+    const elapsed = document.getElementById('journeyElapsed');
+    const total = document.getElementById('journeyTotal');
+    const status = document.getElementById('journeyStatus');
+    if (!sequencer || !select || !playBtn) return;
+
+    let isSeeking = false;
+
+    const journeys = new Map(Object.entries(JOURNEY_PRESETS));
+    const addJourneyOption = (key, journey) => {
+        journeys.set(key, journey);
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = journey.name;
+        select.appendChild(option);
+    };
+    journeys.forEach((journey, key) => addJourneyOption(key, journey));
+
+    sequencer.onTrigger = (event, delaySeconds) => {
+        const durationMs = event.duration ? event.duration * 1000 : AUDIO_DURATIONS[event.target.family];
+        setTimeout(() => {
+            if (!sequencer.isScheduled(event)) return; // Paused, stopped or moved before the strike came due
+            flashInstrument(getInstrumentElement(event.target), durationMs);
+            status.textContent = `${formatTime(event.time)} • ${event.target.path}${event.style ? ` (${event.style})` : ''}`;
+        }, delaySeconds * 1000);
+    };
+
+    sequencer.onProgress = (position, duration) => {
+        progress.max = Math.ceil(duration);
+        total.textContent = formatTime(duration);
+        elapsed.textContent = formatTime(position);
+        if (!isSeeking) {
+            progress.value = position;
+            progress.style.setProperty('--progress', `${duration ? (position / duration) * 100 : 0}%`);
+        }
+    };
+
+    sequencer.onStateChange = (state) => {
+        const isPlaying = state === 'playing';
+        playBtn.textContent = isPlaying ? '❚❚ Pause' : state === 'paused' ? '▶ Resume' : '▶ Play';
+        playBtn.classList.toggle('active', isPlaying);
+        playBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+        if (state === 'stopped') status.textContent = 'Journey complete.';
+        window.mediaSessionControls?.update();
+    };
+
+    const loadSelected = () => {
+        const journey = journeys.get(select.value);
+        applyJourney(journey);
+        sequencer.load(journey);
+        status.textContent = `${sequencer.events.length} strikes over ${formatTime(sequencer.duration)}`;
+    };
+    select.addEventListener('change', loadSelected);
+    loadSelected();
+
+    playBtn.addEventListener('click', () => {
+        if (sequencer.state === 'playing') {
+            sequencer.pause();
+        } else if (sequencer.state === 'paused') {
+            sequencer.resume();
+        } else {
+            sequencer.play();
+        }
+    });
+
+    stopBtn.addEventListener('click', () => {
+        sequencer.stop();
+        status.textContent = 'Journey stopped.';
+    });
+
+    progress.addEventListener('pointerdown', () => { isSeeking = true; });
+    progress.addEventListener('input', () => {
+        elapsed.textContent = formatTime(progress.value);
+        progress.style.setProperty('--progress', `${(progress.value / progress.max) * 100}%`);
+    });
+    progress.addEventListener('change', () => {
+        isSeeking = false;
+        sequencer.seek(Number(progress.value));
+    });
+
+    // Journey files
+    const panel = document.getElementById('sequencerPanel');
+    const fileInput = document.getElementById('journeyFileInput');
+    const errorList = document.getElementById('journeyErrors');
+    let importCount = 0;
+
+    const importJourneyFile = async (file) => {
+        errorList.innerHTML = '';
+        const result = validateJourney(await file.text());
+
+        if (!result.valid) {
+            formatJourneyErrors(result.errors).forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                errorList.appendChild(item);
+            });
+            status.textContent = `${file.name} has ${result.errors.length} problem${result.errors.length === 1 ? '' : 's'}:`;
+            return;
+        }
+
+        const key = `imported-${++importCount}`;
+        addJourneyOption(key, { ...result.journey, name: result.journey.name || file.name });
+        select.value = key;
+        loadSelected();
+    };
+
+    document.getElementById('journeyImportBtn')?.addEventListener('click', () => fileInput.click());
+    fileInput?.addEventListener('change', () => {
+        if (fileInput.files[0]) importJourneyFile(fileInput.files[0]);
+        fileInput.value = '';
+    });
+
+    document.getElementById('journeyExportBtn')?.addEventListener('click', () => {
+        const current = sequencer.journey || {};
+        const journey = createJourneyDocument({
+            name: current.name,
+            duration: current.duration,
+            events: current.events,
+            styles: { ...playStyles },
+            levels: { master: window.audioEngine.masterVolume, ambient: window.audioEngine.ambientLevel },
+            instruments: getCustomInstruments()
+        });
+        const slug = journey.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'journey';
+        downloadBlob(new Blob([JSON.stringify(journey, null, 2)], { type: 'application/json' }), `${slug}.journey.json`);
+    });
+
+    // Drop a journey file anywhere on the page
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+    window.addEventListener('dragover', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        panel.classList.add('drop-active');
+    });
+    window.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) panel.classList.remove('drop-active');
+    });
+    window.addEventListener('drop', (e) => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        panel.classList.remove('drop-active');
+        const file = e.dataTransfer.files[0];
+        if (file) importJourneyFile(file);
+    });
+}
+
+// Apply a journey's instruments, play styles and levels to the sanctuary
+function applyJourney(journey) {
+    applyJourneyInstruments(journey.instruments);
+    renderCrystalBowls();
+    renderTibetanBowls();
+    renderHandpans();
+    labelFixedInstruments();
+
+    Object.entries(journey.styles || {}).forEach(([group, style]) => setPlayStyle(group, style));
+
+    if (journey.levels?.master !== undefined) {
+        setMasterVolumeControl(journey.levels.master);
+    }
+    if (journey.levels?.ambient !== undefined) {
+        setAmbientVolumeControl(journey.levels.ambient);
+    }
+}
+
+// Presets
+function initializePresets(sharedPreset) {
+    const library = window.presetLibrary;
+    const select = document.getElementById('presetSelect');
+    const nameInput = document.getElementById('presetName');
+    const deleteBtn = document.getElementById('presetDeleteBtn');
+    const status = document.getElementById('presetStatus');
+    if (!library || !select) return;
+
+    const render = (selectedId) => {
+        select.innerHTML = '';
+        [['Built in', library.list().filter(preset => preset.builtin)], ['Saved', library.presets]].forEach(([label, presets]) => {
+            if (presets.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            presets.forEach(preset => {
+                const option = document.createElement('option');
+                option.value = preset.id;
+                option.textContent = preset.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        });
+        if (selectedId && library.get(selectedId)) select.value = selectedId;
+        deleteBtn.disabled = Boolean(library.get(select.value)?.builtin);
+    };
+
+    const recall = (preset) => {
+        applyPreset(preset);
+        nameInput.value = preset.builtin ? '' : preset.name;
+        status.textContent = `Recalled ${preset.name}`;
+    };
+
+    // The link is dropped from the address once recalled, so a reload keeps whatever the listener changes next
+    const recallShared = (preset) => {
+        recall(preset);
+        nameInput.value = preset.name;
+        status.textContent = `Recalled ${preset.name} from a shared link • Save it to keep it`;
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+    };
+
+    select.addEventListener('change', () => {
+        deleteBtn.disabled = Boolean(library.get(select.value)?.builtin);
+    });
+
+    document.getElementById('presetRecallBtn')?.addEventListener('click', () => {
+        const preset = library.get(select.value);
+        if (preset) recall(preset);
+    });
+
+    document.getElementById('presetSaveBtn')?.addEventListener('click', () => {
+        try {
+            const preset = library.saveCurrent(nameInput.value);
+            render(preset.id);
+            status.textContent = `Saved ${preset.name}`;
+        } catch (error) {
+            status.textContent = error.message;
+        }
+    });
+
+    deleteBtn.addEventListener('click', () => {
+        const preset = library.get(select.value);
+        if (!preset || preset.builtin) return;
+        library.remove(preset.id);
+        render();
+        status.textContent = `Deleted ${preset.name}`;
+    });
+
+    document.getElementById('presetShareBtn')?.addEventListener('click', async () => {
+        const preset = library.get(select.value);
+        if (!preset) return;
+
+        const url = library.getShareUrl(preset);
+        try {
+            await navigator.clipboard.writeText(url);
+            status.textContent = `Link to ${preset.name} copied`;
+        } catch (error) {
+            // No clipboard access - leave the link in the address bar to copy from there
+            history.replaceState(null, '', url);
+            status.textContent = `Copy the link to ${preset.name} from the address bar`;
+        }
+    });
+
+    // A link opened in this tab while the sanctuary is already playing
+    window.addEventListener('hashchange', () => {
+        const link = getPresetLinkFromHash(window.location.hash);
+        if (!link) return;
+        try {
+            recallShared(decodePresetLink(link));
+        } catch (error) {
+            status.textContent = error.message;
+        }
+    });
+
+    render();
+    if (sharedPreset) recallShared(sharedPreset);
+}
+
+// Recall a preset - every level glides and the reverb crossfades, so the room shifts rather than jumps
+function applyPreset(preset) {
+    const engine = window.audioEngine;
+    const tuning = preset.tuning;
+    if (tuning && (tuning.reference !== window.tuningSystem.reference || tuning.temperament !== window.tuningSystem.temperament)) {
+        setTuningControl(tuning.reference, tuning.temperament);
+    }
+
+    Object.entries(preset.styles || {}).forEach(([group, style]) => setPlayStyle(group, style));
+
+    if (preset.master !== undefined) {
+        setMasterVolumeControl(preset.master, PRESET_SMOOTHING);
+    }
+    if (preset.ambient?.level !== undefined) {
+        setAmbientVolumeControl(preset.ambient.level);
+    }
+    if (preset.ambient?.beds) {
+        const soundscape = window.soundscape;
+        const beds = preset.ambient.beds;
+        soundscape.getActive().filter(key => beds[key] === undefined).forEach(key => soundscape.stop(key, PRESET_SMOOTHING * 5));
+        Object.entries(beds).forEach(([key, level]) => {
+            soundscape.setLevel(key, level);
+            soundscape.start(key);
+        });
+    }
+
+    if (preset.reverb && preset.reverb !== engine.reverb?.space) {
+        setReverbSpaceControl(preset.reverb, PRESET_SMOOTHING * 5);
+    }
+    if (preset.mixer) {
+        saveMixerState(engine.setMixerState(preset.mixer, undefined, PRESET_SMOOTHING));
+    }
+}
+
+// MIDI Input
+function initializeMidi() {
+    const midi = window.midiInput;
+    const connectBtn = document.getElementById('midiConnectBtn');
+    const poolSelect = document.getElementById('midiMatchPool');
+    const status = document.getElementById('midiStatus');
+    const rows = document.getElementById('midiMappingRows');
+    const addBtn = document.getElementById('midiAddMappingBtn');
+    if (!midi || !connectBtn) return;
+
+    Object.entries(MIDI_MATCH_POOLS).forEach(([key, pool]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = pool.label;
+        poolSelect.appendChild(option);
+    });
+    poolSelect.value = midi.matchPool;
+    poolSelect.addEventListener('change', () => {
+        midi.matchPool = poolSelect.value;
+    });
+
+    midi.onNoteOn = (target, note, velocity, isHeld) => {
+        const el = getInstrumentElement(target);
+        if (isHeld) {
+            holdInstrument(el);
+        } else {
+            flashInstrument(el, AUDIO_DURATIONS[target.family]);
+        }
+        status.textContent = `${midiNoteName(note)} (${note}) → ${target.path} • velocity ${Math.round(velocity * 127)}`;
+    };
+    midi.onNoteOff = (target, release) => {
+        if (release > 0) flashInstrument(getInstrumentElement(target), release * 1000);
+    };
+    midi.onMasterVolume = (value) => {
+        const volumeSlider = document.getElementById('masterVolume');
+        if (volumeSlider) volumeSlider.value = Math.round(value * 100);
+        window.sessionTimer?.setBaseVolume(value);
+    };
+    midi.onStyleChange = (group, style) => setPlayStyle(group, style);
+    midi.onDevicesChange = (names) => {
+        status.textContent = names.length > 0
+            ? `Listening to ${names.join(', ')}`
+            : 'MIDI connected - plug in a controller.';
+    };
+
+    if (!MidiInput.isSupported()) {
+        connectBtn.disabled = true;
+        status.textContent = 'Web MIDI is not available in this browser.';
+    }
+
+    connectBtn.addEventListener('click', async () => {
+        if (midi.access) {
+            midi.disconnect();
+            connectBtn.textContent = 'Connect MIDI';
+            connectBtn.classList.remove('active');
+            connectBtn.setAttribute('aria-pressed', 'false');
+            status.textContent = 'MIDI disconnected.';
+            return;
+        }
+
+        try {
+            await midi.connect();
+            connectBtn.textContent = 'Disconnect MIDI';
+            connectBtn.classList.add('active');
+            connectBtn.setAttribute('aria-pressed', 'true');
+        } catch (error) {
+            console.error('MIDI access failed:', error);
+            status.textContent = 'MIDI access was refused.';
+        }
+    });
+
+    // Mapping table - one row per mapped note
+    const renderMappingRows = () => {
+        rows.innerHTML = '';
+        const paths = listInstrumentPaths();
+
+        Object.entries(midi.mapping)
+            .sort(([a], [b]) => a - b)
+            .forEach(([note, path]) => {
+                const row = document.createElement('tr');
+
+                const noteInput = document.createElement('input');
+                noteInput.type = 'number';
+                noteInput.min = 0;
+                noteInput.max = 127;
+                noteInput.value = note;
+                noteInput.className = 'tool-input';
+                noteInput.setAttribute('aria-label', `MIDI note ${midiNoteName(Number(note))}`);
+                noteInput.addEventListener('change', () => {
+                    const newNote = Math.max(0, Math.min(127, parseInt(noteInput.value, 10) || 0));
+                    midi.setMapping(note, null);
+                    midi.setMapping(newNote, path);
+                    renderMappingRows();
+                });
+
+                const targetSelect = document.createElement('select');
+                targetSelect.className = 'tool-select';
+                targetSelect.setAttribute('aria-label', `Instrument for MIDI note ${note}`);
+                paths.forEach(optionPath => {
+                    const option = document.createElement('option');
+                    option.value = optionPath;
+                    option.textContent = `${optionPath} · ${resolveInstrument(optionPath).frequency} Hz`;
+                    targetSelect.appendChild(option);
+                });
+                targetSelect.value = path;
+                targetSelect.addEventListener('change', () => midi.setMapping(note, targetSelect.value));
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'remove-btn';
+                removeBtn.textContent = '×';
+                removeBtn.setAttribute('aria-label', `Remove mapping for MIDI note ${note}`);
+                removeBtn.addEventListener('click', () => {
+                    midi.setMapping(note, null);
+                    renderMappingRows();
+                });
+
+                [noteInput, targetSelect, removeBtn].forEach(control => {
+                    const cell = document.createElement('td');
+                    cell.appendChild(control);
+                    row.appendChild(cell);
+                });
+                rows.appendChild(row);
+            });
+    };
+
+    // New rows start from the last key pressed, so press a pad then click Add
+    addBtn.addEventListener('click', () => {
+        let note = midi.lastNote ?? 60;
+        while (midi.mapping[note] && note < 127) note++;
+        const nearest = midi.findNearestInstrument(midiNoteToFrequency(note));
+        midi.setMapping(note, nearest ? nearest.path : listInstrumentPaths()[0]);
+        renderMappingRows();
+    });
+
+    renderMappingRows();
+}
+
+// Keyboard Performance
+function initializeKeyboard() {
+    const keyboard = window.keyboardPerformance;
+    const toggleBtn = document.getElementById('keyboardToggleBtn');
+    const status = document.getElementById('keyboardStatus');
+    const rows = document.getElementById('keyboardLayoutRows');
+    const addBtn = document.getElementById('keyboardAddBindingBtn');
+    const resetBtn = document.getElementById('keyboardResetBtn');
+    if (!keyboard || !toggleBtn) return;
+
+    keyboard.onNoteOn = (target, code, isHeld) => {
+        const el = getInstrumentElement(target);
+        if (isHeld) {
+            holdInstrument(el);
+        } else {
+            flashInstrument(el, AUDIO_DURATIONS[target.family]);
+        }
+        status.textContent = `${keyCodeLabel(code)} → ${target.path}`;
+    };
+    keyboard.onNoteOff = (target, release) => {
+        if (release > 0) flashInstrument(getInstrumentElement(target), release * 1000);
+    };
+
+    toggleBtn.addEventListener('click', () => {
+        if (keyboard.enabled) {
+            keyboard.disable();
+            status.textContent = 'Keyboard performance is off.';
+        } else {
+            keyboard.enable();
+            status.textContent = 'Play with the number, top, home and bottom rows.';
+        }
+        toggleBtn.textContent = keyboard.enabled ? 'Disable keyboard' : 'Enable keyboard';
+        toggleBtn.classList.toggle('active', keyboard.enabled);
+        toggleBtn.setAttribute('aria-pressed', keyboard.enabled ? 'true' : 'false');
+        renderKeyHints();
+    });
+
+    // Layout table - one row per bound key
+    const captureKey = (button, onKey) => {
+        keyboard.cancelCapture(); // Puts back the label of a button still waiting for its key
+        const label = button.textContent;
+        keyboard.captureNextKey((code) => {
+            onKey(code);
+            status.textContent = `Bound ${keyCodeLabel(code)}.`;
+        }, () => {
+            button.textContent = label;
+            status.textContent = 'Binding cancelled.';
+        });
+        button.textContent = 'Press a key…';
+        status.textContent = 'Press the key to bind, or Escape to cancel.';
+    };
+
+    const renderLayoutRows = () => {
+        rows.innerHTML = '';
+        const paths = listInstrumentPaths();
+
+        Object.entries(keyboard.layout).forEach(([code, path]) => {
+            const row = document.createElement('tr');
+
+            const keyBtn = document.createElement('button');
+            keyBtn.className = 'style-btn key-btn';
+            keyBtn.textContent = keyCodeLabel(code);
+            keyBtn.setAttribute('aria-label', `Key ${keyCodeLabel(code)} - press to rebind`);
+            keyBtn.addEventListener('click', () => captureKey(keyBtn, (newCode) => {
+                keyboard.setBinding(code, null);
+                keyboard.setBinding(newCode, path);
+                renderLayoutRows();
+                renderKeyHints();
+            }));
+
+            const targetSelect = document.createElement('select');
+            targetSelect.className = 'tool-select';
+            targetSelect.setAttribute('aria-label', `Instrument for key ${keyCodeLabel(code)}`);
+            paths.forEach(optionPath => {
+                const option = document.createElement('option');
+                option.value = optionPath;
+                option.textContent = `${optionPath} · ${resolveInstrument(optionPath).frequency} Hz`;
+                targetSelect.appendChild(option);
+            });
+            targetSelect.value = path;
+            targetSelect.addEventListener('change', () => {
+                keyboard.setBinding(code, targetSelect.value);
+                renderKeyHints();
+            });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-btn';
+            removeBtn.textContent = '×';
+            removeBtn.setAttribute('aria-label', `Remove binding for key ${keyCodeLabel(code)}`);
+            removeBtn.addEventListener('click', () => {
+                keyboard.setBinding(code, null);
+                renderLayoutRows();
+                renderKeyHints();
+            });
+
+            [keyBtn, targetSelect, removeBtn].forEach(control => {
+                const cell = document.createElement('td');
+                cell.appendChild(control);
+                row.appendChild(cell);
+            });
+            rows.appendChild(row);
+        });
+    };
+
+    // New bindings start on the first instrument without a key
+    addBtn.addEventListener('click', () => captureKey(addBtn, (code) => {
+        addBtn.textContent = 'Add binding';
+        const paths = listInstrumentPaths();
+        keyboard.setBinding(code, paths.find(path => !keyboard.getKeyForPath(path)) || paths[0]);
+        renderLayoutRows();
+        renderKeyHints();
+    }));
+
+    resetBtn.addEventListener('click', () => {
+        keyboard.resetLayout();
+        renderLayoutRows();
+        renderKeyHints();
+        status.textContent = 'Layout reset to default.';
+    });
+
+    renderLayoutRows();
+}
+
+// Overlay each bound key on its instrument while performance mode is on
+function renderKeyHints() {
+    const keyboard = window.keyboardPerformance;
+
+    document.querySelectorAll('.key-hint').forEach(hint => hint.remove());
+    document.querySelectorAll('[aria-keyshortcuts]').forEach(el => el.removeAttribute('aria-keyshortcuts'));
+    if (!keyboard?.enabled) return;
+
+    Object.entries(keyboard.layout).forEach(([code, path]) => {
+        const target = resolveInstrument(path);
+        const el = target && getInstrumentElement(target);
+        if (!el || el.querySelector('.key-hint')) return;
+
+        const hint = document.createElement('kbd');
+        hint.className = 'key-hint';
+        hint.textContent = keyCodeLabel(code);
+        hint.setAttribute('aria-hidden', 'true');
+        el.appendChild(hint);
+        el.setAttribute('aria-keyshortcuts', keyCodeLabel(code));
+    });
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
 // Visualizer
 function initializeVisualizer() {
     const canvas = document.getElementById('visualizerCanvas');
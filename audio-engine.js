@@ -3,48 +3,103 @@
  * Uses Web Audio API to synthesize realistic instrument sounds
  */
 
+const GATE_MAX_DURATION = 600; // Gated voices run until noteOff, capped at ten minutes
+
+// Sustained styles that can be held open, and how long each rings on after release
+const GATE_VOICES = {
+    playDidgeridoo: { styles: null, release: 0.4 },
+    playPanFlute: { styles: ['sustained'], release: 0.5 },
+    playTibetanBowl: { styles: ['singing'], release: 5 },
+    playCrystalBowl: { styles: ['rim'], release: 4 }
+};
+
+// Voice type and mixer channel for sampled playback through each play method
+const SAMPLE_VOICES = {
+    playCrystalBowl: { type: 'crystal', channel: 'crystal' },
+    playTibetanBowl: { type: 'tibetan', channel: 'tibetan' },
+    playGong: { type: 'gong', channel: 'gong' },
+    playDidgeridoo: { type: 'didgeridoo', channel: 'wind' },
+    playPanFlute: { type: 'panflute', channel: 'wind' },
+    playHandpan: { type: 'handpan', channel: 'handpan' }
+};
+
+// Drone voices: ratios are each string or reed against the root (Sa)
+const DRONE_VOICES = {
+    tanpura: { label: 'Tanpura', ratios: [0.75, 1, 1, 0.5], cycle: 4.8 }, // Pa, Sa, Sa, low Sa
+    shruti: { label: 'Shruti box', ratios: [0.5, 1, 1.5], levels: [0.7, 1, 0.6] }
+};
+
 class AudioEngine {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.masterVolume = 0.7;
         this.analyser = null;
         this.isInitialized = false;
         this.activeOscillators = new Map();
+        this.reverb = null;
         this.reverbNode = null;
+        this.impulseData = null; // Last user impulse response, for offline renders
+        this.mixer = null;
+        this.mixerState = createMixerState(); // Kept here so settings made before initialize() still apply
         this.idCounter = 0;
         this.maxPolyphony = 32; // Limit simultaneous sounds
-        this.ambientSource = null;
         this.ambientGain = null;
-        this.isAmbientPlaying = false;
+        this.ambientLevel = 0.4;
+        this.drone = null; // { style, frequency, output, sources, reeds, nextPluck, string, timer }
+        this.droneLevel = 0.5;
+        this.listeners = new Map();
+        this.random = Math.random; // Swapped for a seeded generator when rendering offline
+        this.synthesis = loadSynthesisSettings(); // Per family: 'oscillator' voices or the 'modal' physical model
+        this.modalReady = false; // Set once the resonator worklet has loaded
+        this.sampleZones = new Map(); // method -> recordings from the enabled sample packs
+        this.isOffline = false;
+        this.keepAlive = null; // Silent looping <audio> that keeps phones playing with the screen locked
     }
 
-    async initialize() {
+    // Pass an OfflineAudioContext to build the same graph for offline rendering
+    async initialize(context = null) {
         if (this.isInitialized) return true;
 
         try {
-            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.audioContext = context || new (window.AudioContext || window.webkitAudioContext)();
+            this.isOffline = Boolean(context);
 
             // Handle suspended audio context (browser autoplay restrictions)
-            if (this.audioContext.state === 'suspended') {
+            if (!context && this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
+            if (!context) this.startKeepAlive(); // Still inside the tap that started the sanctuary
 
             // Master gain
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = 0.7;
+            this.masterGain.gain.value = this.masterVolume;
 
             // Create reverb
             this.reverbNode = await this.createReverb();
 
+            // Channel strips feed the dry bus and send into the reverb; both return on the master bus
+            this.mixer = new MixerBus(this.audioContext, this.reverb);
+            this.mixer.apply(this.mixerState, 0, 0);
+
+            // Ambient bus - every soundscape bed mixes here under one level, into the ambient strip
+            this.ambientGain = this.audioContext.createGain();
+            this.ambientGain.gain.value = this.ambientLevel;
+            this.ambientGain.connect(this.getChannelInput('ambient'));
+
+            // Physical models run in a worklet; without one every family keeps its oscillator voices
+            this.modalReady = await this.loadModalWorklet();
+
             // Analyser for visualization
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = 256;
 
-            // Connect: reverb -> analyser -> master -> destination
-            this.reverbNode.connect(this.analyser);
+            // Connect: mixer -> analyser -> master -> destination
+            this.mixer.output.connect(this.analyser);
             this.analyser.connect(this.masterGain);
             this.masterGain.connect(this.audioContext.destination);
 
+            if (!context) this.watchInterruptions();
             this.isInitialized = true;
             return true;
         } catch (error) {
@@ -53,9 +108,11 @@ class AudioEngine {
         }
     }
 
+    // Every voice calls this before it schedules anything. Resuming is async, but notes booked
+    // meanwhile simply start once the context runs again.
     async ensureAudioContext() {
-        if (!this.audioContext) return false;
-        if (this.audioContext.state === 'suspended') {
+        if (!this.audioContext || this.isOffline) return Boolean(this.audioContext);
+        if (this.audioContext.state === 'suspended' || this.audioContext.state === 'interrupted') {
             try {
                 await this.audioContext.resume();
             } catch (error) {
@@ -66,27 +123,151 @@ class AudioEngine {
         return this.audioContext.state === 'running';
     }
 
+    // A locked screen, a phone call or a background tab can suspend the context ('interrupted' on iOS).
+    // Resume whenever the browser allows it, so a sleep session carries on instead of dying with the screen.
+    watchInterruptions() {
+        const resume = () => {
+            if (this.audioContext.state === 'closed') return;
+            if (this.keepAlive?.paused) this.keepAlive.play().catch(() => {});
+            if (this.audioContext.state !== 'running') this.ensureAudioContext();
+        };
+
+        this.audioContext.addEventListener('statechange', () => {
+            this.emit('state', { state: this.audioContext.state, time: this.audioContext.currentTime });
+            if (this.audioContext.state !== 'running') resume();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') resume();
+        });
+        // iOS only lets a touch wake an interrupted context
+        document.addEventListener('pointerdown', resume, true);
+    }
+
+    // Phones suspend a page's audio once the screen locks unless it is also playing media, so a
+    // silent looping <audio> holds the session open. Desktop tabs play on in the background anyway.
+    startKeepAlive() {
+        if (this.keepAlive || typeof Audio === 'undefined' || !window.matchMedia?.('(pointer: coarse)').matches) return;
+
+        const silence = { numberOfChannels: 1, length: 8000, sampleRate: 8000, getChannelData: () => new Float32Array(8000) };
+        this.keepAlive = new Audio(URL.createObjectURL(new Blob([encodeWav(silence)], { type: 'audio/wav' })));
+        this.keepAlive.loop = true;
+        this.keepAlive.setAttribute('playsinline', '');
+        this.keepAlive.play().catch(error => console.warn('Background playback unavailable:', error));
+    }
+
+    async loadModalWorklet() {
+        if (!this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') return false;
+        try {
+            await this.audioContext.audioWorklet.addModule(MODAL_WORKLET_URL);
+            return true;
+        } catch (error) {
+            console.warn('Modal synthesis unavailable:', error);
+            return false;
+        }
+    }
+
+    // Voices connect to the bus input; the active space is crossfaded behind it
     async createReverb() {
-        const convolver = this.audioContext.createConvolver();
-        const duration = 4;
-        const sampleRate = this.audioContext.sampleRate;
-        const length = sampleRate * duration;
-        const impulse = this.audioContext.createBuffer(2, length, sampleRate);
-
-        for (let channel = 0; channel < 2; channel++) {
-            const data = impulse.getChannelData(channel);
-            for (let i = 0; i < length; i++) {
-                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2);
-            }
+        this.reverb = new ReverbBus(this.audioContext, this.random);
+        this.reverb.setSpace(DEFAULT_REVERB_SPACE, 0);
+        return this.reverb.input;
+    }
+
+    setReverbSpace(key, fadeSeconds = REVERB_FADE_SECONDS, when) {
+        if (!this.reverb || !this.reverb.setSpace(key, fadeSeconds, when)) return false;
+        this.emit('reverb', { space: key, fade: fadeSeconds, time: this.getStartTime(when) });
+        return true;
+    }
+
+    // Decode a WAV (or any format the browser reads) and use it as the impulse response
+    async loadReverbImpulse(data, name = 'Custom impulse', fadeSeconds = REVERB_FADE_SECONDS, when) {
+        if (!this.reverb) return false;
+
+        // decodeAudioData detaches its input, so keep a copy for offline renders
+        const impulseData = data.slice(0);
+        const buffer = await this.audioContext.decodeAudioData(data);
+        this.reverb.setImpulse(buffer, name, fadeSeconds, when);
+        this.impulseData = impulseData;
+        this.emit('reverb', { space: 'custom', name, impulseData, fade: fadeSeconds, time: this.getStartTime(when) });
+        return true;
+    }
+
+    // Strip input a voice plays into, so each instrument family has its own fader and send
+    getChannelInput(channel) {
+        return this.mixer.getInput(channel);
+    }
+
+    getMixerState() {
+        return JSON.parse(JSON.stringify(this.mixerState));
+    }
+
+    // smoothing is the faders' time constant - presets glide slower than a hand on a fader
+    setMixerState(state, when, smoothing = MIXER_SMOOTHING) {
+        this.mixerState = normalizeMixerState(state);
+        if (this.mixer) {
+            this.mixer.apply(this.mixerState, when, smoothing);
+            this.emit('mixer', { state: this.getMixerState(), smoothing, time: this.getStartTime(when) });
         }
+        return this.getMixerState();
+    }
+
+    // Change part of one strip, e.g. setChannel('gong', { send: 0.9 })
+    setChannel(channel, settings, when) {
+        if (!MIXER_CHANNELS[channel]) return false;
+        const state = this.getMixerState();
+        state.channels[channel] = { ...state.channels[channel], ...settings };
+        this.setMixerState(state, when);
+        return true;
+    }
+
+    setMixerMaster(settings, when) {
+        const state = this.getMixerState();
+        state.master = { ...state.master, ...settings };
+        this.setMixerState(state, when);
+    }
 
-        convolver.buffer = impulse;
-        return convolver;
+    // Switch a family between oscillators and the physical model, e.g. setSynthesis('tibetan', 'modal')
+    setSynthesis(family, backend) {
+        if (!MODAL_MODELS[family] || !SYNTHESIS_BACKENDS[backend]) return false;
+        this.synthesis = { ...this.synthesis, [family]: backend };
+        return true;
     }
 
-    setMasterVolume(value) {
+    // Recordings from sample packs take over the instruments they were made for; the rest stay synthesized
+    setSampleZones(zones) {
+        this.sampleZones = new Map();
+        zones.forEach(zone => {
+            if (!this.sampleZones.has(zone.method)) this.sampleZones.set(zone.method, []);
+            this.sampleZones.get(zone.method).push(zone);
+        });
+    }
+
+    // Recordings made for the instrument being struck, in this style, else those made for every style.
+    // A zone's instrument path is resolved now, so it follows tuning changes; within a cent counts as a match.
+    getSampleZones(method, style, frequency) {
+        const zones = (this.sampleZones.get(method) || []).filter(zone => {
+            const target = resolveInstrument(zone.instrument);
+            return Boolean(target) && Math.abs(1200 * Math.log2(target.frequency / frequency)) < 1;
+        });
+        const styled = zones.filter(zone => zone.style === style);
+        return styled.length > 0 ? styled : zones.filter(zone => zone.style === null);
+    }
+
+    hasSamples(method, frequency, style, options = {}) {
+        if (options.synthesis && options.synthesis !== 'sampler') return false;
+        return this.getSampleZones(method, style, frequency).length > 0;
+    }
+
+    // options.synthesis overrides the family setting, so recordings replay on the backend they were played with
+    useModal(family, options = {}) {
+        return this.modalReady && (options.synthesis || this.synthesis[family]) === 'modal';
+    }
+
+    setMasterVolume(value, smoothing = 0.1) {
+        this.masterVolume = value;
         if (this.masterGain) {
-            this.masterGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.1);
+            this.masterGain.gain.setTargetAtTime(value, this.audioContext.currentTime, smoothing);
+            this.emit('volume', { value, smoothing, time: this.audioContext.currentTime });
         }
     }
 
@@ -97,6 +278,47 @@ class AudioEngine {
         return data;
     }
 
+    // Event subscription - 'play' fires for every voice started by a play* method
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    emit(event, detail) {
+        this.listeners.get(event)?.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`AudioEngine ${event} listener failed:`, error);
+            }
+        });
+    }
+
+    // Voices start now unless a future context time is requested
+    getStartTime(when) {
+        const now = this.audioContext.currentTime;
+        return typeof when === 'number' && when > now ? when : now;
+    }
+
+    // Velocity (0-1, e.g. from MIDI) on a curve so dynamics feel natural; defaults to full
+    getVelocityGain(options = {}) {
+        if (typeof options.velocity !== 'number') return 1;
+        return Math.pow(Math.max(0, Math.min(1, options.velocity)), 1.5);
+    }
+
+    // Strike position from pointer input, 0 at the centre to 1 at the edge; keys and MIDI strike midway
+    getStrikePosition(options = {}) {
+        if (typeof options.position !== 'number') return 0.5;
+        return Math.max(0, Math.min(1, options.position));
+    }
+
     generateId(type) {
         return `${type}_${++this.idCounter}`;
     }
@@ -108,120 +330,282 @@ class AudioEngine {
     }
 
     enforcePolyphony() {
-        // Remove oldest sounds if we exceed max polyphony
+        // Release oldest sounds if we exceed max polyphony.
+        // The drone is not in activeOscillators, so it is never stolen.
         while (this.activeOscillators.size >= this.maxPolyphony) {
             const oldestId = this.activeOscillators.keys().next().value;
-            const oldest = this.activeOscillators.get(oldestId);
-            if (oldest) {
-                try {
-                    oldest.oscillators.forEach(osc => osc.stop());
-                } catch (e) {
-                    // Already stopped
-                }
-                this.activeOscillators.delete(oldestId);
-            }
+            this.stopVoice(oldestId, 0.05);
+            this.activeOscillators.delete(oldestId);
         }
     }
 
-    // Ambient ocean waves sound
-    startAmbient() {
-        if (this.isAmbientPlaying || !this.audioContext) return;
+    // Fade one voice's masterGain to silence, then stop its sources
+    stopVoice(id, releaseSeconds = 0.5, when) {
+        const voice = this.activeOscillators.get(id);
+        if (!voice || voice.releasing) return false;
 
-        // Create pink noise for ocean waves
-        const bufferSize = this.audioContext.sampleRate * 10; // 10 seconds loop
-        const noiseBuffer = this.audioContext.createBuffer(2, bufferSize, this.audioContext.sampleRate);
+        const now = this.getStartTime(when);
+        const release = Math.max(0.01, releaseSeconds);
+        const gain = voice.masterGain.gain;
 
-        // Generate pink noise with wave-like modulation
-        for (let channel = 0; channel < 2; channel++) {
-            const data = noiseBuffer.getChannelData(channel);
-            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+        // Hold the current level so the fade starts where the envelope is
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(now);
+        } else {
+            gain.cancelScheduledValues(now);
+            gain.setValueAtTime(gain.value, now);
+        }
+        gain.setTargetAtTime(0, now, release / 5);
 
-            for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
+        // A rubbing stick lifts off the rim and the bowl rings out under the fade
+        if (voice.drive) {
+            voice.drive.offset.cancelScheduledValues(now);
+            voice.drive.offset.setTargetAtTime(0, now, 0.05);
+        }
 
-                // Pink noise filter (Paul Kellet's algorithm)
-                b0 = 0.99886 * b0 + white * 0.0555179;
-                b1 = 0.99332 * b1 + white * 0.0750759;
-                b2 = 0.96900 * b2 + white * 0.1538520;
-                b3 = 0.86650 * b3 + white * 0.3104856;
-                b4 = 0.55000 * b4 + white * 0.5329522;
-                b5 = -0.7616 * b5 - white * 0.0168980;
+        [...voice.oscillators, ...(voice.modulators || [])].forEach(osc => {
+            try {
+                osc.stop(now + release);
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        voice.releasing = true;
 
-                const pink = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
-                b6 = white * 0.115926;
+        this.emit('stop', { id, release, time: now });
+        return true;
+    }
 
-                // Wave-like amplitude modulation
-                const waveEnvelope = 0.3 + 0.7 * Math.pow(Math.sin(i / (bufferSize / 6) * Math.PI), 2);
-                data[i] = pink * 0.05 * waveEnvelope;
-            }
+    // Hand-mute every ringing voice of one instrument type, optionally a single pitch
+    dampen(instrumentType, frequency = null, releaseSeconds = 0.4) {
+        let count = 0;
+        this.activeOscillators.forEach((voice, id) => {
+            if (voice.type !== instrumentType) return;
+            if (frequency !== null && voice.frequency !== frequency) return;
+            if (this.stopVoice(id, releaseSeconds)) count++;
+        });
+        return count;
+    }
+
+    releaseAll(fadeSeconds = 3) {
+        this.activeOscillators.forEach((voice, id) => this.stopVoice(id, fadeSeconds));
+    }
+
+    canGate(method, style) {
+        const gate = GATE_VOICES[method];
+        return Boolean(gate) && (!gate.styles || gate.styles.includes(style));
+    }
+
+    // Gate playback: sustained styles ring until noteOff() instead of a fixed duration
+    noteOn(method, frequency, style, options = {}) {
+        if (!this.canGate(method, style)) {
+            return this[method](frequency, style, undefined, options);
         }
 
-        this.ambientSource = this.audioContext.createBufferSource();
-        this.ambientSource.buffer = noiseBuffer;
-        this.ambientSource.loop = true;
+        const id = this[method](frequency, style, GATE_MAX_DURATION, { ...options, gate: true });
+        const voice = this.activeOscillators.get(id);
+        if (voice) voice.gateRelease = GATE_VOICES[method].release;
+        return id;
+    }
 
-        // Low-pass filter for softer ocean sound
-        const filter = this.audioContext.createBiquadFilter();
-        filter.type = 'lowpass';
-        filter.frequency.value = 800;
-        filter.Q.value = 0.5;
+    // Returns the release time so the UI can follow the ring-out (0 for one-shot voices)
+    noteOff(id, releaseSeconds) {
+        const voice = this.activeOscillators.get(id);
+        if (!voice || voice.gateRelease === undefined) return 0;
 
-        // Gain for fade in/out
-        this.ambientGain = this.audioContext.createGain();
-        this.ambientGain.gain.value = 0;
+        const release = releaseSeconds ?? voice.gateRelease;
+        this.stopVoice(id, release);
+        return release;
+    }
 
-        // Connect: source -> filter -> gain -> reverb
-        this.ambientSource.connect(filter);
-        filter.connect(this.ambientGain);
-        this.ambientGain.connect(this.reverbNode);
+    setAmbientVolume(value) {
+        this.ambientLevel = value;
+        if (this.ambientGain) {
+            this.ambientGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.5);
+        }
+    }
 
-        this.ambientSource.start();
+    // Drone - a tanpura or shruti box bed that sounds until stopDrone(), outside the polyphony limit
+    startDrone(frequency, style = 'tanpura') {
+        if (!this.audioContext || !DRONE_VOICES[style]) return false;
+        this.ensureAudioContext();
+        if (this.drone) this.stopDrone(1);
 
-        // Fade in
-        this.ambientGain.gain.setTargetAtTime(0.4, this.audioContext.currentTime, 1);
-        this.isAmbientPlaying = true;
+        const ctx = this.audioContext;
+        const now = ctx.currentTime;
+        const output = ctx.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.setTargetAtTime(this.droneLevel, now, 1);
+        output.connect(this.getChannelInput('drone'));
+
+        this.drone = { style, frequency, output, sources: [], reeds: [], nextPluck: now + 0.1, string: 0, timer: null };
+
+        if (style === 'shruti') {
+            this.startShrutiReeds(this.drone);
+        } else {
+            this.drone.wave = this.createTanpuraWave();
+            this.scheduleTanpura();
+            this.drone.timer = setInterval(() => this.scheduleTanpura(), 250);
+        }
+        return true;
     }
 
-    stopAmbient() {
-        if (!this.isAmbientPlaying || !this.ambientGain) return;
+    stopDrone(releaseSeconds = 3) {
+        if (!this.drone) return false;
 
-        // Fade out
+        const { output, sources, timer } = this.drone;
         const now = this.audioContext.currentTime;
-        this.ambientGain.gain.setTargetAtTime(0, now, 0.5);
-
-        // Stop after fade
-        setTimeout(() => {
-            if (this.ambientSource) {
-                try {
-                    this.ambientSource.stop();
-                } catch (e) {
-                    // Already stopped
-                }
-                this.ambientSource = null;
-            }
-            this.ambientGain = null;
-            this.isAmbientPlaying = false;
-        }, 2000);
+        clearInterval(timer);
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(output.gain.value, now);
+        output.gain.setTargetAtTime(0, now, releaseSeconds / 5);
+        sources.forEach(source => source.stop(now + releaseSeconds));
+        setTimeout(() => output.disconnect(), releaseSeconds * 1000 + 100);
+
+        this.drone = null;
+        return true;
     }
 
-    toggleAmbient() {
-        if (this.isAmbientPlaying) {
-            this.stopAmbient();
-            return false;
-        } else {
-            this.startAmbient();
-            return true;
+    // Rekey a running drone; reeds glide, the tanpura picks the new root up on its next string
+    setDroneRoot(frequency, glideSeconds = 1.5) {
+        if (!this.drone) return;
+
+        this.drone.frequency = frequency;
+        const now = this.audioContext.currentTime;
+        this.drone.reeds.forEach(({ osc, ratio }) => {
+            osc.frequency.setTargetAtTime(frequency * ratio, now, glideSeconds / 3);
+        });
+    }
+
+    setDroneVolume(value) {
+        this.droneLevel = value;
+        if (this.drone) {
+            this.drone.output.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.3);
+        }
+    }
+
+    // Bright string spectrum - the jawari filter below decides which harmonics ring out
+    createTanpuraWave() {
+        const harmonics = 32;
+        const real = new Float32Array(harmonics + 1);
+        const imag = new Float32Array(harmonics + 1);
+        for (let n = 1; n <= harmonics; n++) {
+            imag[n] = 1 / Math.pow(n, 0.8);
         }
+        return this.audioContext.createPeriodicWave(real, imag);
+    }
+
+    // Keep a second of strings booked ahead; the cycle rests after the low Sa before Pa returns
+    scheduleTanpura() {
+        const drone = this.drone;
+        if (!drone || drone.style !== 'tanpura') return;
+
+        const { ratios, cycle } = DRONE_VOICES.tanpura;
+        const now = this.audioContext.currentTime;
+        const step = cycle / (ratios.length + 1);
+        if (drone.nextPluck < now) drone.nextPluck = now;
+
+        while (drone.nextPluck < now + 1) {
+            this.pluckTanpuraString(drone.frequency * ratios[drone.string], drone.nextPluck);
+            drone.string = (drone.string + 1) % ratios.length;
+            drone.nextPluck += (drone.string === 0 ? step * 2 : step) * (0.97 + this.random() * 0.06);
+        }
+    }
+
+    pluckTanpuraString(frequency, time) {
+        const ctx = this.audioContext;
+        const osc = ctx.createOscillator();
+        osc.setPeriodicWave(this.drone.wave);
+        osc.frequency.value = frequency * (1 + (this.random() - 0.5) * 0.002);
+
+        // Jawari: the curved bridge sweeps a buzzing resonance up through the harmonics as the string settles
+        const jawari = ctx.createBiquadFilter();
+        jawari.type = 'peaking';
+        jawari.Q.value = 3;
+        jawari.gain.value = 12;
+        jawari.frequency.setValueAtTime(frequency * 2, time);
+        jawari.frequency.exponentialRampToValueAtTime(Math.min(12000, frequency * 14), time + 1.8);
+        jawari.frequency.exponentialRampToValueAtTime(Math.min(12000, frequency * 6), time + 5);
+
+        const lowpass = ctx.createBiquadFilter();
+        lowpass.type = 'lowpass';
+        lowpass.frequency.setValueAtTime(6000, time);
+        lowpass.frequency.setTargetAtTime(1800, time, 2);
+
+        const envelope = ctx.createGain();
+        envelope.gain.setValueAtTime(0, time);
+        envelope.gain.linearRampToValueAtTime(0.12, time + 0.006);
+        envelope.gain.setTargetAtTime(0, time + 0.006, 2.2);
+
+        osc.connect(jawari);
+        jawari.connect(lowpass);
+        lowpass.connect(envelope);
+        envelope.connect(this.drone.output);
+        osc.start(time);
+        osc.stop(time + 9);
+    }
+
+    // Paired reeds a few cents apart, voiced through the box and breathing with the bellows
+    startShrutiReeds(drone) {
+        const ctx = this.audioContext;
+        const { ratios, levels } = DRONE_VOICES.shruti;
+
+        const body = ctx.createBiquadFilter();
+        body.type = 'lowpass';
+        body.frequency.value = 1400;
+        body.Q.value = 0.7;
+        const formant = ctx.createBiquadFilter();
+        formant.type = 'peaking';
+        formant.frequency.value = 900;
+        formant.Q.value = 1.5;
+        formant.gain.value = 6;
+
+        const bellows = ctx.createGain();
+        bellows.gain.value = 0.85;
+        const bellowsLfo = ctx.createOscillator();
+        bellowsLfo.frequency.value = 0.12;
+        const bellowsDepth = ctx.createGain();
+        bellowsDepth.gain.value = 0.15;
+        bellowsLfo.connect(bellowsDepth);
+        bellowsDepth.connect(bellows.gain);
+
+        ratios.forEach((ratio, i) => {
+            [-3, 3].forEach(cents => {
+                const osc = ctx.createOscillator();
+                osc.type = 'sawtooth';
+                osc.frequency.value = drone.frequency * ratio;
+                osc.detune.value = cents;
+                const gain = ctx.createGain();
+                gain.gain.value = levels[i] * 0.06;
+
+                osc.connect(gain);
+                gain.connect(body);
+                drone.reeds.push({ osc, ratio });
+                drone.sources.push(osc);
+            });
+        });
+
+        body.connect(formant);
+        formant.connect(bellows);
+        bellows.connect(drone.output);
+
+        drone.sources.push(bellowsLfo);
+        drone.sources.forEach(source => source.start());
     }
 
     // Crystal Singing Bowl - Pure sine waves with harmonics
-    playCrystalBowl(frequency, style = 'strike', duration = 8) {
+    playCrystalBowl(frequency, style = 'strike', duration = 8, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playCrystalBowl', frequency, style, options)) return this.playSample('playCrystalBowl', frequency, style, duration, options);
+        if (this.useModal('crystal', options)) return this.playModal('crystal', frequency, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('crystal');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
 
         const oscillators = [];
         const gains = [];
+        const modulators = [];
         const masterGain = this.audioContext.createGain();
 
         // Style-specific parameters
@@ -241,7 +625,7 @@ class AudioEngine {
             harmonicRatios = [1, 2, 2.98, 4.01, 5]; // slight detuning creates beating
             harmonicAmplitudes = [1, 0.7, 0.5, 0.3, 0.15];
             attack = 2.5;
-            sustain = duration * 0.5;
+            sustain = options.gate ? duration : duration * 0.5; // gated voices hold until noteOff
             release = duration * 0.3;
             peakAmp = 0.12;
             filterFreq = 5000;
@@ -256,6 +640,8 @@ class AudioEngine {
             filterFreq = 2500;
         }
 
+        peakAmp *= this.getVelocityGain(options);
+
         // Add filter for tonal shaping
         const filter = this.audioContext.createBiquadFilter();
         filter.type = 'lowpass';
@@ -263,7 +649,7 @@ class AudioEngine {
         filter.Q.value = 0.7;
 
         masterGain.connect(filter);
-        filter.connect(this.reverbNode);
+        filter.connect(this.getChannelInput('crystal'));
 
         harmonicRatios.forEach((ratio, index) => {
             const osc = this.audioContext.createOscillator();
@@ -271,7 +657,7 @@ class AudioEngine {
 
             osc.type = 'sine';
             osc.frequency.value = frequency * ratio;
-            osc.detune.value = (Math.random() - 0.5) * 5;
+            osc.detune.value = (this.random() - 0.5) * 5;
 
             gain.gain.value = 0;
             osc.connect(gain);
@@ -291,12 +677,13 @@ class AudioEngine {
             if (style === 'rim' && index === 0) {
                 const lfo = this.audioContext.createOscillator();
                 const lfoGain = this.audioContext.createGain();
-                lfo.frequency.value = 0.5 + Math.random() * 0.3; // slow wobble
+                lfo.frequency.value = 0.5 + this.random() * 0.3; // slow wobble
                 lfoGain.gain.value = frequency * 0.003; // subtle pitch variation
                 lfo.connect(lfoGain);
                 lfoGain.connect(osc.frequency);
                 lfo.start(now);
                 lfo.stop(now + duration);
+                modulators.push(lfo);
             }
         });
 
@@ -305,20 +692,27 @@ class AudioEngine {
             osc.stop(now + duration);
         });
 
-        this.activeOscillators.set(id, { oscillators, gains, masterGain });
+        this.activeOscillators.set(id, { type: 'crystal', frequency, oscillators, modulators, gains, masterGain });
         this.scheduleCleanup(id, oscillators[0]);
 
+        this.emit('play', { id, method: 'playCrystalBowl', frequency, style, duration, options, time: now });
+
         return id;
     }
 
     // Tibetan Bowl - Rich metallic overtones
-    playTibetanBowl(frequency, style = 'mallet', duration = 10) {
+    playTibetanBowl(frequency, style = 'mallet', duration = 10, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playTibetanBowl', frequency, style, options)) return this.playSample('playTibetanBowl', frequency, style, duration, options);
+        if (this.useModal('tibetan', options)) return this.playModal('tibetan', frequency, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('tibetan');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
 
         const oscillators = [];
         const gains = [];
+        const modulators = [];
         const masterGain = this.audioContext.createGain();
 
         // Style-specific parameters
@@ -353,13 +747,15 @@ class AudioEngine {
             detuneAmount = 5;
         }
 
+        peakAmp *= this.getVelocityGain(options);
+
         const filter = this.audioContext.createBiquadFilter();
         filter.type = 'lowpass';
         filter.frequency.value = filterFreq;
         filter.Q.value = filterQ;
 
         masterGain.connect(filter);
-        filter.connect(this.reverbNode);
+        filter.connect(this.getChannelInput('tibetan'));
 
         partials.forEach((partial, index) => {
             const osc = this.audioContext.createOscillator();
@@ -367,7 +763,7 @@ class AudioEngine {
 
             osc.type = 'sine';
             osc.frequency.value = frequency * partial;
-            osc.detune.value = (Math.random() - 0.5) * detuneAmount;
+            osc.detune.value = (this.random() - 0.5) * detuneAmount;
 
             gain.gain.value = 0;
             osc.connect(gain);
@@ -383,19 +779,23 @@ class AudioEngine {
                 gain.gain.setValueAtTime(0, now);
                 gain.gain.linearRampToValueAtTime(amp * 0.3, now + attack * 0.5);
                 gain.gain.linearRampToValueAtTime(amp, now + attack);
-                gain.gain.setValueAtTime(amp, now + attack + duration * 0.3);
-                gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+                // Gated voices hold the peak and leave the decay to noteOff's release
+                if (!options.gate) {
+                    gain.gain.setValueAtTime(amp, now + attack + duration * 0.3);
+                    gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
+                }
 
                 // Add amplitude wobble for singing effect
                 if (index === 0) {
                     const lfo = this.audioContext.createOscillator();
                     const lfoGain = this.audioContext.createGain();
-                    lfo.frequency.value = 3 + Math.random() * 2;
+                    lfo.frequency.value = 3 + this.random() * 2;
                     lfoGain.gain.value = amp * 0.15;
                     lfo.connect(lfoGain);
                     lfoGain.connect(gain.gain);
                     lfo.start(now + attack * 0.5);
                     lfo.stop(now + duration);
+                    modulators.push(lfo);
                 }
             } else if (style === 'water') {
                 // Water: bubbling amplitude modulation
@@ -406,22 +806,24 @@ class AudioEngine {
                 const bubbleLfo = this.audioContext.createOscillator();
                 const bubbleGain = this.audioContext.createGain();
                 bubbleLfo.type = 'sine';
-                bubbleLfo.frequency.value = 2 + Math.random() * 3;
+                bubbleLfo.frequency.value = 2 + this.random() * 3;
                 bubbleGain.gain.value = amp * 0.4;
                 bubbleLfo.connect(bubbleGain);
                 bubbleGain.connect(gain.gain);
                 bubbleLfo.start(now);
                 bubbleLfo.stop(now + duration);
+                modulators.push(bubbleLfo);
 
                 // Pitch wobble for water movement
                 const pitchLfo = this.audioContext.createOscillator();
                 const pitchGain = this.audioContext.createGain();
-                pitchLfo.frequency.value = 0.3 + Math.random() * 0.5;
+                pitchLfo.frequency.value = 0.3 + this.random() * 0.5;
                 pitchGain.gain.value = frequency * partial * 0.008;
                 pitchLfo.connect(pitchGain);
                 pitchGain.connect(osc.frequency);
                 pitchLfo.start(now);
                 pitchLfo.stop(now + duration);
+                modulators.push(pitchLfo);
 
                 gain.gain.exponentialRampToValueAtTime(0.001, now + duration);
             } else {
@@ -437,17 +839,23 @@ class AudioEngine {
             osc.stop(now + duration);
         });
 
-        this.activeOscillators.set(id, { oscillators, gains, masterGain });
+        this.activeOscillators.set(id, { type: 'tibetan', frequency, oscillators, modulators, gains, masterGain });
         this.scheduleCleanup(id, oscillators[0]);
 
+        this.emit('play', { id, method: 'playTibetanBowl', frequency, style, duration, options, time: now });
+
         return id;
     }
 
     // Gong - Complex wash of frequencies
-    playGong(baseFreq, style = 'soft', duration = 15) {
+    playGong(baseFreq, style = 'soft', duration = 15, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playGong', baseFreq, style, options)) return this.playSample('playGong', baseFreq, style, duration, options);
+        if (this.useModal('gong', options)) return this.playModal('gong', baseFreq, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('gong');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
 
         const oscillators = [];
         const gains = [];
@@ -485,13 +893,19 @@ class AudioEngine {
             detuneRange = 50;
         }
 
+        // Centre strikes are fuller and darker, edge strikes thinner and brighter with flatter partials
+        const position = this.getStrikePosition(options);
+        peak *= this.getVelocityGain(options) * (1.15 - 0.3 * position);
+        filterFreq *= 0.6 + 0.8 * position;
+        const partialRolloff = 0.3 - 0.2 * position;
+
         const filter = this.audioContext.createBiquadFilter();
         filter.type = 'lowpass';
         filter.frequency.value = filterFreq;
         filter.Q.value = filterQ;
 
         masterGain.connect(filter);
-        filter.connect(this.reverbNode);
+        filter.connect(this.getChannelInput('gong'));
 
         // For crescendo, animate the filter opening
         if (style === 'crescendo') {
@@ -515,7 +929,7 @@ class AudioEngine {
             for (let ch = 0; ch < 2; ch++) {
                 const data = noiseBuffer.getChannelData(ch);
                 for (let i = 0; i < noiseLength; i++) {
-                    data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / noiseLength, 0.5);
+                    data[i] = (this.random() * 2 - 1) * Math.pow(1 - i / noiseLength, 0.5);
                 }
             }
             const noiseSource = this.audioContext.createBufferSource();
@@ -549,10 +963,10 @@ class AudioEngine {
             const gain = this.audioContext.createGain();
 
             // Partial frequencies - more chaotic for crash
-            const freq = baseFreq * (1 + i * partialSpread + Math.random() * 0.3);
+            const freq = baseFreq * (1 + i * partialSpread + this.random() * 0.3);
             osc.type = 'sine';
             osc.frequency.value = freq;
-            osc.detune.value = (Math.random() - 0.5) * detuneRange;
+            osc.detune.value = (this.random() - 0.5) * detuneRange;
 
             gain.gain.value = 0;
             osc.connect(gain);
@@ -562,7 +976,7 @@ class AudioEngine {
             gains.push(gain);
 
             // Amplitude decreases for higher partials
-            const amp = peak / (1 + i * 0.2);
+            const amp = peak / (1 + i * partialRolloff);
 
             if (style === 'soft') {
                 // Soft: gentle attack, smooth decay
@@ -583,7 +997,7 @@ class AudioEngine {
                 if (i < 5) {
                     const shimmer = this.audioContext.createOscillator();
                     const shimmerGain = this.audioContext.createGain();
-                    shimmer.frequency.value = 0.5 + Math.random() * 1.5;
+                    shimmer.frequency.value = 0.5 + this.random() * 1.5;
                     shimmerGain.gain.value = amp * 0.2;
                     shimmer.connect(shimmerGain);
                     shimmerGain.connect(gain.gain);
@@ -605,7 +1019,7 @@ class AudioEngine {
                 // Chaotic pitch movement on attack for crash texture
                 const chaos = this.audioContext.createOscillator();
                 const chaosGain = this.audioContext.createGain();
-                chaos.frequency.value = 3 + Math.random() * 8;
+                chaos.frequency.value = 3 + this.random() * 8;
                 chaosGain.gain.setValueAtTime(freq * 0.03, now);
                 chaosGain.gain.exponentialRampToValueAtTime(freq * 0.005, now + 0.5);
                 chaosGain.gain.exponentialRampToValueAtTime(0.001, now + 2);
@@ -621,17 +1035,154 @@ class AudioEngine {
             osc.stop(now + duration);
         });
 
-        this.activeOscillators.set(id, { oscillators, gains, masterGain });
+        this.activeOscillators.set(id, { type: 'gong', frequency: baseFreq, oscillators, gains, masterGain });
         this.scheduleCleanup(id, oscillators[0]);
 
+        this.emit('play', { id, method: 'playGong', frequency: baseFreq, style, duration, options, time: now });
+
+        return id;
+    }
+
+    // Physical model - the worklet rings the bowl's modes; a drive source carries the stick's
+    // pressure and gives the voice the same start, stop and cleanup as the oscillator voices
+    playModal(family, frequency, style, duration, options = {}) {
+        this.enforcePolyphony();
+        const model = MODAL_MODELS[family];
+        const playing = model.styles[style] || Object.values(model.styles)[0];
+        const id = this.generateId(family);
+        const now = this.getStartTime(options.when);
+        const velocity = this.getVelocityGain(options);
+
+        const node = new AudioWorkletNode(this.audioContext, 'modal-resonator', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: {
+                modes: getModalModes(model, frequency, this.random),
+                seed: Math.floor(this.random() * 0xffffffff),
+                friction: playing.pressure ? model.friction : null,
+                wobble: playing.wobble || null
+            }
+        });
+
+        // Mallet strokes: one, or a roll that swells from soft to full
+        const roll = playing.roll || { strokes: 1, every: 0, from: 1 };
+        const position = this.getStrikePosition(options);
+        if (playing.contact) {
+            for (let i = 0; i < roll.strokes && i * roll.every < duration; i++) {
+                const swell = roll.strokes > 1 ? roll.from + (1 - roll.from) * i / (roll.strokes - 1) : 1;
+                node.port.postMessage({
+                    type: 'strike',
+                    time: now + i * roll.every,
+                    contact: playing.contact,
+                    velocity: (playing.velocity || 1) * swell * velocity,
+                    position
+                });
+            }
+        }
+
+        // Rubbing pressure: the stick settles onto the rim, and lifts off early unless gated
+        const drive = this.audioContext.createConstantSource();
+        drive.offset.setValueAtTime(0, now);
+        if (playing.pressure) {
+            const pressure = playing.pressure * (0.5 + 0.5 * velocity);
+            drive.offset.linearRampToValueAtTime(pressure, now + 0.3);
+            if (!options.gate) {
+                drive.offset.setValueAtTime(pressure, now + duration * 0.6);
+                drive.offset.linearRampToValueAtTime(0, now + duration * 0.6 + 0.3);
+            }
+        }
+        drive.connect(node);
+
+        // The model decays by itself; the voice only trims what is left when its time is up
+        const masterGain = this.audioContext.createGain();
+        const level = model.gain * (playing.pressure ? velocity : 1);
+        const fade = Math.min(3, duration * 0.3);
+        masterGain.gain.setValueAtTime(level, now);
+        masterGain.gain.setValueAtTime(level, now + duration - fade);
+        masterGain.gain.linearRampToValueAtTime(0, now + duration);
+
+        node.connect(masterGain);
+        masterGain.connect(this.getChannelInput(family));
+
+        drive.start(now);
+        drive.stop(now + duration);
+
+        this.activeOscillators.set(id, { type: family, frequency, oscillators: [drive], modulators: [], gains: [], masterGain, drive });
+        drive.onended = () => {
+            this.activeOscillators.delete(id);
+            node.port.postMessage({ type: 'end' });
+            node.disconnect();
+        };
+
+        this.emit('play', { id, method: model.method, frequency, style, duration, options, synthesis: 'modal', time: now });
+
+        return id;
+    }
+
+    // Sampler - the recording nearest in pitch, resampled to the note; velocity picks the layer
+    // and each take of a layer plays in turn
+    playSample(method, frequency, style, duration, options = {}) {
+        this.enforcePolyphony();
+        const voice = SAMPLE_VOICES[method];
+        const id = this.generateId(voice.type);
+        const now = this.getStartTime(options.when);
+        const velocity = typeof options.velocity === 'number' ? Math.max(0, Math.min(1, options.velocity)) : 1;
+
+        // Ties go to the later zone, so the newest pack wins
+        const zones = this.getSampleZones(method, style, frequency);
+        const pitchDistance = zone => Math.abs(Math.log2(zone.frequency / frequency));
+        const nearest = Math.min(...zones.map(pitchDistance));
+        const layerDistance = zone => Math.max(zone.velocity[0] - velocity, velocity - zone.velocity[1], 0);
+        const zone = zones
+            .filter(candidate => pitchDistance(candidate) - nearest < 1e-6)
+            .reduce((best, candidate) => (layerDistance(candidate) <= layerDistance(best) ? candidate : best));
+
+        const buffer = zone.buffers[zone.next % zone.buffers.length];
+        zone.next++;
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = frequency / zone.frequency;
+        if (zone.loop) {
+            source.loop = true;
+            source.loopStart = zone.loop[0];
+            source.loopEnd = Math.min(zone.loop[1], buffer.duration);
+        }
+
+        // Layers carry the timbre; within one, velocity still shades the level
+        const level = zone.gain * (0.5 + 0.5 * this.getVelocityGain(options));
+        const natural = buffer.duration / source.playbackRate.value;
+        const length = zone.loop ? duration : Math.min(duration, natural);
+        const masterGain = this.audioContext.createGain();
+        masterGain.gain.setValueAtTime(level, now);
+        if (length < natural || zone.loop) {
+            const fade = Math.min(3, length * 0.3);
+            masterGain.gain.setValueAtTime(level, now + length - fade);
+            masterGain.gain.linearRampToValueAtTime(0, now + length);
+        }
+
+        source.connect(masterGain);
+        masterGain.connect(this.getChannelInput(voice.channel));
+        source.start(now);
+        source.stop(now + length);
+
+        this.activeOscillators.set(id, { type: voice.type, frequency, oscillators: [source], modulators: [], gains: [], masterGain });
+        this.scheduleCleanup(id, source);
+
+        this.emit('play', { id, method, frequency, style, duration, options, synthesis: 'sampler', time: now });
+
         return id;
     }
 
     // Didgeridoo - Drone with formants
-    playDidgeridoo(frequency = 65, style = 'sustained', duration = 8) {
+    playDidgeridoo(frequency = 65, style = 'sustained', duration = 8, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playDidgeridoo', frequency, style, options)) return this.playSample('playDidgeridoo', frequency, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('didge');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
         const allOscillators = [];
 
         // Style-specific parameters
@@ -709,12 +1260,13 @@ class AudioEngine {
         formant2.connect(masterGain);
         formant3.connect(masterGain);
         subGain.connect(masterGain);
-        masterGain.connect(this.reverbNode);
+        masterGain.connect(this.getChannelInput('wind'));
 
-        gain1.gain.value = 0.5;
-        gain2.gain.value = 0.35;
-        gain3.gain.value = 0.15;
-        subGain.gain.value = 0.2;
+        const velocityGain = this.getVelocityGain(options);
+        gain1.gain.value = 0.5 * velocityGain;
+        gain2.gain.value = 0.35 * velocityGain;
+        gain3.gain.value = 0.15 * velocityGain;
+        subGain.gain.value = 0.2 * velocityGain;
 
         if (style === 'sustained') {
             // Sustained: smooth envelope with gentle breathing movement
@@ -773,17 +1325,21 @@ class AudioEngine {
             masterGain.gain.linearRampToValueAtTime(0, now + duration);
 
             // Animate formant frequencies for vowel-like changes
+            // (gated voices repeat an 8-second vowel cycle until released)
+            const cycle = options.gate ? 8 : duration;
             formant1.frequency.setValueAtTime(200, now);
-            formant1.frequency.linearRampToValueAtTime(350, now + duration * 0.25);
-            formant1.frequency.linearRampToValueAtTime(180, now + duration * 0.5);
-            formant1.frequency.linearRampToValueAtTime(280, now + duration * 0.75);
-            formant1.frequency.linearRampToValueAtTime(200, now + duration);
-
             formant2.frequency.setValueAtTime(800, now);
-            formant2.frequency.linearRampToValueAtTime(1200, now + duration * 0.25);
-            formant2.frequency.linearRampToValueAtTime(700, now + duration * 0.5);
-            formant2.frequency.linearRampToValueAtTime(900, now + duration * 0.75);
-            formant2.frequency.linearRampToValueAtTime(800, now + duration);
+            for (let start = now; start < now + duration; start += cycle) {
+                formant1.frequency.linearRampToValueAtTime(350, start + cycle * 0.25);
+                formant1.frequency.linearRampToValueAtTime(180, start + cycle * 0.5);
+                formant1.frequency.linearRampToValueAtTime(280, start + cycle * 0.75);
+                formant1.frequency.linearRampToValueAtTime(200, start + cycle);
+
+                formant2.frequency.linearRampToValueAtTime(1200, start + cycle * 0.25);
+                formant2.frequency.linearRampToValueAtTime(700, start + cycle * 0.5);
+                formant2.frequency.linearRampToValueAtTime(900, start + cycle * 0.75);
+                formant2.frequency.linearRampToValueAtTime(800, start + cycle);
+            }
 
             // Subtle pitch bends
             const pitchLfo = this.audioContext.createOscillator();
@@ -804,17 +1360,29 @@ class AudioEngine {
             }
         });
 
-        this.activeOscillators.set(id, { oscillators: [droneOsc], gains: [masterGain], masterGain });
+        this.activeOscillators.set(id, {
+            type: 'didgeridoo',
+            frequency,
+            oscillators: [droneOsc, subOsc],
+            modulators: allOscillators.filter(osc => osc !== droneOsc && osc !== subOsc),
+            gains: [masterGain],
+            masterGain
+        });
         this.scheduleCleanup(id, droneOsc);
 
+        this.emit('play', { id, method: 'playDidgeridoo', frequency, style, duration, options, time: now });
+
         return id;
     }
 
     // Pan Flute - Breathy tone
-    playPanFlute(frequency, style = 'sustained', duration = 4) {
+    playPanFlute(frequency, style = 'sustained', duration = 4, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playPanFlute', frequency, style, options)) return this.playSample('playPanFlute', frequency, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('panflute');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
 
         // Style-specific parameters
         let attack, release, toneLevel, noiseLevel, vibratoRate, vibratoDepth, noiseFilterQ;
@@ -849,6 +1417,10 @@ class AudioEngine {
             noiseFilterQ = 2;
         }
 
+        const velocityGain = this.getVelocityGain(options);
+        toneLevel *= velocityGain;
+        noiseLevel *= velocityGain;
+
         // Main tone
         const osc = this.audioContext.createOscillator();
         osc.type = 'sine';
@@ -859,14 +1431,16 @@ class AudioEngine {
         osc2.type = 'sine';
         osc2.frequency.value = frequency * 2;
 
-        // Breath noise
-        const noiseBuffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate * duration, this.audioContext.sampleRate);
+        // Breath noise - a short loop keeps long gated notes cheap
+        const noiseSeconds = Math.min(duration, 2);
+        const noiseBuffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate * noiseSeconds, this.audioContext.sampleRate);
         const noiseData = noiseBuffer.getChannelData(0);
         for (let i = 0; i < noiseData.length; i++) {
-            noiseData[i] = Math.random() * 2 - 1;
+            noiseData[i] = this.random() * 2 - 1;
         }
         const noise = this.audioContext.createBufferSource();
         noise.buffer = noiseBuffer;
+        noise.loop = true;
 
         const noiseFilter = this.audioContext.createBiquadFilter();
         noiseFilter.type = 'bandpass';
@@ -885,13 +1459,14 @@ class AudioEngine {
         toneGain.connect(masterGain);
         tone2Gain.connect(masterGain);
         noiseGain.connect(masterGain);
-        masterGain.connect(this.reverbNode);
+        masterGain.connect(this.getChannelInput('wind'));
 
         toneGain.gain.value = toneLevel;
         tone2Gain.gain.value = toneLevel * 0.15;
         noiseGain.gain.value = noiseLevel;
 
         // Add vibrato (if enabled)
+        const modulators = [];
         if (vibratoRate > 0) {
             const vibrato = this.audioContext.createOscillator();
             const vibratoGain = this.audioContext.createGain();
@@ -901,6 +1476,7 @@ class AudioEngine {
             vibratoGain.connect(osc.frequency);
             vibrato.start(now + attack); // vibrato starts after attack
             vibrato.stop(now + duration);
+            modulators.push(vibrato);
         }
 
         if (style === 'sustained') {
@@ -943,17 +1519,22 @@ class AudioEngine {
         noise.start(now);
         noise.stop(now + duration);
 
-        this.activeOscillators.set(id, { oscillators: [osc], gains: [masterGain], masterGain });
+        this.activeOscillators.set(id, { type: 'panflute', frequency, oscillators: [osc, osc2, noise], modulators, gains: [masterGain], masterGain });
         this.scheduleCleanup(id, osc);
 
+        this.emit('play', { id, method: 'playPanFlute', frequency, style, duration, options, time: now });
+
         return id;
     }
 
     // Handpan - Metallic melodic percussion
-    playHandpan(frequency, style = 'finger', duration = 5) {
+    playHandpan(frequency, style = 'finger', duration = 5, options = {}) {
+        this.ensureAudioContext();
+        if (this.hasSamples('playHandpan', frequency, style, options)) return this.playSample('playHandpan', frequency, style, duration, options);
+
         this.enforcePolyphony();
         const id = this.generateId('handpan');
-        const now = this.audioContext.currentTime;
+        const now = this.getStartTime(options.when);
 
         const oscillators = [];
         const gains = [];
@@ -991,6 +1572,11 @@ class AudioEngine {
             detuneAmount = 2;
         }
 
+        // Tone-field centre favours the fundamental, the rim brings out the upper partials
+        const position = this.getStrikePosition(options);
+        peakAmp *= this.getVelocityGain(options) * (1.15 - 0.3 * position);
+        filterFreq *= 0.7 + 0.6 * position;
+
         // Filter for tonal shaping
         const filter = this.audioContext.createBiquadFilter();
         filter.type = 'lowpass';
@@ -998,7 +1584,7 @@ class AudioEngine {
         filter.Q.value = style === 'palm' ? 1.5 : 0.7;
 
         masterGain.connect(filter);
-        filter.connect(this.reverbNode);
+        filter.connect(this.getChannelInput('handpan'));
 
         partials.forEach((partial, index) => {
             const osc = this.audioContext.createOscillator();
@@ -1006,7 +1592,7 @@ class AudioEngine {
 
             osc.type = 'sine';
             osc.frequency.value = frequency * partial;
-            osc.detune.value = (Math.random() - 0.5) * detuneAmount;
+            osc.detune.value = (this.random() - 0.5) * detuneAmount;
 
             gain.gain.value = 0;
             osc.connect(gain);
@@ -1015,7 +1601,8 @@ class AudioEngine {
             oscillators.push(osc);
             gains.push(gain);
 
-            const amp = amplitudes[index] * peakAmp;
+            const tilt = index / (partials.length - 1);
+            const amp = amplitudes[index] * peakAmp * (1 + (position - 0.5) * (2 * tilt - 0.8));
             const adjustedDuration = duration / decayRate;
 
             if (style === 'finger') {
@@ -1055,23 +1642,38 @@ class AudioEngine {
             osc.stop(now + duration);
         });
 
-        this.activeOscillators.set(id, { oscillators, gains, masterGain });
+        this.activeOscillators.set(id, { type: 'handpan', frequency, oscillators, gains, masterGain });
         this.scheduleCleanup(id, oscillators[0]);
 
+        this.emit('play', { id, method: 'playHandpan', frequency, style, duration, options, time: now });
+
         return id;
     }
 
-    stopAll() {
-        this.activeOscillators.forEach((data, id) => {
-            try {
-                data.oscillators.forEach(osc => osc.stop());
-            } catch (e) {
-                // Oscillator may already be stopped
-            }
-        });
-        this.activeOscillators.clear();
+    // Silence the whole sanctuary. Players listening for 'stopAll' halt themselves, and a short
+    // fade rather than a cut keeps the ringing bowls from clicking.
+    stopAll(releaseSeconds = 0.3) {
+        this.activeOscillators.forEach((voice, id) => this.stopVoice(id, releaseSeconds));
+        this.stopDrone(releaseSeconds);
+        this.emit('stopAll', { time: this.audioContext ? this.audioContext.currentTime : 0 });
     }
 }
 
+// Deterministic PRNG (mulberry32) so offline renders and seeded modes repeat exactly
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function () {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // Export singleton
+window.AudioEngine = AudioEngine;
+window.DRONE_VOICES = DRONE_VOICES;
+window.SAMPLE_VOICES = SAMPLE_VOICES;
+window.createSeededRandom = createSeededRandom;
 window.audioEngine = new AudioEngine();
@@ -0,0 +1,151 @@
+/**
+ * Sound Bath Sanctuary - Chakra Journey
+ * Guided body scan that dwells on each energy center in turn, singing its crystal bowl
+ */
+
+const CHAKRA_JOURNEY_INTERVAL = 250; // Scheduler wake-up in ms
+const CHAKRA_CROSSFADE_SECONDS = 6; // Each bowl fades under the next so the journey never falls silent
+const CHAKRA_RING_OUT_SECONDS = 12; // The last bowl's slow release once the journey ends
+const CHAKRA_AFFIRMATIONS_STORAGE_KEY = 'soundBath.chakraAffirmations';
+
+// One line per center, root to crown
+const DEFAULT_CHAKRA_AFFIRMATIONS = [
+    'I am safe, grounded and supported.',
+    'I welcome pleasure, creativity and flow.',
+    'I act with confidence and purpose.',
+    'I give and receive love freely.',
+    'I speak my truth with clarity.',
+    'I trust my inner wisdom.',
+    'I am connected to all that is.'
+];
+
+const CHAKRA_COUNT = DEFAULT_CHAKRA_AFFIRMATIONS.length;
+
+class ChakraJourney {
+    constructor(engine) {
+        this.engine = engine;
+        this.isPlaying = false;
+        this.direction = 'ascending'; // ascending: root to crown | descending: crown to root
+        this.dwell = 60;              // Seconds on each center
+        this.steps = [];              // Crystal bowl indices in play order
+        this.stepIndex = -1;
+        this.stepStartTime = 0;
+        this.voiceId = null;
+        this.timer = null;
+        this.affirmations = this.loadAffirmations();
+        engine.on('stopAll', () => this.stop());
+
+        // UI hooks
+        this.onStep = null;        // (step) - null when the journey ends
+        this.onStateChange = null; // (isPlaying)
+    }
+
+    // Body-figure center (0 root - 6 crown) for a bowl, spreading custom sets of any size over all seven
+    static getCenter(bowlIndex, bowlCount) {
+        if (bowlCount <= 1) return 0;
+        return Math.round(bowlIndex * (CHAKRA_COUNT - 1) / (bowlCount - 1));
+    }
+
+    start({ direction = this.direction, dwell = this.dwell } = {}) {
+        if (!this.engine.audioContext || INSTRUMENTS.crystalBowls.length === 0) return false;
+        this.stop(1);
+
+        this.direction = direction;
+        this.dwell = Math.max(5, dwell);
+        this.steps = INSTRUMENTS.crystalBowls.map((bowl, i) => i);
+        if (direction === 'descending') this.steps.reverse();
+
+        this.stepIndex = -1;
+        this.isPlaying = true;
+        this.timer = setInterval(() => this.tick(), CHAKRA_JOURNEY_INTERVAL);
+        this.advance(this.engine.audioContext.currentTime);
+        if (this.onStateChange) this.onStateChange(true);
+        return true;
+    }
+
+    stop(fadeSeconds = 4) {
+        if (!this.isPlaying) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        if (this.voiceId) this.engine.stopVoice(this.voiceId, fadeSeconds);
+        this.voiceId = null;
+        this.isPlaying = false;
+        this.stepIndex = -1;
+        if (this.onStep) this.onStep(null);
+        if (this.onStateChange) this.onStateChange(false);
+    }
+
+    tick() {
+        const now = this.engine.audioContext.currentTime;
+        if (now - this.stepStartTime < this.dwell) return;
+
+        if (this.stepIndex >= this.steps.length - 1) {
+            // The crown (or root) bowl rings out slowly instead of being cut off
+            this.stop(CHAKRA_RING_OUT_SECONDS);
+            return;
+        }
+        this.advance(now);
+    }
+
+    advance(now) {
+        this.stepIndex++;
+        this.stepStartTime = now;
+
+        if (this.voiceId) this.engine.stopVoice(this.voiceId, CHAKRA_CROSSFADE_SECONDS);
+
+        // Held open, so the rim keeps singing through the dwell and only fades once the next bowl takes over
+        const bowl = INSTRUMENTS.crystalBowls[this.steps[this.stepIndex]];
+        this.voiceId = this.engine.noteOn('playCrystalBowl', bowl.frequency, 'rim', { when: now });
+
+        if (this.onStep) this.onStep(this.getStep());
+    }
+
+    getStep() {
+        if (!this.isPlaying || this.stepIndex < 0) return null;
+
+        const bowlIndex = this.steps[this.stepIndex];
+        const center = ChakraJourney.getCenter(bowlIndex, INSTRUMENTS.crystalBowls.length);
+        return {
+            number: this.stepIndex + 1,
+            total: this.steps.length,
+            bowlIndex,
+            bowl: INSTRUMENTS.crystalBowls[bowlIndex],
+            center,
+            affirmation: this.affirmations[center] || ''
+        };
+    }
+
+    // Seconds left on the current center
+    getRemaining() {
+        if (!this.isPlaying) return 0;
+        return Math.max(0, this.dwell - (this.engine.audioContext.currentTime - this.stepStartTime));
+    }
+
+    setAffirmations(lines) {
+        this.affirmations = Array.from({ length: CHAKRA_COUNT }, (_, i) => (lines[i] || '').trim());
+        this.saveAffirmations();
+    }
+
+    loadAffirmations() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CHAKRA_AFFIRMATIONS_STORAGE_KEY));
+            return Array.isArray(stored) ? stored : [...DEFAULT_CHAKRA_AFFIRMATIONS];
+        } catch (error) {
+            return [...DEFAULT_CHAKRA_AFFIRMATIONS];
+        }
+    }
+
+    saveAffirmations() {
+        try {
+            localStorage.setItem(CHAKRA_AFFIRMATIONS_STORAGE_KEY, JSON.stringify(this.affirmations));
+        } catch (error) {
+            console.warn('Could not save affirmations:', error);
+        }
+    }
+}
+
+// Export singleton
+window.DEFAULT_CHAKRA_AFFIRMATIONS = DEFAULT_CHAKRA_AFFIRMATIONS;
+window.ChakraJourney = ChakraJourney;
+window.chakraJourney = new ChakraJourney(window.audioEngine);
@@ -0,0 +1,205 @@
+/**
+ * Sound Bath Sanctuary - Brainwave Entrainment
+ * Binaural beats and isochronic pulses that glide between brainwave bands
+ */
+
+const ENTRAINMENT_FADE_SECONDS = 3;
+const DEFAULT_ENTRAINMENT_CARRIER = 200;
+
+// beat is the target difference (binaural) or pulse rate (isochronic) in Hz
+const ENTRAINMENT_PRESETS = {
+    delta: { label: 'Delta', description: 'Deep sleep', beat: 2 },
+    theta: { label: 'Theta', description: 'Meditation & dreaming', beat: 6 },
+    alpha: { label: 'Alpha', description: 'Relaxed awareness', beat: 10 },
+    beta: { label: 'Beta', description: 'Alert focus', beat: 18 }
+};
+
+const ENTRAINMENT_MODES = {
+    binaural: 'Binaural beats',
+    isochronic: 'Isochronic tones'
+};
+
+class EntrainmentGenerator {
+    constructor(engine) {
+        this.engine = engine;
+        this.mode = 'binaural';
+        this.carrier = DEFAULT_ENTRAINMENT_CARRIER;
+        this.beat = ENTRAINMENT_PRESETS.theta.beat;
+        this.level = 0.2;
+        this.isPlaying = false;
+        this.nodes = null;  // Graph for the current run
+        this.ramp = null;   // { from, to, start, end } in context time while the beat glides
+
+        engine.on('stopAll', () => this.stop());
+    }
+
+    get context() {
+        return this.engine.audioContext;
+    }
+
+    // Entrainment skips the channel strips and reverb: panning or smearing the tones would blur the beat
+    start(settings = {}) {
+        if (!this.context) return false;
+        if (this.isPlaying) this.stop(0.1);
+        this.engine.ensureAudioContext();
+
+        this.mode = ENTRAINMENT_MODES[settings.mode] ? settings.mode : this.mode;
+        this.carrier = settings.carrier ?? this.carrier;
+        this.beat = settings.beat ?? this.beat;
+        this.level = settings.level ?? this.level;
+        this.ramp = null;
+
+        const ctx = this.context;
+        const now = ctx.currentTime;
+        const output = ctx.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.setTargetAtTime(this.level, now, ENTRAINMENT_FADE_SECONDS / 3);
+        output.connect(this.engine.mixer.output);
+
+        this.nodes = this.mode === 'binaural' ? this.createBinaural(output) : this.createIsochronic(output);
+        this.nodes.output = output;
+        this.nodes.oscillators.forEach(osc => osc.start(now));
+        this.isPlaying = true;
+        return true;
+    }
+
+    // Each ear gets its own carrier; the brain hears the difference as a slow beat.
+    // Half the beat is added to one ear and taken from the other, so carrier and beat glide independently
+    createBinaural(output) {
+        const ctx = this.context;
+        const merger = ctx.createChannelMerger(2);
+        const left = ctx.createOscillator();
+        const right = ctx.createOscillator();
+        left.type = 'sine';
+        right.type = 'sine';
+        left.frequency.value = this.carrier;
+        right.frequency.value = this.carrier;
+
+        const halfBeat = ctx.createConstantSource();
+        halfBeat.offset.value = this.beat / 2;
+        const invert = ctx.createGain();
+        invert.gain.value = -1;
+
+        halfBeat.connect(right.frequency);
+        halfBeat.connect(invert);
+        invert.connect(left.frequency);
+        left.connect(merger, 0, 0);
+        right.connect(merger, 0, 1);
+        merger.connect(output);
+
+        return {
+            carrierParams: [left.frequency, right.frequency],
+            beatParam: halfBeat.offset,
+            beatScale: 0.5,
+            oscillators: [left, right, halfBeat]
+        };
+    }
+
+    // One carrier switched on and off at the beat rate - works on speakers too
+    createIsochronic(output) {
+        const ctx = this.context;
+        const tone = ctx.createOscillator();
+        tone.type = 'sine';
+        tone.frequency.value = this.carrier;
+
+        // A few odd harmonics give a square pulse with soft edges, so it throbs rather than clicks
+        const real = new Float32Array(8);
+        const imag = new Float32Array(8);
+        [1, 3, 5, 7].forEach(n => { imag[n] = 4 / (Math.PI * n) * Math.pow(0.6, (n - 1) / 2); });
+        const pulse = ctx.createOscillator();
+        pulse.setPeriodicWave(ctx.createPeriodicWave(real, imag));
+        pulse.frequency.value = this.beat;
+
+        // Pulse swings the gain between 0 and 1 around a 0.5 centre
+        const depth = ctx.createGain();
+        depth.gain.value = 0.5;
+        const gate = ctx.createGain();
+        gate.gain.value = 0.5;
+
+        pulse.connect(depth);
+        depth.connect(gate.gain);
+        tone.connect(gate);
+        gate.connect(output);
+
+        return {
+            carrierParams: [tone.frequency],
+            beatParam: pulse.frequency,
+            beatScale: 1,
+            oscillators: [tone, pulse]
+        };
+    }
+
+    stop(fadeSeconds = ENTRAINMENT_FADE_SECONDS) {
+        if (!this.isPlaying) return;
+
+        const now = this.context.currentTime;
+        const fade = Math.max(0.01, fadeSeconds);
+        const { output, oscillators } = this.nodes;
+        output.gain.cancelScheduledValues(now);
+        output.gain.setValueAtTime(output.gain.value, now);
+        output.gain.setTargetAtTime(0, now, fade / 5);
+        oscillators.forEach(osc => osc.stop(now + fade));
+        setTimeout(() => output.disconnect(), fade * 1000 + 100);
+
+        this.beat = this.getCurrentBeat();
+        this.nodes = null;
+        this.ramp = null;
+        this.isPlaying = false;
+    }
+
+    // Glide to a new beat over rampSeconds - minutes-long ramps ease the mind down gradually
+    setBeat(beat, rampSeconds = 0) {
+        const from = this.getCurrentBeat();
+        this.beat = beat;
+        if (!this.isPlaying) return;
+
+        const now = this.context.currentTime;
+        const end = now + Math.max(0.05, rampSeconds);
+        const { beatParam, beatScale } = this.nodes;
+        this.ramp = rampSeconds > 0 ? { from, to: beat, start: now, end } : null;
+        this.rampParam(beatParam, from * beatScale, beat * beatScale, now, end);
+    }
+
+    setCarrier(carrier, rampSeconds = 2) {
+        this.carrier = carrier;
+        if (!this.isPlaying) return;
+
+        const now = this.context.currentTime;
+        this.nodes.carrierParams.forEach(param => {
+            this.rampParam(param, param.value, carrier, now, now + Math.max(0.05, rampSeconds));
+        });
+    }
+
+    setLevel(level) {
+        this.level = level;
+        if (this.isPlaying) {
+            this.nodes.output.gain.setTargetAtTime(level, this.context.currentTime, 0.1);
+        }
+    }
+
+    rampParam(param, from, to, start, end) {
+        param.cancelScheduledValues(start);
+        param.setValueAtTime(from, start);
+        param.linearRampToValueAtTime(to, end);
+    }
+
+    // Where the beat is right now, part way through a ramp or settled
+    getCurrentBeat() {
+        if (!this.ramp || !this.context) return this.beat;
+
+        const progress = (this.context.currentTime - this.ramp.start) / (this.ramp.end - this.ramp.start);
+        if (progress >= 1) return this.ramp.to;
+        return this.ramp.from + (this.ramp.to - this.ramp.from) * Math.max(0, progress);
+    }
+
+    // Seconds left in the current ramp (0 when settled)
+    getRampRemaining() {
+        if (!this.ramp || !this.context) return 0;
+        return Math.max(0, this.ramp.end - this.context.currentTime);
+    }
+}
+
+// Export singleton
+window.ENTRAINMENT_PRESETS = ENTRAINMENT_PRESETS;
+window.ENTRAINMENT_MODES = ENTRAINMENT_MODES;
+window.entrainmentGenerator = new EntrainmentGenerator(window.audioEngine);
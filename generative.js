@@ -0,0 +1,225 @@
+/**
+ * Sound Bath Sanctuary - Generative Sound Bath
+ * Lets the sanctuary play itself: weighted, rule-bound, ever-changing performances from the INSTRUMENTS config
+ */
+
+const GENERATIVE_LOOKAHEAD = 0.5; // Seconds of strikes scheduled ahead of the clock
+const GENERATIVE_INTERVAL = 200;  // Scheduler wake-up in ms
+
+// weight is how often a family is picked. Each style has a weight, an energy (0 calm - 1 intense)
+// that intensity leans towards, and optionally minGap: seconds that must pass before it is used again.
+const GENERATIVE_FAMILIES = {
+    crystal: {
+        weight: 4,
+        styles: {
+            gentle: { weight: 3, energy: 0.2 },
+            strike: { weight: 3, energy: 0.6 },
+            rim: { weight: 1, energy: 0.4, minGap: 25 }
+        }
+    },
+    tibetan: {
+        weight: 3,
+        styles: {
+            mallet: { weight: 3, energy: 0.5 },
+            water: { weight: 1, energy: 0.3, minGap: 45 },
+            singing: { weight: 1, energy: 0.3, minGap: 40 }
+        }
+    },
+    gong: {
+        weight: 1,
+        styles: {
+            soft: { weight: 4, energy: 0.4, minGap: 30 },
+            crescendo: { weight: 1, energy: 0.9, minGap: 240 }
+        }
+    },
+    didgeridoo: {
+        weight: 0.5,
+        styles: {
+            sustained: { weight: 1, energy: 0.5, minGap: 120 }
+        }
+    },
+    panflute: {
+        weight: 1,
+        styles: {
+            sustained: { weight: 2, energy: 0.3, minGap: 8 },
+            melodic: { weight: 1, energy: 0.6, minGap: 8 }
+        }
+    },
+    handpan: {
+        weight: 3,
+        styles: {
+            ghost: { weight: 2, energy: 0.2 },
+            finger: { weight: 3, energy: 0.6 },
+            palm: { weight: 1, energy: 0.8, minGap: 10 }
+        }
+    }
+};
+
+class GenerativePlayer {
+    constructor(engine) {
+        this.engine = engine;
+        this.isPlaying = false;
+        this.density = 8;     // Strikes per minute, on average
+        this.intensity = 0.4; // 0 hushed - 1 full
+        this.seed = null;     // Seed of the current performance
+        this.random = Math.random;
+        this.timer = null;
+        this.startTime = 0;
+        this.nextTime = 0;
+        this.lastUsed = new Map();  // 'family.style' -> context time
+        this.lastIndex = new Map(); // family -> position of the last note, low to high, for stepwise melodies
+        this.voiceIds = new Set();
+        engine.on('stopAll', () => this.stop());
+
+        // UI hook
+        this.onTrigger = null; // (target, style, delaySeconds)
+    }
+
+    // The same seed with the same settings replays the same performance
+    start(seed = null) {
+        if (!this.engine.audioContext) return false;
+        this.stop(0.5);
+
+        this.seed = Number.isInteger(seed) ? seed >>> 0 : Math.floor(Math.random() * 0xffffffff);
+        this.random = createSeededRandom(this.seed);
+        this.startTime = this.engine.audioContext.currentTime;
+        this.nextTime = this.startTime + 0.5;
+        this.lastUsed.clear();
+        this.lastIndex.clear();
+
+        // A slow tide in density over the session, with its own seeded period and phase
+        this.tidePeriod = 180 + this.random() * 240;
+        this.tidePhase = this.random() * Math.PI * 2;
+
+        this.timer = setInterval(() => this.tick(), GENERATIVE_INTERVAL);
+        this.isPlaying = true;
+        this.tick();
+        return true;
+    }
+
+    stop(fadeSeconds = 3) {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.voiceIds.forEach(id => this.engine.stopVoice(id, fadeSeconds));
+        this.voiceIds.clear();
+        this.isPlaying = false;
+    }
+
+    setDensity(strikesPerMinute) {
+        this.density = Math.max(1, strikesPerMinute);
+    }
+
+    setIntensity(value) {
+        this.intensity = Math.max(0, Math.min(1, value));
+    }
+
+    tick() {
+        const now = this.engine.audioContext.currentTime;
+        if (this.nextTime < now) this.nextTime = now; // Timers stall in background tabs
+
+        while (this.nextTime < now + GENERATIVE_LOOKAHEAD) {
+            this.strike(this.nextTime, now);
+            this.nextTime += this.getGap(this.nextTime);
+        }
+        this.pruneVoiceIds();
+    }
+
+    // Exponential gaps make the timing feel unhurried rather than metronomic
+    getGap(time) {
+        const elapsed = time - this.startTime;
+        const tide = 1 + 0.4 * Math.sin(elapsed / this.tidePeriod * Math.PI * 2 + this.tidePhase);
+        const mean = 60 / (this.density * tide);
+        return Math.max(0.4, -Math.log(1 - this.random()) * mean);
+    }
+
+    strike(time, now) {
+        // A listen-only group sync listener hears the facilitator alone; the tide keeps moving silently
+        if (window.groupSync?.isLocked()) return;
+
+        const choice = this.choose(time);
+        if (!choice) return;
+
+        const { target, style } = choice;
+        const velocity = Math.min(1, 0.25 + 0.6 * this.intensity + (this.random() - 0.5) * 0.3);
+        const position = this.random();
+        const id = this.engine[target.method](target.frequency, style, undefined, { when: time, velocity, position });
+
+        this.voiceIds.add(id);
+        this.lastUsed.set(`${target.family}.${style}`, time);
+
+        if (this.onTrigger) this.onTrigger(target, style, time - now);
+    }
+
+    // Family by weight, then a style its rules allow, then a note near the last one
+    choose(time) {
+        const groups = this.getInstrumentGroups();
+        const families = Object.keys(GENERATIVE_FAMILIES).filter(family => groups[family]?.length > 0);
+
+        for (let attempt = 0; attempt < 4; attempt++) {
+            const family = this.pickWeighted(families, family => GENERATIVE_FAMILIES[family].weight);
+            if (!family) return null;
+
+            const styles = Object.entries(GENERATIVE_FAMILIES[family].styles).filter(([style, rule]) => {
+                const last = this.lastUsed.get(`${family}.${style}`);
+                return !rule.minGap || last === undefined || time - last >= rule.minGap;
+            });
+            const style = this.pickWeighted(styles, ([, rule]) =>
+                rule.weight * (1.25 - Math.abs(rule.energy - this.intensity)))?.[0];
+            if (!style) continue;
+
+            return { target: this.pickNote(family, groups[family]), style };
+        }
+        return null;
+    }
+
+    // Stepwise wandering, with the odd leap, so melodic families sing phrases instead of scattering
+    pickNote(family, targets) {
+        const last = this.lastIndex.get(family);
+        let next;
+        if (last === undefined || targets.length < 3 || this.random() < 0.2) {
+            next = Math.floor(this.random() * targets.length);
+        } else {
+            const step = (this.random() < 0.5 ? -1 : 1) * (this.random() < 0.7 ? 1 : 2);
+            next = Math.max(0, Math.min(targets.length - 1, last + step));
+        }
+
+        this.lastIndex.set(family, next);
+        return targets[next];
+    }
+
+    pickWeighted(items, getWeight) {
+        const weights = items.map(item => Math.max(0, getWeight(item)));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total <= 0) return null;
+
+        let pick = this.random() * total;
+        for (let i = 0; i < items.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    // Read fresh each strike so tuning and builder changes are heard straight away
+    getInstrumentGroups() {
+        const groups = {};
+        listInstrumentPaths().forEach(path => {
+            const target = resolveInstrument(path);
+            (groups[target.family] = groups[target.family] || []).push(target);
+        });
+        Object.values(groups).forEach(targets => targets.sort((a, b) => a.frequency - b.frequency));
+        return groups;
+    }
+
+    pruneVoiceIds() {
+        this.voiceIds.forEach(id => {
+            if (!this.engine.activeOscillators.has(id)) this.voiceIds.delete(id);
+        });
+    }
+}
+
+// Export singleton
+window.GENERATIVE_FAMILIES = GENERATIVE_FAMILIES;
+window.generativePlayer = new GenerativePlayer(window.audioEngine);
@@ -0,0 +1,272 @@
+/**
+ * Sound Bath Sanctuary - Group Sync
+ * Plays a facilitator's performance on every listener's device, in time, through a small relay server
+ */
+
+const GROUP_SYNC_STORAGE_KEY = 'soundBath.groupSync';
+const SYNC_PLAYOUT_DELAY = 0.15;  // Seconds listeners wait so network jitter never pushes a strike late
+const SYNC_CLOCK_SAMPLES = 8;     // Round trips kept; the fastest gives the truest offset
+const SYNC_CLOCK_INTERVAL = 10000; // ms between clock checks once settled
+
+// Maps this device's audio clock onto the relay server's, so devices agree on when a strike lands
+class SyncClock {
+    constructor(engine) {
+        this.engine = engine;
+        this.samples = [];
+        this.offset = 0; // Server clock minus local clock, in ms
+        this.timer = null;
+    }
+
+    // A quick burst of round trips to settle the offset, then a check now and again for drift
+    start(send) {
+        this.stop();
+        for (let i = 0; i < 5; i++) {
+            setTimeout(() => send({ type: 'ping', sent: this.now() }), i * 200);
+        }
+        this.timer = setInterval(() => send({ type: 'ping', sent: this.now() }), SYNC_CLOCK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.samples = [];
+    }
+
+    addSample({ sent, server }) {
+        const roundTrip = this.now() - sent;
+        this.samples.push({ roundTrip, offset: server - (sent + roundTrip / 2) });
+        if (this.samples.length > SYNC_CLOCK_SAMPLES) this.samples.shift();
+
+        const best = this.samples.reduce((a, b) => (b.roundTrip < a.roundTrip ? b : a));
+        this.offset = best.offset;
+    }
+
+    // Wall-clock ms on this device
+    now() {
+        return performance.timeOrigin + performance.now();
+    }
+
+    // Audio context time <-> the server's clock, in ms
+    toServerTime(contextTime) {
+        return this.now() + (contextTime - this.engine.audioContext.currentTime) * 1000 + this.offset;
+    }
+
+    toContextTime(serverTime) {
+        return this.engine.audioContext.currentTime + (serverTime - this.offset - this.now()) / 1000;
+    }
+}
+
+class GroupSync {
+    constructor(engine) {
+        this.engine = engine;
+        this.socket = null;
+        this.role = null;        // 'facilitator' | 'listener'
+        this.room = null;
+        this.status = 'idle';    // idle | connecting | connected
+        this.listeners = 0;
+        this.hasFacilitator = false;
+        this.listenOnly = true;  // Listeners' own instruments are locked so a stray tap cannot break the spell
+        this.clock = new SyncClock(engine);
+        this.unsubscribers = [];
+        this.voiceIds = new Map(); // Facilitator voice id -> local voice id
+        this.url = this.load().url || GroupSync.getDefaultUrl();
+
+        // UI hooks
+        this.onStateChange = null; // (status)
+        this.onPeers = null;       // (listeners, hasFacilitator)
+        this.onRemotePlay = null;  // (event, delaySeconds)
+        this.onError = null;       // (message)
+    }
+
+    // The relay lives beside the app: /sound-bath/sync behind the proxy
+    static getDefaultUrl() {
+        const url = new URL('sync', window.location.href);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        return url.href;
+    }
+
+    // Leave room blank to open a fresh room with a server-chosen code
+    host(room = '') {
+        return this.connect('facilitator', room);
+    }
+
+    join(room) {
+        return this.connect('listener', room);
+    }
+
+    connect(role, room) {
+        if (!this.engine.audioContext) return false;
+        this.leave();
+
+        this.role = role;
+        this.setStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        } catch (error) {
+            this.fail(`Could not reach ${this.url}`);
+            return false;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.send({ type: 'join', role, room });
+            this.clock.start((message) => this.send(message));
+        });
+        socket.addEventListener('message', (message) => {
+            try {
+                this.handleMessage(JSON.parse(message.data));
+            } catch (error) {
+                console.warn('Ignoring sync message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            if (this.status === 'connecting') this.fail(`Could not reach ${this.url}`);
+            this.leave();
+        });
+        return true;
+    }
+
+    leave() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket && socket.readyState <= WebSocket.OPEN) socket.close();
+
+        this.clock.stop();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.voiceIds.clear();
+        this.room = null;
+        this.listeners = 0;
+        this.hasFacilitator = false;
+        if (this.status !== 'idle') this.setStatus('idle');
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.room = message.room;
+                this.role = message.role;
+                if (this.role === 'facilitator') this.startBroadcast();
+                this.setStatus('connected');
+                break;
+            case 'peers':
+                this.listeners = message.listeners;
+                this.hasFacilitator = message.facilitator;
+                if (this.onPeers) this.onPeers(this.listeners, this.hasFacilitator);
+                break;
+            case 'pong':
+                this.clock.addSample(message);
+                break;
+            case 'event':
+                if (this.role === 'listener') this.handleEvent(message.event);
+                break;
+            case 'error':
+                this.fail(message.message);
+                this.leave();
+                break;
+            default:
+                break;
+        }
+    }
+
+    fail(message) {
+        if (this.onError) this.onError(message);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStateChange) this.onStateChange(status);
+    }
+
+    // Each device keeps its own volume, mix and room - phones and laptop speakers want different settings
+    startBroadcast() {
+        this.unsubscribers = [
+            this.engine.on('play', (event) => {
+                const { when, ...options } = event.options || {};
+                this.send({
+                    type: 'event',
+                    event: {
+                        kind: 'play',
+                        id: event.id,
+                        method: event.method,
+                        frequency: event.frequency,
+                        style: event.style,
+                        duration: event.duration,
+                        options,
+                        at: this.clock.toServerTime(event.time)
+                    }
+                });
+            }),
+            this.engine.on('stop', (event) => {
+                this.send({
+                    type: 'event',
+                    event: { kind: 'stop', id: event.id, release: event.release, at: this.clock.toServerTime(event.time) }
+                });
+            })
+        ];
+    }
+
+    handleEvent(event) {
+        if (!event || typeof event.at !== 'number') return;
+
+        const now = this.engine.audioContext.currentTime;
+        const when = Math.max(now, this.clock.toContextTime(event.at) + SYNC_PLAYOUT_DELAY);
+
+        if (event.kind === 'play' && typeof this.engine[event.method] === 'function' && /^play[A-Z]/.test(event.method)) {
+            const id = this.engine[event.method](event.frequency, event.style, event.duration, { ...event.options, when });
+            this.voiceIds.set(event.id, id);
+            if (this.onRemotePlay) this.onRemotePlay(event, when - now);
+        } else if (event.kind === 'stop') {
+            const id = this.voiceIds.get(event.id);
+            if (id) this.engine.stopVoice(id, event.release, when);
+            this.voiceIds.delete(event.id);
+        }
+
+        // Forget voices long finished so a long session does not pile up ids
+        this.voiceIds.forEach((localId, remoteId) => {
+            if (!this.engine.activeOscillators.has(localId)) this.voiceIds.delete(remoteId);
+        });
+    }
+
+    setUrl(url) {
+        this.url = url.trim() || GroupSync.getDefaultUrl();
+        this.save();
+    }
+
+    setListenOnly(listenOnly) {
+        this.listenOnly = listenOnly;
+    }
+
+    isLocked() {
+        return this.role === 'listener' && this.status === 'connected' && this.listenOnly;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(GROUP_SYNC_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(GROUP_SYNC_STORAGE_KEY, JSON.stringify({ url: this.url }));
+        } catch (error) {
+            console.warn('Could not save group sync settings:', error);
+        }
+    }
+}
+
+// Export singleton
+window.SyncClock = SyncClock;
+window.groupSync = new GroupSync(window.audioEngine);
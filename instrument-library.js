@@ -0,0 +1,235 @@
+/**
+ * Sound Bath Sanctuary - Instrument Library
+ * User-built handpans, bowl sets and gongs, saved locally and loaded into the sanctuary's slots
+ */
+
+const INSTRUMENT_LIBRARY_STORAGE_KEY = 'soundBath.instrumentLibrary';
+const INSTRUMENT_SLOTS_STORAGE_KEY = 'soundBath.instrumentSlots';
+
+const INSTRUMENT_KINDS = {
+    handpan: 'Handpan',
+    crystalBowls: 'Crystal bowl set',
+    tibetanBowls: 'Tibetan bowl set',
+    gong: 'Gong'
+};
+
+// Places in the sanctuary a definition can be loaded into
+const INSTRUMENT_SLOTS = {
+    crystalBowls: { label: 'Crystal bowls', kind: 'crystalBowls' },
+    tibetanBowls: { label: 'Tibetan bowls', kind: 'tibetanBowls' },
+    chauGong: { label: 'Chau gong', kind: 'gong' },
+    symphGong: { label: 'Symphonic gong', kind: 'gong' },
+    handpan1: { label: 'Handpan 1', kind: 'handpan' },
+    handpan2: { label: 'Handpan 2', kind: 'handpan' }
+};
+
+// Tone fields as semitones above the ding
+const HANDPAN_SCALES = {
+    kurd: { label: 'Kurd', intervals: [7, 8, 10, 12, 14, 15, 17, 19] },
+    celtic: { label: 'Celtic Minor', intervals: [7, 10, 12, 14, 15, 17, 19, 22] },
+    hijaz: { label: 'Hijaz', intervals: [7, 8, 11, 12, 14, 15, 17, 19] },
+    pygmy: { label: 'Pygmy', intervals: [3, 5, 7, 10, 12, 15, 17, 19] },
+    minor: { label: 'Minor (Aeolian)', intervals: [7, 8, 10, 12, 14, 15, 19, 22] }
+};
+
+const BOWL_DEFAULTS = {
+    crystalBowls: { chakra: '', color: '#7b68ee', size: 80 },
+    tibetanBowls: { size: 90 }
+};
+
+class InstrumentLibrary {
+    constructor() {
+        this.entries = this.load();   // [{ id, kind, name, definition }]
+        this.slots = this.loadSlots(); // { [slot]: entry id } - missing slots play the built-in
+    }
+
+    list(kind) {
+        return this.entries.filter(entry => !kind || entry.kind === kind);
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // Note name to frequency, following the active tuning when there is one
+    noteFrequency(name, tonicName = name) {
+        const midiNote = parseNoteName(name);
+        const tonic = parseNoteName(tonicName);
+        if (midiNote === null || tonic === null) return null;
+
+        const tuning = window.tuningSystem;
+        if (tuning && tuning.reference !== 'factory') {
+            return roundFrequency(tuning.getFrequency(midiNote, tonic));
+        }
+        return roundFrequency(440 * Math.pow(2, (midiNote - 69) / 12));
+    }
+
+    // Ding plus tone fields for a scale, spaced evenly clockwise from the top
+    createHandpanRows(dingName, scaleKey) {
+        const scale = HANDPAN_SCALES[scaleKey];
+        const ding = parseNoteName(dingName);
+        if (!scale || ding === null) return null;
+
+        const count = scale.intervals.length;
+        return [
+            { note: midiNoteName(ding), frequency: this.noteFrequency(midiNoteName(ding)) },
+            ...scale.intervals.map((interval, i) => {
+                const note = midiNoteName(ding + interval);
+                return { note, frequency: this.noteFrequency(note, midiNoteName(ding)), angle: Math.round(i * 360 / count) };
+            })
+        ];
+    }
+
+    // Editor rows <-> INSTRUMENTS-shaped definitions. A handpan's first row is its ding.
+    createDefinition(kind, name, rows) {
+        if (kind === 'handpan') {
+            const [ding = {}, ...notes] = rows;
+            return {
+                name,
+                ding: { note: ding.note, frequency: ding.frequency },
+                notes: notes.map(row => ({ note: row.note, frequency: row.frequency, angle: row.angle ?? 0 }))
+            };
+        }
+        if (kind === 'gong') {
+            const [gong = {}] = rows;
+            return { name, frequency: gong.frequency, description: gong.description || '' };
+        }
+        return rows.map(row => ({ ...BOWL_DEFAULTS[kind], ...row }));
+    }
+
+    // Rows show a saved definition under the current tuning, the way the builder entered it
+    getRows(kind, stored) {
+        const definition = window.tuningSystem ? tuningSystem.fromFactory(kind, stored) : stored;
+        if (kind === 'handpan') return [definition.ding, ...definition.notes].map(row => ({ ...row }));
+        if (kind === 'gong') return [{ frequency: definition.frequency, description: definition.description }];
+        return definition.map(row => ({ ...row }));
+    }
+
+    // Reuses the journey file checks so both report problems the same way
+    validate(kind, name, definition) {
+        const errors = [];
+        if (!name || !name.trim()) errors.push('Give the instrument a name');
+
+        // Checked as if loaded into the first slot of its kind
+        const key = { gong: 'gongs', handpan: 'handpan1' }[kind] || kind;
+        const instruments = { [key]: kind === 'gong' ? { [JOURNEY_GONG_KEYS[0]]: definition } : definition };
+        validateInstrumentDefinitions(instruments, (path, message) => {
+            const index = /\[(\d+)\]/.exec(path);
+            let row = index ? Number(index[1]) + 1 : null;
+            if (kind === 'handpan') row = path.includes('.ding') ? 1 : row && row + 1;
+            errors.push(row ? `Row ${row}: ${message}` : message);
+        });
+
+        return errors;
+    }
+
+    save(entry) {
+        const definition = this.createDefinition(entry.kind, entry.name, entry.rows);
+        const errors = this.validate(entry.kind, entry.name, definition);
+        if (errors.length > 0) return { saved: null, errors };
+
+        // Kept at factory pitch like the built-ins, whatever tuning it was entered under
+        const saved = {
+            id: entry.id || `custom-${Date.now().toString(36)}`,
+            kind: entry.kind,
+            name: entry.name.trim(),
+            definition: window.tuningSystem ? tuningSystem.toFactory(entry.kind, definition) : definition
+        };
+        const index = this.entries.findIndex(existing => existing.id === saved.id);
+        if (index === -1) {
+            this.entries.push(saved);
+        } else {
+            this.entries[index] = saved;
+        }
+
+        this.persist();
+        return { saved, errors };
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        Object.keys(this.slots).forEach(slot => {
+            if (this.slots[slot] === id) this.loadSlot(slot, null);
+        });
+        this.persist();
+    }
+
+    // What a slot plays right now: its loaded definition or the built-in one
+    getSlotDefinition(slot) {
+        const entry = this.get(this.slots[slot]);
+        if (entry) return entry.definition;
+        return INSTRUMENT_SLOTS[slot]?.kind === 'gong' ? BUILTIN_INSTRUMENTS.gongs[slot] : BUILTIN_INSTRUMENTS[slot];
+    }
+
+    loadSlot(slot, id) {
+        if (!INSTRUMENT_SLOTS[slot]) return false;
+
+        const entry = this.get(id);
+        if (entry && entry.kind !== INSTRUMENT_SLOTS[slot].kind) return false;
+
+        if (entry) {
+            this.slots[slot] = entry.id;
+        } else {
+            delete this.slots[slot];
+        }
+
+        const definition = JSON.parse(JSON.stringify(this.getSlotDefinition(slot)));
+        if (INSTRUMENT_SLOTS[slot].kind === 'gong') {
+            INSTRUMENTS.gongs[slot] = definition;
+        } else {
+            INSTRUMENTS[slot] = definition;
+        }
+
+        window.tuningSystem?.retune();
+        this.saveSlots();
+        return true;
+    }
+
+    restoreSlots() {
+        Object.entries(this.slots).forEach(([slot, id]) => this.loadSlot(slot, id));
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(INSTRUMENT_LIBRARY_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save instrument library:', error);
+        }
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(INSTRUMENT_LIBRARY_STORAGE_KEY));
+            // Entries edited outside the builder are held to the same checks as the ones it saves
+            return Array.isArray(stored)
+                ? stored.filter(entry => INSTRUMENT_KINDS[entry?.kind] && typeof entry.name === 'string'
+                    && this.validate(entry.kind, entry.name, entry.definition).length === 0)
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveSlots() {
+        try {
+            localStorage.setItem(INSTRUMENT_SLOTS_STORAGE_KEY, JSON.stringify(this.slots));
+        } catch (error) {
+            console.warn('Could not save instrument slots:', error);
+        }
+    }
+
+    loadSlots() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(INSTRUMENT_SLOTS_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+}
+
+// Export singleton
+window.INSTRUMENT_KINDS = INSTRUMENT_KINDS;
+window.INSTRUMENT_SLOTS = INSTRUMENT_SLOTS;
+window.HANDPAN_SCALES = HANDPAN_SCALES;
+window.instrumentLibrary = new InstrumentLibrary();
@@ -36,6 +36,11 @@ const INSTRUMENTS = {
         key: 'D'
     },
 
+    // Drone - keyed to one of these roots; 'auto' follows the last handpan played, else the root bowl
+    drone: {
+        roots: ['auto', 'handpan1.ding', 'handpan2.ding', 'crystalBowls[0]']
+    },
+
     // Pan Flute - Pentatonic scale
     panFlute: [
         { note: 'G4', frequency: 392 },
@@ -88,6 +93,104 @@ const playStyles = {
     handpan: 'finger'
 };
 
+// Styles offered by each play-style group (mirrors the style buttons in index.html)
+const PLAY_STYLE_OPTIONS = {
+    crystal: ['strike', 'rim', 'gentle'],
+    tibetan: ['mallet', 'singing', 'water'],
+    gong: ['soft', 'crescendo', 'crash'],
+    wind: ['sustained', 'rhythmic', 'melodic'],
+    handpan: ['finger', 'palm', 'ghost']
+};
+
+// Engine voice and play-style group for each instrument family
+const INSTRUMENT_VOICES = {
+    crystal: { method: 'playCrystalBowl', styleGroup: 'crystal' },
+    tibetan: { method: 'playTibetanBowl', styleGroup: 'tibetan' },
+    gong: { method: 'playGong', styleGroup: 'gong' },
+    didgeridoo: { method: 'playDidgeridoo', styleGroup: 'wind' },
+    panflute: { method: 'playPanFlute', styleGroup: 'wind' },
+    handpan: { method: 'playHandpan', styleGroup: 'handpan' }
+};
+
+const LIST_FAMILIES = {
+    crystalBowls: 'crystal',
+    tibetanBowls: 'tibetan',
+    panFlute: 'panflute'
+};
+
+// Resolve a reference such as 'crystalBowls[3]', 'gongs.chauGong' or 'handpan1.notes[5]'
+function resolveInstrument(path, instruments = INSTRUMENTS) {
+    const match = /^([A-Za-z]\w*)(?:\.([A-Za-z]\w*))?(?:\[(\d+)\])?$/.exec(String(path).trim());
+    if (!match) return null;
+
+    const [, key, member = null, indexText] = match;
+    const index = indexText === undefined ? null : Number(indexText);
+    const root = instruments[key];
+    if (!root) return null;
+
+    let family = null;
+    let entry = null;
+
+    if (LIST_FAMILIES[key]) {
+        family = LIST_FAMILIES[key];
+        entry = !member && index !== null ? root[index] : null;
+    } else if (key === 'gongs') {
+        family = 'gong';
+        entry = member && index === null ? root[member] : null;
+    } else if (key === 'didgeridoo') {
+        family = 'didgeridoo';
+        entry = !member && index === null ? root : null;
+    } else if (root.ding && Array.isArray(root.notes)) {
+        family = 'handpan';
+        if (member === 'ding' && index === null) entry = root.ding;
+        if (member === 'notes' && index !== null) entry = root.notes[index];
+    }
+
+    if (!entry || typeof entry.frequency !== 'number') return null;
+
+    return {
+        path: `${key}${member ? `.${member}` : ''}${index !== null ? `[${index}]` : ''}`,
+        key,
+        member,
+        index,
+        family,
+        frequency: entry.frequency,
+        ...INSTRUMENT_VOICES[family]
+    };
+}
+
+// Every playable reference, in config order
+function listInstrumentPaths(instruments = INSTRUMENTS) {
+    const paths = [];
+
+    Object.entries(instruments).forEach(([key, value]) => {
+        if (LIST_FAMILIES[key]) {
+            value.forEach((entry, index) => paths.push(`${key}[${index}]`));
+        } else if (key === 'gongs') {
+            Object.keys(value).forEach(gongKey => paths.push(`gongs.${gongKey}`));
+        } else if (key === 'didgeridoo') {
+            paths.push('didgeridoo');
+        } else if (value?.ding && Array.isArray(value.notes)) {
+            paths.push(`${key}.ding`);
+            value.notes.forEach((note, index) => paths.push(`${key}.notes[${index}]`));
+        }
+    });
+
+    return paths.filter(path => resolveInstrument(path, instruments));
+}
+
+// The instrument behind a voice, from the method and frequency the engine was asked to play
+function findInstrument(method, frequency, instruments = INSTRUMENTS) {
+    return listInstrumentPaths(instruments)
+        .map(path => resolveInstrument(path, instruments))
+        .find(target => target.method === method && target.frequency === frequency) || null;
+}
+
 // Export
 window.INSTRUMENTS = INSTRUMENTS;
 window.playStyles = playStyles;
+window.PLAY_STYLE_OPTIONS = PLAY_STYLE_OPTIONS;
+window.INSTRUMENT_VOICES = INSTRUMENT_VOICES;
+window.resolveInstrument = resolveInstrument;
+window.listInstrumentPaths = listInstrumentPaths;
+window.findInstrument = findInstrument;
@@ -0,0 +1,241 @@
+/**
+ * Sound Bath Sanctuary - Jam Session
+ * A shared room where everyone plays at once, each player's strikes tinted in their own color
+ */
+
+const JAM_STORAGE_KEY = 'soundBath.jam';
+const JAM_PLAYOUT_DELAY = 0.08; // Shorter than a broadcast's - players respond to each other, so latency matters more than perfect alignment
+
+// What a player claims in a locking room: each bowl and gong on its own, melodic instruments whole
+function getJamInstrument(target) {
+    if (target.family === 'handpan' || target.family === 'panflute') return target.key;
+    return target.path;
+}
+
+class JamSession {
+    constructor(engine) {
+        this.engine = engine;
+        this.socket = null;
+        this.status = 'idle';     // idle | connecting | connected
+        this.room = null;
+        this.id = null;           // This player's id in the room
+        this.color = null;
+        this.locking = false;
+        this.players = new Map(); // id -> { id, name, color }
+        this.claims = {};         // instrument -> owner id
+        this.clock = new SyncClock(engine);
+        this.unsubscribers = [];
+        this.voiceIds = new Map(); // 'player:voice' -> local voice id
+        this.rendering = false;    // Set while playing someone else's strike, so it is not sent back out
+        this.name = this.load().name || '';
+
+        // UI hooks
+        this.onStateChange = null; // (status)
+        this.onPlayers = null;     // (players, claims)
+        this.onStrike = null;      // (target, player, delaySeconds) - local strikes as well as remote ones
+        this.onDenied = null;      // (instrument, owner)
+        this.onError = null;       // (message)
+    }
+
+    // create opens the room if it does not exist yet (leave room blank for a fresh code); locking only applies then
+    join(room, { url, name = this.name, create = false, locking = false } = {}) {
+        if (!this.engine.audioContext) return false;
+        this.leave();
+
+        this.name = name.trim();
+        this.save();
+        this.setStatus('connecting');
+
+        let socket;
+        try {
+            socket = new WebSocket(url);
+        } catch (error) {
+            this.fail(`Could not reach ${url}`);
+            this.setStatus('idle');
+            return false;
+        }
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.send({ type: 'join', mode: 'jam', room, name: this.name, create, locking });
+            this.clock.start((message) => this.send(message));
+        });
+        socket.addEventListener('message', (message) => {
+            try {
+                this.handleMessage(JSON.parse(message.data));
+            } catch (error) {
+                console.warn('Ignoring jam message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) return;
+            if (this.status === 'connecting') this.fail(`Could not reach ${url}`);
+            this.leave();
+        });
+        return true;
+    }
+
+    leave() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket && socket.readyState <= WebSocket.OPEN) socket.close();
+
+        this.clock.stop();
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.voiceIds.clear();
+        this.players.clear();
+        this.claims = {};
+        this.room = null;
+        this.id = null;
+        if (this.status !== 'idle') this.setStatus('idle');
+    }
+
+    // Give back every instrument this player owns
+    release() {
+        this.send({ type: 'release' });
+    }
+
+    send(message) {
+        if (this.socket?.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'joined':
+                this.room = message.room;
+                this.id = message.id;
+                this.color = message.color;
+                this.locking = message.locking;
+                this.startBroadcast();
+                this.setStatus('connected');
+                break;
+            case 'players':
+                this.players = new Map(message.players.map(player => [player.id, player]));
+                this.claims = message.claims || {};
+                if (this.onPlayers) this.onPlayers(this.players, this.claims);
+                break;
+            case 'pong':
+                this.clock.addSample(message);
+                break;
+            case 'event':
+                this.handleEvent(message.event);
+                break;
+            case 'denied':
+                if (this.onDenied) this.onDenied(message.instrument, this.players.get(message.owner));
+                break;
+            case 'error':
+                this.fail(message.message);
+                this.leave();
+                break;
+            default:
+                break;
+        }
+    }
+
+    fail(message) {
+        if (this.onError) this.onError(message);
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (this.onStateChange) this.onStateChange(status);
+    }
+
+    startBroadcast() {
+        this.unsubscribers = [
+            this.engine.on('play', (event) => {
+                if (this.rendering) return;
+
+                const target = findInstrument(event.method, event.frequency);
+                const { when, ...options } = event.options || {};
+                this.send({
+                    type: 'event',
+                    event: {
+                        kind: 'play',
+                        id: event.id,
+                        method: event.method,
+                        frequency: event.frequency,
+                        style: event.style,
+                        duration: event.duration,
+                        options,
+                        instrument: target ? getJamInstrument(target) : null,
+                        at: this.clock.toServerTime(event.time)
+                    }
+                });
+                if (target && this.onStrike) {
+                    this.onStrike(target, this.players.get(this.id), event.time - this.engine.audioContext.currentTime);
+                }
+            }),
+            this.engine.on('stop', (event) => {
+                if (this.rendering) return;
+                this.send({
+                    type: 'event',
+                    event: { kind: 'stop', id: event.id, release: event.release, at: this.clock.toServerTime(event.time) }
+                });
+            })
+        ];
+    }
+
+    handleEvent(event) {
+        if (!event || typeof event.at !== 'number') return;
+
+        const now = this.engine.audioContext.currentTime;
+        const when = Math.max(now, this.clock.toContextTime(event.at) + JAM_PLAYOUT_DELAY);
+        const key = `${event.from}:${event.id}`;
+
+        this.rendering = true;
+        try {
+            if (event.kind === 'play' && typeof this.engine[event.method] === 'function' && /^play[A-Z]/.test(event.method)) {
+                const id = this.engine[event.method](event.frequency, event.style, event.duration, { ...event.options, when });
+                this.voiceIds.set(key, id);
+
+                const target = findInstrument(event.method, event.frequency);
+                if (target && this.onStrike) this.onStrike(target, this.players.get(event.from), when - now);
+            } else if (event.kind === 'stop') {
+                const id = this.voiceIds.get(key);
+                if (id) this.engine.stopVoice(id, event.release, when);
+                this.voiceIds.delete(key);
+            }
+        } finally {
+            this.rendering = false;
+        }
+
+        this.voiceIds.forEach((localId, remoteKey) => {
+            if (!this.engine.activeOscillators.has(localId)) this.voiceIds.delete(remoteKey);
+        });
+    }
+
+    // The player who owns an instrument in a locking room, or null
+    getOwner(target) {
+        const ownerId = this.claims[getJamInstrument(target)];
+        return ownerId ? this.players.get(ownerId) || null : null;
+    }
+
+    isLockedForMe(target) {
+        const owner = this.getOwner(target);
+        return Boolean(owner) && owner.id !== this.id;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(JAM_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(JAM_STORAGE_KEY, JSON.stringify({ name: this.name }));
+        } catch (error) {
+            console.warn('Could not save jam settings:', error);
+        }
+    }
+}
+
+// Export singleton
+window.getJamInstrument = getJamInstrument;
+window.jamSession = new JamSession(window.audioEngine);
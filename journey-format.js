@@ -0,0 +1,542 @@
+/**
+ * Sound Bath Sanctuary - Journey File Format
+ * Versioned JSON journeys: parsing with line tracking, validation, import and export
+ */
+
+const JOURNEY_FORMAT = 'sound-bath-journey';
+const JOURNEY_FORMAT_VERSION = 1;
+
+// Snapshot of the shipped instruments so exports only carry what a user changed
+const BUILTIN_INSTRUMENTS = JSON.parse(JSON.stringify(INSTRUMENTS));
+
+const JOURNEY_TIME_PATTERN = '^\\d+(:\\d{1,2}){0,2}(\\.\\d+)?$';
+const JOURNEY_LABEL_LENGTH = 24; // Note names and bowl labels sit under the instruments
+
+// The parts of INSTRUMENTS a journey may replace - the drone and anything else stay the listener's own
+const JOURNEY_INSTRUMENT_KEYS = ['crystalBowls', 'tibetanBowls', 'panFlute', 'gongs', 'didgeridoo', 'handpan1', 'handpan2'];
+const JOURNEY_GONG_KEYS = Object.keys(BUILTIN_INSTRUMENTS.gongs);
+
+// JSON Schema (draft-07) for editors and external tooling. validateJourney() enforces
+// the same rules and additionally checks that every target resolves to an instrument.
+const JOURNEY_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Sound Bath Journey',
+    type: 'object',
+    required: ['format', 'version', 'events'],
+    additionalProperties: false,
+    definitions: {
+        time: {
+            oneOf: [
+                { type: 'number', minimum: 0 },
+                { type: 'string', pattern: JOURNEY_TIME_PATTERN }
+            ]
+        },
+        frequency: { type: 'number', minimum: 20, maximum: 20000 },
+        level: { type: 'number', minimum: 0, maximum: 1 },
+        note: {
+            type: 'object',
+            required: ['note', 'frequency'],
+            properties: {
+                note: { type: 'string', maxLength: JOURNEY_LABEL_LENGTH },
+                frequency: { $ref: '#/definitions/frequency' },
+                angle: { type: 'number' }
+            }
+        },
+        event: {
+            type: 'object',
+            required: ['at', 'target'],
+            additionalProperties: false,
+            properties: {
+                at: { $ref: '#/definitions/time' },
+                until: { $ref: '#/definitions/time' },
+                every: { type: 'number', exclusiveMinimum: 0 },
+                spread: { type: 'number', minimum: 0 },
+                duration: { type: 'number', exclusiveMinimum: 0, maximum: 600 },
+                style: { type: 'string' },
+                target: {
+                    oneOf: [
+                        { type: 'string' },
+                        { type: 'array', minItems: 1, items: { type: 'string' } }
+                    ]
+                }
+            }
+        }
+    },
+    properties: {
+        format: { const: JOURNEY_FORMAT },
+        version: { type: 'integer', minimum: 1, maximum: JOURNEY_FORMAT_VERSION },
+        name: { type: 'string' },
+        duration: { $ref: '#/definitions/time' },
+        levels: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                master: { $ref: '#/definitions/level' },
+                ambient: { $ref: '#/definitions/level' }
+            }
+        },
+        styles: {
+            type: 'object',
+            additionalProperties: false,
+            properties: Object.fromEntries(Object.entries(PLAY_STYLE_OPTIONS)
+                .map(([group, styles]) => [group, { enum: styles }]))
+        },
+        instruments: { type: 'object', propertyNames: { enum: JOURNEY_INSTRUMENT_KEYS } },
+        events: { type: 'array', items: { $ref: '#/definitions/event' } }
+    }
+};
+
+const ROOT_KEYS = Object.keys(JOURNEY_SCHEMA.properties);
+const EVENT_KEYS = Object.keys(JOURNEY_SCHEMA.definitions.event.properties);
+
+// JSON parser that remembers the line each value starts on, keyed by path ('events[2].target')
+function parseJsonWithLines(text) {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+
+    const fail = (message) => {
+        const error = new SyntaxError(message);
+        error.line = line;
+        error.column = pos - lineStart + 1;
+        throw error;
+    };
+
+    const skipWhitespace = () => {
+        while (pos < text.length) {
+            const ch = text[pos];
+            if (ch === '\n') {
+                line++;
+                pos++;
+                lineStart = pos;
+            } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+                pos++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const matchToken = (pattern, message) => {
+        pattern.lastIndex = pos;
+        const match = pattern.exec(text);
+        if (!match) fail(message);
+        pos += match[0].length;
+        return JSON.parse(match[0]);
+    };
+
+    const parseString = () => matchToken(/"(?:[^"\\\n\r]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y, 'Unterminated or invalid string');
+    const parseNumber = () => matchToken(/-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y, 'Invalid number');
+
+    const parseValue = (path) => {
+        skipWhitespace();
+        lines.set(path, line);
+        const ch = text[pos];
+
+        if (ch === '{') return parseObject(path);
+        if (ch === '[') return parseArray(path);
+        if (ch === '"') return parseString();
+        if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
+
+        for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (text.startsWith(literal, pos)) {
+                pos += literal.length;
+                return value;
+            }
+        }
+        return fail(ch === undefined ? 'Unexpected end of file' : `Unexpected character '${ch}'`);
+    };
+
+    const parseObject = (path) => {
+        const object = {};
+        pos++;
+        skipWhitespace();
+        if (text[pos] === '}') {
+            pos++;
+            return object;
+        }
+
+        for (;;) {
+            skipWhitespace();
+            if (text[pos] !== '"') fail('Expected a property name in double quotes');
+            const key = parseString();
+            skipWhitespace();
+            if (text[pos] !== ':') fail(`Expected ':' after "${key}"`);
+            pos++;
+            object[key] = parseValue(path ? `${path}.${key}` : key);
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] === '}') {
+                pos++;
+                return object;
+            } else {
+                fail("Expected ',' or '}' - is a comma missing?");
+            }
+        }
+    };
+
+    const parseArray = (path) => {
+        const array = [];
+        pos++;
+        skipWhitespace();
+        if (text[pos] === ']') {
+            pos++;
+            return array;
+        }
+
+        for (;;) {
+            array.push(parseValue(`${path}[${array.length}]`));
+            skipWhitespace();
+            if (text[pos] === ',') {
+                pos++;
+            } else if (text[pos] === ']') {
+                pos++;
+                return array;
+            } else {
+                fail("Expected ',' or ']' - is a comma missing?");
+            }
+        }
+    };
+
+    const value = parseValue('');
+    skipWhitespace();
+    if (pos < text.length) fail('Unexpected content after the end of the journey');
+
+    return { value, lines };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFrequency = (value) => typeof value === 'number' && value >= 20 && value <= 20000;
+const isLevel = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+// Validate journey text (or an already-parsed object). Errors carry the line they refer to.
+function validateJourney(source) {
+    const errors = [];
+    let doc = source;
+    let lines = new Map();
+
+    if (typeof source === 'string') {
+        try {
+            ({ value: doc, lines } = parseJsonWithLines(source));
+        } catch (error) {
+            return {
+                valid: false,
+                journey: null,
+                errors: [{ line: error.line || 1, path: '', message: `${error.message} (column ${error.column || 1})` }]
+            };
+        }
+    }
+
+    // Walk up the path until we find a value whose line we know
+    const lineFor = (path) => {
+        let current = path;
+        while (current && !lines.has(current)) {
+            current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        }
+        return lines.get(current) || 1;
+    };
+    const error = (path, message) => errors.push({ line: lineFor(path), path, message });
+
+    if (!isObject(doc)) {
+        error('', 'A journey must be a JSON object');
+        return { valid: false, journey: null, errors };
+    }
+
+    Object.keys(doc).filter(key => !ROOT_KEYS.includes(key))
+        .forEach(key => error(key, `Unknown property "${key}"`));
+
+    if (doc.format !== JOURNEY_FORMAT) {
+        error('format', `"format" must be "${JOURNEY_FORMAT}"`);
+    }
+    if (!Number.isInteger(doc.version) || doc.version < 1) {
+        error('version', '"version" must be a whole number');
+    } else if (doc.version > JOURNEY_FORMAT_VERSION) {
+        error('version', `Journey uses format v${doc.version}; this app reads up to v${JOURNEY_FORMAT_VERSION}`);
+    }
+    if (doc.name !== undefined && typeof doc.name !== 'string') {
+        error('name', '"name" must be text');
+    }
+    if (doc.duration !== undefined && !Number.isFinite(parseJourneyTime(doc.duration))) {
+        error('duration', '"duration" must be seconds or a time like "30:00"');
+    }
+
+    if (doc.levels !== undefined) {
+        if (!isObject(doc.levels)) {
+            error('levels', '"levels" must be an object');
+        } else {
+            Object.entries(doc.levels).forEach(([key, value]) => {
+                if (key !== 'master' && key !== 'ambient') {
+                    error(`levels.${key}`, `Unknown level "${key}" - use "master" or "ambient"`);
+                } else if (!isLevel(value)) {
+                    error(`levels.${key}`, `Level "${key}" must be a number from 0 to 1`);
+                }
+            });
+        }
+    }
+
+    if (doc.styles !== undefined) {
+        if (!isObject(doc.styles)) {
+            error('styles', '"styles" must be an object');
+        } else {
+            Object.entries(doc.styles).forEach(([group, style]) => {
+                const options = PLAY_STYLE_OPTIONS[group];
+                if (!options) {
+                    error(`styles.${group}`, `Unknown style group "${group}" - use ${Object.keys(PLAY_STYLE_OPTIONS).join(', ')}`);
+                } else if (!options.includes(style)) {
+                    error(`styles.${group}`, `"${style}" is not a ${group} style - use ${options.join(', ')}`);
+                }
+            });
+        }
+    }
+
+    if (doc.instruments !== undefined) {
+        validateInstrumentDefinitions(doc.instruments, error);
+    }
+    const instruments = mergeInstruments(INSTRUMENTS, isObject(doc.instruments) ? doc.instruments : {});
+
+    if (!Array.isArray(doc.events)) {
+        error('events', '"events" must be a list of events');
+    } else {
+        doc.events.forEach((event, index) => validateEvent(event, `events[${index}]`, instruments, error));
+    }
+
+    errors.sort((a, b) => a.line - b.line);
+    return { valid: errors.length === 0, journey: errors.length === 0 ? doc : null, errors };
+}
+
+function validateEvent(event, path, instruments, error) {
+    if (!isObject(event)) {
+        error(path, 'Each event must be an object');
+        return;
+    }
+
+    Object.keys(event).filter(key => !EVENT_KEYS.includes(key))
+        .forEach(key => error(`${path}.${key}`, `Unknown event property "${key}"`));
+
+    const at = parseJourneyTime(event.at);
+    if (!Number.isFinite(at)) {
+        error(`${path}.at`, '"at" must be seconds or a time like "2:00"');
+    }
+
+    if (event.until !== undefined) {
+        const until = parseJourneyTime(event.until);
+        if (!Number.isFinite(until)) {
+            error(`${path}.until`, '"until" must be seconds or a time like "14:00"');
+        } else if (Number.isFinite(at) && until <= at) {
+            error(`${path}.until`, '"until" must be later than "at"');
+        }
+    }
+    if (event.every !== undefined && !(typeof event.every === 'number' && event.every > 0)) {
+        error(`${path}.every`, '"every" must be a positive number of seconds');
+    }
+    if (event.spread !== undefined && !(typeof event.spread === 'number' && event.spread >= 0)) {
+        error(`${path}.spread`, '"spread" must be zero or more seconds');
+    }
+    if (event.duration !== undefined && !(typeof event.duration === 'number' && event.duration > 0 && event.duration <= 600)) {
+        error(`${path}.duration`, '"duration" must be between 0 and 600 seconds');
+    }
+
+    const targets = Array.isArray(event.target) ? event.target : [event.target];
+    if (event.target === undefined || targets.length === 0) {
+        error(`${path}.target`, 'Missing "target" - e.g. "crystalBowls[3]" or "gongs.chauGong"');
+        return;
+    }
+
+    targets.forEach((targetPath, index) => {
+        const targetLocation = Array.isArray(event.target) ? `${path}.target[${index}]` : `${path}.target`;
+        const target = typeof targetPath === 'string' ? resolveInstrument(targetPath, instruments) : null;
+
+        if (!target) {
+            error(targetLocation, `Unknown instrument "${targetPath}"`);
+        } else if (event.style !== undefined && !PLAY_STYLE_OPTIONS[target.styleGroup].includes(event.style)) {
+            error(`${path}.style`, `"${event.style}" is not a ${target.styleGroup} style for ${target.path} - use ${PLAY_STYLE_OPTIONS[target.styleGroup].join(', ')}`);
+        }
+    });
+}
+
+function validateInstrumentDefinitions(instruments, error) {
+    if (!isObject(instruments)) {
+        error('instruments', '"instruments" must be an object');
+        return;
+    }
+
+    const checkNotes = (list, path, fields) => {
+        if (!Array.isArray(list) || list.length === 0) {
+            error(path, `"${path}" must be a non-empty list`);
+            return;
+        }
+        list.forEach((entry, index) => {
+            const entryPath = `${path}[${index}]`;
+            if (!isObject(entry)) {
+                error(entryPath, 'Each entry must be an object');
+                return;
+            }
+            if (!isFrequency(entry.frequency)) {
+                error(`${entryPath}.frequency`, 'Frequency must be a number between 20 and 20000 Hz');
+            }
+            fields.forEach(field => {
+                if (typeof entry[field] !== 'string') error(`${entryPath}.${field}`, `Missing text field "${field}"`);
+            });
+            ['note', 'name', 'chakra'].forEach(field => {
+                if (typeof entry[field] === 'string' && entry[field].length > JOURNEY_LABEL_LENGTH) {
+                    error(`${entryPath}.${field}`, `"${field}" must be at most ${JOURNEY_LABEL_LENGTH} characters`);
+                } else if (entry[field] !== undefined && typeof entry[field] !== 'string' && !fields.includes(field)) {
+                    error(`${entryPath}.${field}`, `"${field}" must be text`);
+                }
+            });
+            if (entry.size !== undefined && !(typeof entry.size === 'number' && entry.size > 0)) {
+                error(`${entryPath}.size`, '"size" must be a positive number of pixels');
+            }
+            if (entry.color !== undefined && !/^#[0-9a-fA-F]{3,8}$/.test(entry.color)) {
+                error(`${entryPath}.color`, '"color" must be a hex colour like "#ff4444"');
+            }
+        });
+    };
+
+    Object.entries(instruments).forEach(([key, definition]) => {
+        const path = `instruments.${key}`;
+
+        if (key === 'crystalBowls') {
+            checkNotes(definition, path, ['note']);
+        } else if (key === 'tibetanBowls') {
+            checkNotes(definition, path, ['name']);
+        } else if (key === 'panFlute') {
+            checkNotes(definition, path, ['note']);
+        } else if (key === 'gongs') {
+            if (!isObject(definition)) {
+                error(path, '"gongs" must map gong names to definitions');
+                return;
+            }
+            Object.entries(definition).forEach(([gongKey, gong]) => {
+                if (!JOURNEY_GONG_KEYS.includes(gongKey)) {
+                    error(`${path}.${gongKey}`, `Unknown gong "${gongKey}" - use ${JOURNEY_GONG_KEYS.join(' or ')}`);
+                } else if (!isObject(gong) || !isFrequency(gong.frequency)) {
+                    error(`${path}.${gongKey}`, 'Each gong needs a frequency between 20 and 20000 Hz');
+                }
+            });
+        } else if (key === 'didgeridoo') {
+            if (!isObject(definition) || !isFrequency(definition.frequency)) {
+                error(path, 'The didgeridoo needs a frequency between 20 and 20000 Hz');
+            }
+        } else if (key === 'handpan1' || key === 'handpan2') {
+            if (!isObject(definition) || !isObject(definition.ding) || !isFrequency(definition.ding.frequency)) {
+                error(`${path}.ding`, 'A handpan needs a ding with a frequency between 20 and 20000 Hz');
+            }
+            checkNotes(definition?.notes, `${path}.notes`, ['note']);
+        } else {
+            error(path, `Unknown instrument "${key}" - a journey can set ${JOURNEY_INSTRUMENT_KEYS.join(', ')}`);
+        }
+    });
+}
+
+function mergeInstruments(base, overrides) {
+    const merged = { ...base, ...overrides };
+    if (isObject(overrides.gongs)) {
+        merged.gongs = { ...base.gongs, ...overrides.gongs };
+    }
+    return merged;
+}
+
+// Put back the shipped instruments and the listener's builder slots a previous journey replaced
+function resetJourneyInstruments() {
+    const builtin = JSON.parse(JSON.stringify(BUILTIN_INSTRUMENTS));
+    JOURNEY_INSTRUMENT_KEYS.filter(key => key !== 'gongs').forEach(key => {
+        INSTRUMENTS[key] = builtin[key];
+    });
+    JOURNEY_GONG_KEYS.forEach(gongKey => {
+        INSTRUMENTS.gongs[gongKey] = builtin.gongs[gongKey];
+    });
+    window.instrumentLibrary?.restoreSlots();
+}
+
+// Install a journey's custom instruments into the live INSTRUMENTS config.
+// A journey without any starts from the sanctuary's own instruments again.
+function applyJourneyInstruments(instruments) {
+    resetJourneyInstruments();
+
+    if (isObject(instruments)) {
+        const copy = JSON.parse(JSON.stringify(instruments));
+        Object.entries(copy).forEach(([key, definition]) => {
+            if (key === 'gongs') {
+                JOURNEY_GONG_KEYS.filter(gongKey => Object.hasOwn(definition, gongKey)).forEach(gongKey => {
+                    INSTRUMENTS.gongs[gongKey] = definition[gongKey];
+                });
+            } else if (JOURNEY_INSTRUMENT_KEYS.includes(key)) {
+                INSTRUMENTS[key] = definition;
+            }
+        });
+    }
+
+    window.tuningSystem?.retune();
+}
+
+// A copy of a live definition at the factory pitch it was written at, undoing the current tuning
+function atFactoryPitch(definition) {
+    if (Array.isArray(definition)) return definition.map(atFactoryPitch);
+    if (!isObject(definition)) return definition;
+
+    const copy = {};
+    Object.entries(definition).forEach(([key, value]) => {
+        copy[key] = atFactoryPitch(value);
+    });
+    if (typeof definition.frequency === 'number' && window.tuningSystem) {
+        copy.frequency = window.tuningSystem.getFactoryFrequency(definition);
+    }
+    return copy;
+}
+
+// Instruments that differ from the shipped configuration. Both sides are compared at factory
+// pitch, so a retuned sanctuary exports only what the listener changed and the importer's own
+// tuning applies on load.
+function getCustomInstruments() {
+    const custom = {};
+
+    JOURNEY_INSTRUMENT_KEYS.forEach(key => {
+        const definition = atFactoryPitch(INSTRUMENTS[key]);
+        if (definition === undefined) return;
+        if (key === 'gongs') {
+            const gongs = {};
+            JOURNEY_GONG_KEYS.forEach(gongKey => {
+                const gong = definition[gongKey];
+                if (gong && JSON.stringify(gong) !== JSON.stringify(BUILTIN_INSTRUMENTS.gongs[gongKey])) {
+                    gongs[gongKey] = gong;
+                }
+            });
+            if (Object.keys(gongs).length > 0) custom.gongs = gongs;
+        } else if (JSON.stringify(definition) !== JSON.stringify(BUILTIN_INSTRUMENTS[key])) {
+            custom[key] = definition;
+        }
+    });
+
+    return custom;
+}
+
+function createJourneyDocument({ name, duration, events, styles, levels, instruments }) {
+    const doc = {
+        format: JOURNEY_FORMAT,
+        version: JOURNEY_FORMAT_VERSION,
+        name: name || 'Untitled Journey'
+    };
+
+    if (duration !== undefined) doc.duration = duration;
+    if (levels) doc.levels = levels;
+    if (styles) doc.styles = styles;
+    if (instruments && Object.keys(instruments).length > 0) doc.instruments = instruments;
+    doc.events = events || [];
+
+    return doc;
+}
+
+function formatJourneyErrors(errors) {
+    return errors.map(({ line, message }) => `Line ${line}: ${message}`);
+}
+
+// Export
+window.JOURNEY_SCHEMA = JOURNEY_SCHEMA;
+window.validateJourney = validateJourney;
+window.applyJourneyInstruments = applyJourneyInstruments;
+window.getCustomInstruments = getCustomInstruments;
+window.createJourneyDocument = createJourneyDocument;
+window.formatJourneyErrors = formatJourneyErrors;
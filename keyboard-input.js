@@ -0,0 +1,229 @@
+/**
+ * Sound Bath Sanctuary - Keyboard Performance
+ * Plays instruments from the computer keyboard with remappable QWERTY layouts
+ */
+
+const KEYBOARD_LAYOUT_STORAGE_KEY = 'soundBath.keyboardLayout';
+
+// KeyboardEvent.code values, so the layout stays put on AZERTY and other keymaps
+const DEFAULT_KEYBOARD_LAYOUT = {
+    Digit1: 'crystalBowls[0]',
+    Digit2: 'crystalBowls[1]',
+    Digit3: 'crystalBowls[2]',
+    Digit4: 'crystalBowls[3]',
+    Digit5: 'crystalBowls[4]',
+    Digit6: 'crystalBowls[5]',
+    Digit7: 'crystalBowls[6]',
+    KeyQ: 'tibetanBowls[0]',
+    KeyW: 'tibetanBowls[1]',
+    KeyE: 'tibetanBowls[2]',
+    KeyR: 'tibetanBowls[3]',
+    KeyT: 'tibetanBowls[4]',
+    KeyY: 'gongs.chauGong',
+    KeyU: 'gongs.symphGong',
+    KeyI: 'didgeridoo',
+    KeyA: 'handpan1.ding',
+    KeyS: 'handpan1.notes[0]',
+    KeyD: 'handpan1.notes[1]',
+    KeyF: 'handpan1.notes[2]',
+    KeyG: 'handpan1.notes[3]',
+    KeyH: 'handpan1.notes[4]',
+    KeyJ: 'handpan1.notes[5]',
+    KeyK: 'handpan1.notes[6]',
+    KeyL: 'handpan1.notes[7]',
+    KeyZ: 'panFlute[0]',
+    KeyX: 'panFlute[1]',
+    KeyC: 'panFlute[2]',
+    KeyV: 'panFlute[3]',
+    KeyB: 'panFlute[4]',
+    KeyN: 'panFlute[5]',
+    KeyM: 'panFlute[6]',
+    Comma: 'panFlute[7]'
+};
+
+const KEY_CODE_LABELS = {
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    Comma: ',',
+    Period: '.',
+    Slash: '/'
+};
+
+// Keys that keep their usual meaning even in performance mode
+const RESERVED_KEY_CODES = ['Tab', 'Enter', 'Space', 'Escape'];
+
+function keyCodeLabel(code) {
+    if (KEY_CODE_LABELS[code]) return KEY_CODE_LABELS[code];
+    return code.replace(/^(Key|Digit|Numpad)/, '');
+}
+
+class KeyboardPerformance {
+    constructor(engine) {
+        this.engine = engine;
+        this.enabled = false;
+        this.layout = this.loadLayout(); // { [KeyboardEvent.code]: instrument path }
+        this.heldKeys = new Map();       // code -> { id, target }
+        this.captureCallback = null;
+        this.captureCancel = null;
+
+        // UI hooks
+        this.onNoteOn = null;  // (target, code, isHeld)
+        this.onNoteOff = null; // (target, releaseSeconds)
+
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.releaseAllKeys = this.releaseAllKeys.bind(this);
+        this.handleCaptureKey = this.handleCaptureKey.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        document.addEventListener('keydown', this.handleKeyDown);
+        document.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.releaseAllKeys); // Keyups are lost when focus leaves
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.releaseAllKeys);
+        this.releaseAllKeys();
+    }
+
+    // The next key pressed is handed to callback instead of playing, whether or not performance
+    // mode is on. Escape gives up and calls onCancel.
+    captureNextKey(callback, onCancel = null) {
+        this.cancelCapture();
+        this.captureCallback = callback;
+        this.captureCancel = onCancel;
+        document.addEventListener('keydown', this.handleCaptureKey, true);
+    }
+
+    cancelCapture() {
+        if (!this.captureCallback) return;
+        const onCancel = this.captureCancel;
+        this.endCapture();
+        if (onCancel) onCancel();
+    }
+
+    endCapture() {
+        this.captureCallback = null;
+        this.captureCancel = null;
+        document.removeEventListener('keydown', this.handleCaptureKey, true);
+    }
+
+    isTypingTarget(el) {
+        return el && (el.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(el.tagName));
+    }
+
+    // Listens in the capture phase, so the key being bound is not also played by handleKeyDown
+    handleCaptureKey(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isTypingTarget(e.target)) return;
+
+        if (e.code === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.cancelCapture();
+            return;
+        }
+        if (RESERVED_KEY_CODES.includes(e.code)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        const callback = this.captureCallback;
+        this.endCapture();
+        callback(e.code);
+    }
+
+    handleKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || this.isTypingTarget(e.target)) return;
+
+        const path = this.layout[e.code];
+        if (!path) return;
+
+        e.preventDefault();
+        if (!e.repeat) this.noteOn(e.code);
+    }
+
+    handleKeyUp(e) {
+        this.noteOff(e.code);
+    }
+
+    noteOn(code) {
+        const target = resolveInstrument(this.layout[code]);
+        if (!target || window.groupSync?.isLocked()) return null; // Listen-only group sync
+
+        this.noteOff(code);
+
+        const style = playStyles[target.styleGroup];
+        const id = this.engine.noteOn(target.method, target.frequency, style);
+        const isHeld = this.engine.canGate(target.method, style);
+
+        this.heldKeys.set(code, { id, target });
+        if (this.onNoteOn) this.onNoteOn(target, code, isHeld);
+        return id;
+    }
+
+    noteOff(code) {
+        const held = this.heldKeys.get(code);
+        if (!held) return;
+
+        this.heldKeys.delete(code);
+        const release = this.engine.noteOff(held.id);
+        if (this.onNoteOff) this.onNoteOff(held.target, release);
+    }
+
+    releaseAllKeys() {
+        this.heldKeys.forEach((held, code) => this.noteOff(code));
+    }
+
+    // First key bound to an instrument path, for hints
+    getKeyForPath(path) {
+        return Object.keys(this.layout).find(code => this.layout[code] === path) || null;
+    }
+
+    setBinding(code, path) {
+        if (path) {
+            this.layout[code] = path;
+        } else {
+            delete this.layout[code];
+        }
+        this.saveLayout();
+    }
+
+    resetLayout() {
+        this.layout = { ...DEFAULT_KEYBOARD_LAYOUT };
+        this.saveLayout();
+    }
+
+    loadLayout() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(KEYBOARD_LAYOUT_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : { ...DEFAULT_KEYBOARD_LAYOUT };
+        } catch (error) {
+            return { ...DEFAULT_KEYBOARD_LAYOUT };
+        }
+    }
+
+    saveLayout() {
+        try {
+            localStorage.setItem(KEYBOARD_LAYOUT_STORAGE_KEY, JSON.stringify(this.layout));
+        } catch (error) {
+            console.warn('Could not save keyboard layout:', error);
+        }
+    }
+}
+
+// Export singleton
+window.KeyboardPerformance = KeyboardPerformance;
+window.keyCodeLabel = keyCodeLabel;
+window.keyboardPerformance = new KeyboardPerformance(window.audioEngine);
@@ -0,0 +1,147 @@
+/**
+ * Sound Bath Sanctuary - Media Session
+ * Lock-screen and headset controls for long sessions, and an optional screen wake lock
+ */
+
+const WAKE_LOCK_STORAGE_KEY = 'soundBath.wakeLock';
+
+const MEDIA_ARTWORK = [
+    { src: 'icons/icon-192.png', sizes: '192x192', type: 'image/png' },
+    { src: 'icons/icon-512.png', sizes: '512x512', type: 'image/png' }
+];
+
+class MediaSessionControls {
+    constructor(engine) {
+        this.engine = engine;
+        this.paused = null;   // What pause() silenced: { beds, journey }
+        this.wakeLock = null; // WakeLockSentinel while the screen is held on
+        this.keepAwake = this.load();
+    }
+
+    get isSupported() {
+        return 'mediaSession' in navigator;
+    }
+
+    get canKeepAwake() {
+        return 'wakeLock' in navigator;
+    }
+
+    // Once the sanctuary starts: the lock screen's buttons act on the soundscape and journeys
+    register() {
+        if (this.isSupported) {
+            const actions = {
+                play: () => this.play(),
+                pause: () => this.pause(),
+                stop: () => this.stop()
+            };
+            Object.entries(actions).forEach(([action, handler]) => {
+                try {
+                    navigator.mediaSession.setActionHandler(action, handler);
+                } catch (error) {
+                    // Not every browser knows every action
+                }
+            });
+            this.setPlaybackState('playing');
+        }
+
+        // Browsers drop a wake lock whenever the page is hidden, so take it again on return
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.keepAwake) this.requestWakeLock();
+        });
+        if (this.keepAwake) this.requestWakeLock();
+    }
+
+    // What the lock screen shows: the journey playing, or else the soundscape beds.
+    // Called again whenever either changes.
+    update() {
+        if (!this.isSupported || typeof MediaMetadata === 'undefined') return;
+
+        const sequencer = window.journeySequencer;
+        const journey = sequencer && sequencer.state !== 'stopped' ? sequencer.journey?.name : null;
+        const beds = window.soundscape ? soundscape.getActive().map(key => SOUNDSCAPE_BEDS[key].label) : [];
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: journey || (beds.length > 0 ? beds.join(' + ') : 'Sound Bath'),
+            artist: 'Sound Bath Sanctuary',
+            artwork: MEDIA_ARTWORK
+        });
+    }
+
+    // Pause holds the soundscape and a playing journey; bowls already ringing are left to fade
+    pause() {
+        const sequencer = window.journeySequencer;
+        this.paused = {
+            beds: soundscape.getActive().length > 0,
+            journey: sequencer?.state === 'playing'
+        };
+        if (this.paused.beds) soundscape.toggleAll();
+        if (this.paused.journey) sequencer.pause();
+        this.setPlaybackState('paused');
+    }
+
+    // Brings back what pause() held - or, with nothing paused, the last soundscape mix
+    play() {
+        this.engine.ensureAudioContext();
+        const paused = this.paused || { beds: true, journey: false };
+        if (paused.beds && soundscape.getActive().length === 0) soundscape.toggleAll();
+        if (paused.journey) window.journeySequencer?.resume();
+        this.paused = null;
+        this.setPlaybackState('playing');
+    }
+
+    stop() {
+        this.engine.stopAll();
+        this.paused = null;
+        this.setPlaybackState('none');
+    }
+
+    // 'playing' | 'paused' | 'none' - decides whether the lock screen offers play or pause
+    setPlaybackState(state) {
+        if (this.isSupported) navigator.mediaSession.playbackState = state;
+        this.update();
+    }
+
+    async setKeepAwake(on) {
+        this.keepAwake = on;
+        this.save();
+        if (on) return this.requestWakeLock();
+
+        const lock = this.wakeLock;
+        this.wakeLock = null;
+        await lock?.release();
+        return false;
+    }
+
+    async requestWakeLock() {
+        if (!this.canKeepAwake || this.wakeLock) return Boolean(this.wakeLock);
+        try {
+            this.wakeLock = await navigator.wakeLock.request('screen');
+            this.wakeLock.addEventListener('release', () => {
+                this.wakeLock = null;
+            });
+            return true;
+        } catch (error) {
+            // Refused on battery saver, or while the page is hidden
+            console.warn('Could not keep the screen awake:', error);
+            return false;
+        }
+    }
+
+    load() {
+        try {
+            return localStorage.getItem(WAKE_LOCK_STORAGE_KEY) === 'true';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(WAKE_LOCK_STORAGE_KEY, String(this.keepAwake));
+        } catch (error) {
+            console.warn('Could not save the wake lock setting:', error);
+        }
+    }
+}
+
+// Export singleton
+window.mediaSessionControls = new MediaSessionControls(window.audioEngine);
@@ -0,0 +1,228 @@
+/**
+ * Sound Bath Sanctuary - MIDI Input
+ * Plays instruments from MIDI pads and keyboards via the Web MIDI API
+ */
+
+const MIDI_MAPPING_STORAGE_KEY = 'soundBath.midiMapping';
+
+// Controller numbers: 7 is channel volume, 20-24 are unassigned in the MIDI spec
+const MIDI_CC = {
+    volume: 7,
+    allNotesOff: 123,
+    styles: {
+        crystal: 20,
+        tibetan: 21,
+        gong: 22,
+        wind: 23,
+        handpan: 24
+    }
+};
+
+// Families that nearest-frequency matching chooses from
+const MIDI_MATCH_POOLS = {
+    all: { label: 'All bowls, pipes & handpans', families: ['crystal', 'tibetan', 'panflute', 'handpan'] },
+    crystal: { label: 'Crystal bowls', families: ['crystal'] },
+    tibetan: { label: 'Tibetan bowls', families: ['tibetan'] },
+    panflute: { label: 'Pan flute', families: ['panflute'] },
+    handpan: { label: 'Handpans', families: ['handpan'] }
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function midiNoteToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+function midiNoteName(note) {
+    return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+class MidiInput {
+    // requestAccess is injectable so tests can pass a mocked navigator.requestMIDIAccess
+    constructor(engine, requestAccess = (options) => navigator.requestMIDIAccess(options)) {
+        this.engine = engine;
+        this.requestAccess = requestAccess;
+        this.access = null;
+        this.matchPool = 'all';
+        this.mapping = this.loadMapping(); // { [noteNumber]: instrument path }
+        this.heldNotes = new Map();        // 'channel:note' -> { id, target }
+        this.lastNote = null;
+
+        // UI hooks
+        this.onNoteOn = null;        // (target, note, velocity, isHeld)
+        this.onNoteOff = null;       // (target, releaseSeconds)
+        this.onMasterVolume = null;  // (value)
+        this.onStyleChange = null;   // (group, style)
+        this.onDevicesChange = null; // (inputNames)
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function';
+    }
+
+    async connect() {
+        if (this.access) return true;
+
+        this.access = await this.requestAccess({ sysex: false });
+        this.access.onstatechange = () => this.bindInputs();
+        this.bindInputs();
+        return true;
+    }
+
+    disconnect() {
+        if (!this.access) return;
+
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = null;
+        });
+        this.access.onstatechange = null;
+        this.access = null;
+        this.releaseAllNotes();
+        if (this.onDevicesChange) this.onDevicesChange([]);
+    }
+
+    bindInputs() {
+        const names = [];
+        this.access.inputs.forEach(input => {
+            input.onmidimessage = (event) => this.handleMessage(event.data);
+            names.push(input.name || 'MIDI input');
+        });
+        if (this.onDevicesChange) this.onDevicesChange(names);
+    }
+
+    handleMessage(data) {
+        const [status, data1, data2 = 0] = data;
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+
+        if (command === 0x90 && data2 > 0) {
+            this.noteOn(channel, data1, data2 / 127);
+        } else if (command === 0x80 || command === 0x90) {
+            // Note-on with velocity 0 is a note-off by convention
+            this.noteOff(channel, data1);
+        } else if (command === 0xb0) {
+            this.controlChange(data1, data2);
+        }
+    }
+
+    noteOn(channel, note, velocity) {
+        this.lastNote = note;
+        const target = this.resolveNote(note);
+        if (!target || window.groupSync?.isLocked()) return null; // Listen-only group sync
+
+        const key = `${channel}:${note}`;
+        this.noteOff(channel, note); // Retrigger cleanly if the key was already down
+
+        const style = playStyles[target.styleGroup];
+        const id = this.engine.noteOn(target.method, target.frequency, style, { velocity });
+        const isHeld = this.engine.canGate(target.method, style);
+
+        this.heldNotes.set(key, { id, target });
+        if (this.onNoteOn) this.onNoteOn(target, note, velocity, isHeld);
+        return id;
+    }
+
+    noteOff(channel, note) {
+        const key = `${channel}:${note}`;
+        const held = this.heldNotes.get(key);
+        if (!held) return;
+
+        this.heldNotes.delete(key);
+        const release = this.engine.noteOff(held.id);
+        if (this.onNoteOff) this.onNoteOff(held.target, release);
+    }
+
+    releaseAllNotes() {
+        this.heldNotes.forEach((held, key) => {
+            const [channel, note] = key.split(':').map(Number);
+            this.noteOff(channel, note);
+        });
+    }
+
+    controlChange(controller, value) {
+        if (controller === MIDI_CC.volume) {
+            const volume = value / 127;
+            this.engine.setMasterVolume(volume);
+            if (this.onMasterVolume) this.onMasterVolume(volume);
+            return;
+        }
+
+        if (controller === MIDI_CC.allNotesOff) {
+            this.releaseAllNotes();
+            this.engine.releaseAll(1);
+            return;
+        }
+
+        // Style CCs sweep through a group's styles across the 0-127 range
+        const group = Object.keys(MIDI_CC.styles).find(key => MIDI_CC.styles[key] === controller);
+        if (group) {
+            const options = PLAY_STYLE_OPTIONS[group];
+            const style = options[Math.min(options.length - 1, Math.floor(value / 128 * options.length))];
+            if (playStyles[group] !== style) {
+                playStyles[group] = style;
+                if (this.onStyleChange) this.onStyleChange(group, style);
+            }
+        }
+    }
+
+    // Mapping table first, then the nearest pitch in the active match pool
+    resolveNote(note) {
+        if (this.mapping[note]) {
+            return resolveInstrument(this.mapping[note]);
+        }
+        return this.findNearestInstrument(midiNoteToFrequency(note));
+    }
+
+    findNearestInstrument(frequency) {
+        const families = MIDI_MATCH_POOLS[this.matchPool].families;
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        listInstrumentPaths().forEach(path => {
+            const target = resolveInstrument(path);
+            if (!families.includes(target.family)) return;
+
+            const distance = Math.abs(Math.log2(target.frequency / frequency));
+            if (distance < nearestDistance) {
+                nearest = target;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+
+    setMapping(note, path) {
+        if (path) {
+            this.mapping[note] = path;
+        } else {
+            delete this.mapping[note];
+        }
+        this.saveMapping();
+    }
+
+    loadMapping() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(MIDI_MAPPING_STORAGE_KEY));
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveMapping() {
+        try {
+            localStorage.setItem(MIDI_MAPPING_STORAGE_KEY, JSON.stringify(this.mapping));
+        } catch (error) {
+            console.warn('Could not save MIDI mapping:', error);
+        }
+    }
+}
+
+// Export singleton
+window.MidiInput = MidiInput;
+window.MIDI_CC = MIDI_CC;
+window.MIDI_MATCH_POOLS = MIDI_MATCH_POOLS;
+window.midiNoteName = midiNoteName;
+window.midiNoteToFrequency = midiNoteToFrequency;
+window.midiInput = new MidiInput(window.audioEngine);
@@ -0,0 +1,147 @@
+/**
+ * Sound Bath Sanctuary - Mixer
+ * Channel strips per instrument family with pan, mute/solo and reverb sends, summed on a dry/wet master bus
+ */
+
+const MIXER_STORAGE_KEY = 'soundBath.mixer';
+const MIXER_FORMAT = 'sound-bath-mixer';
+const MIXER_FORMAT_VERSION = 1;
+const MIXER_SMOOTHING = 0.02; // Fader moves glide this quickly so they never click
+
+// send is each family's default reverb send - gongs and bowls bloom, pipes and handpans stay closer
+const MIXER_CHANNELS = {
+    crystal: { label: 'Crystal bowls', send: 0.7 },
+    tibetan: { label: 'Tibetan bowls', send: 0.6 },
+    gong: { label: 'Gongs', send: 0.8 },
+    wind: { label: 'Didgeridoo & pan flute', send: 0.5 },
+    handpan: { label: 'Handpans', send: 0.5 },
+    drone: { label: 'Drone', send: 0.4 },
+    ambient: { label: 'Ambient', send: 0.7 }
+};
+
+function createMixerState() {
+    const channels = {};
+    Object.entries(MIXER_CHANNELS).forEach(([key, channel]) => {
+        channels[key] = { gain: 1, pan: 0, mute: false, solo: false, send: channel.send };
+    });
+    return { master: { dry: 0.6, wet: 1 }, channels };
+}
+
+// Fill gaps from the defaults and clamp, so partial or hand-edited files still load
+function normalizeMixerState(state) {
+    const normalized = createMixerState();
+    if (!state || typeof state !== 'object') return normalized;
+
+    const clamp = (value, fallback, min = 0, max = 1) =>
+        typeof value === 'number' && Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+
+    Object.keys(normalized.master).forEach(key => {
+        normalized.master[key] = clamp(state.master?.[key], normalized.master[key]);
+    });
+
+    Object.entries(normalized.channels).forEach(([key, channel]) => {
+        const stored = state.channels?.[key] || {};
+        channel.gain = clamp(stored.gain, channel.gain);
+        channel.pan = clamp(stored.pan, channel.pan, -1, 1);
+        channel.send = clamp(stored.send, channel.send);
+        channel.mute = stored.mute === true;
+        channel.solo = stored.solo === true;
+    });
+
+    return normalized;
+}
+
+function loadMixerState() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(MIXER_STORAGE_KEY));
+        return stored ? normalizeMixerState(stored) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveMixerState(state) {
+    try {
+        localStorage.setItem(MIXER_STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save mixer:', error);
+    }
+}
+
+// Exported mixer files carry a format tag so a journey or other JSON is not mistaken for one
+function createMixerDocument(state) {
+    return { format: MIXER_FORMAT, version: MIXER_FORMAT_VERSION, ...normalizeMixerState(state) };
+}
+
+function parseMixerDocument(text) {
+    const doc = JSON.parse(text);
+    if (!doc || doc.format !== MIXER_FORMAT) {
+        throw new Error('Not a Sound Bath mixer file');
+    }
+    if (doc.version > MIXER_FORMAT_VERSION) {
+        throw new Error(`Mixer file version ${doc.version} is newer than this app supports`);
+    }
+    return normalizeMixerState(doc);
+}
+
+class MixerBus {
+    constructor(context, reverb) {
+        this.context = context;
+        this.output = context.createGain(); // Master bus
+        this.dry = context.createGain();
+        this.wet = context.createGain();
+        this.strips = {}; // { [channel]: { input, panner, fader, send } }
+
+        this.dry.connect(this.output);
+        reverb.output.connect(this.wet);
+        this.wet.connect(this.output);
+
+        // input -> pan -> fader (level and mute) -> dry bus, with a post-fader send into the reverb
+        Object.keys(MIXER_CHANNELS).forEach(key => {
+            const input = context.createGain();
+            const panner = context.createStereoPanner();
+            const fader = context.createGain();
+            const send = context.createGain();
+
+            input.connect(panner);
+            panner.connect(fader);
+            fader.connect(this.dry);
+            fader.connect(send);
+            send.connect(reverb.input);
+
+            this.strips[key] = { input, panner, fader, send };
+        });
+    }
+
+    getInput(channel) {
+        return this.strips[channel].input;
+    }
+
+    // Any soloed strip silences every strip that is not soloed
+    apply(state, when, smoothing = MIXER_SMOOTHING) {
+        const time = Math.max(this.context.currentTime, when || 0);
+        const set = (param, value) => {
+            if (smoothing > 0) {
+                param.setTargetAtTime(value, time, smoothing);
+            } else {
+                param.setValueAtTime(value, time);
+            }
+        };
+        const soloing = Object.values(state.channels).some(channel => channel.solo);
+
+        set(this.dry.gain, state.master.dry);
+        set(this.wet.gain, state.master.wet);
+
+        Object.entries(this.strips).forEach(([key, strip]) => {
+            const channel = state.channels[key];
+            const audible = !channel.mute && (!soloing || channel.solo);
+            set(strip.fader.gain, audible ? channel.gain : 0);
+            set(strip.panner.pan, channel.pan);
+            set(strip.send.gain, channel.send);
+        });
+    }
+}
+
+// Export
+window.MIXER_CHANNELS = MIXER_CHANNELS;
+window.MixerBus = MixerBus;
@@ -0,0 +1,133 @@
+/**
+ * Sound Bath Sanctuary - Modal Synthesis
+ * Physical models of bowls and gongs for the modal resonator worklet, and which families use them
+ */
+
+const SYNTHESIS_STORAGE_KEY = 'soundBath.synthesis';
+const MODAL_WORKLET_URL = 'modal-worklet.js';
+
+const SYNTHESIS_BACKENDS = {
+    oscillator: { label: 'Oscillators' },
+    modal: { label: 'Physical model' }
+};
+
+// ratio against the struck pitch, split in Hz between a mode's degenerate pair (the beating),
+// t60 in seconds, n the wavelengths around the rim. Styles say how each one is played:
+// contact is the mallet's time on the metal, pressure a puja stick rubbing the rim.
+const MODAL_MODELS = {
+    crystal: {
+        label: 'Crystal bowls',
+        method: 'playCrystalBowl',
+        gain: 0.3,
+        // Fused quartz barely damps itself - nearly all fundamental, ringing for most of a minute
+        modes: [
+            { ratio: 1, split: 0.35, t60: 40, amplitude: 1, n: 2 },
+            { ratio: 2.74, split: 0.7, t60: 18, amplitude: 0.22, n: 3 },
+            { ratio: 5.12, split: 1.2, t60: 9, amplitude: 0.07, n: 4 },
+            { ratio: 8.2, split: 1.8, t60: 5, amplitude: 0.025, n: 5 }
+        ],
+        friction: { force: 0.0012, speed: 0.4, rotation: 0.7, staticFriction: 0.8, dynamicFriction: 0.3, slipVelocity: 0.15, noise: 0.15 },
+        styles: {
+            strike: { contact: 0.0015 },
+            gentle: { contact: 0.004, velocity: 0.6 },
+            rim: { pressure: 1 }
+        }
+    },
+    tibetan: {
+        label: 'Tibetan bowls',
+        method: 'playTibetanBowl',
+        gain: 0.35,
+        // Hammered bronze: strongly inharmonic and audibly uneven, so the pairs beat a few times a second
+        modes: [
+            { ratio: 1, split: 0.9, t60: 14, amplitude: 1, n: 2 },
+            { ratio: 2.71, split: 1.6, t60: 9, amplitude: 0.6, n: 3 },
+            { ratio: 5.06, split: 2.8, t60: 6, amplitude: 0.35, n: 4 },
+            { ratio: 8.0, split: 3.5, t60: 4, amplitude: 0.2, n: 5 },
+            { ratio: 11.5, split: 4.2, t60: 3, amplitude: 0.12, n: 6 }
+        ],
+        friction: { force: 0.001, speed: 0.3, rotation: 0.8, staticFriction: 0.8, dynamicFriction: 0.3, slipVelocity: 0.1, noise: 0.2 },
+        styles: {
+            mallet: { contact: 0.002 },
+            water: { contact: 0.004, velocity: 0.7, wobble: { depth: 0.006, rate: 0.4 } },
+            singing: { pressure: 1 }
+        }
+    },
+    gong: {
+        label: 'Gongs',
+        method: 'playGong',
+        gain: 0.3,
+        // A flat plate has no tidy series - dozens of modes, drawn afresh (from the seed) for each strike
+        spectrum: { count: 40, spacing: 0.45, t60: 22, rolloff: 0.12, split: 1.5 },
+        styles: {
+            soft: { contact: 0.012 },
+            crescendo: { contact: 0.01, roll: { strokes: 8, every: 0.6, from: 0.15 } }, // Rising strokes warm the gong up
+            crash: { contact: 0.003, velocity: 1.4 }
+        }
+    }
+};
+
+function createSynthesisSettings() {
+    const settings = {};
+    Object.keys(MODAL_MODELS).forEach(family => {
+        settings[family] = 'oscillator';
+    });
+    return settings;
+}
+
+function normalizeSynthesisSettings(settings) {
+    const normalized = createSynthesisSettings();
+    if (!settings || typeof settings !== 'object') return normalized;
+
+    Object.keys(normalized).forEach(family => {
+        if (SYNTHESIS_BACKENDS[settings[family]]) normalized[family] = settings[family];
+    });
+    return normalized;
+}
+
+function loadSynthesisSettings() {
+    try {
+        return normalizeSynthesisSettings(JSON.parse(localStorage.getItem(SYNTHESIS_STORAGE_KEY)));
+    } catch (error) {
+        return createSynthesisSettings();
+    }
+}
+
+function saveSynthesisSettings(settings) {
+    try {
+        localStorage.setItem(SYNTHESIS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save synthesis settings:', error);
+    }
+}
+
+// The worklet's mode list for one voice, in Hz
+function getModalModes(model, frequency, random) {
+    if (model.modes) {
+        return model.modes.map(mode => ({
+            frequency: frequency * mode.ratio,
+            split: mode.split * (0.7 + random() * 0.6), // No two bowls are cast quite alike
+            t60: mode.t60,
+            amplitude: mode.amplitude,
+            n: mode.n
+        }));
+    }
+
+    const { count, spacing, t60, rolloff, split } = model.spectrum;
+    const modes = [];
+    let ratio = 1;
+    for (let k = 0; k < count; k++) {
+        modes.push({
+            frequency: frequency * ratio,
+            split: split * random(),
+            t60: t60 / (1 + k * 0.08),
+            amplitude: 1 / (1 + k * rolloff),
+            n: 1 + Math.floor(random() * 6)
+        });
+        ratio += spacing * (0.5 + random());
+    }
+    return modes;
+}
+
+// Export
+window.SYNTHESIS_BACKENDS = SYNTHESIS_BACKENDS;
+window.MODAL_MODELS = MODAL_MODELS;
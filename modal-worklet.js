@@ -0,0 +1,214 @@
+/**
+ * Sound Bath Sanctuary - Modal Resonator Worklet
+ * Runs on the audio thread: a bank of damped modes struck by mallets or driven by a rubbing puja stick
+ *
+ * Each mode of a bowl is a degenerate pair - the same shape turned a quarter-wave around the rim - and
+ * small asymmetries in the metal split the pair's frequencies apart. Where the bowl is struck decides
+ * how much of each partner rings, and the gap between them is the slow beating real bowls are known for.
+ */
+
+const TWO_PI = Math.PI * 2;
+const MODE_LIMIT = 4; // Amplitude ceiling per mode, so a runaway friction loop can never blow up
+
+// A copy of the engine's createSeededRandom - worklets cannot see the page's globals - so offline renders repeat exactly
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class ModalResonatorProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { modes, listen = [0, Math.PI / 5], seed = 1, friction = null, wobble = null } = options.processorOptions;
+
+        this.random = createSeededRandom(seed);
+        this.friction = friction; // { force, speed, rotation, staticFriction, dynamicFriction, slipVelocity, noise }
+        this.wobble = wobble;     // { depth, rate } - the pitch sway of water moving in a bowl
+        this.ended = false;
+        this.resting = true;      // Silent with nothing to excite it, so blocks can be skipped
+        this.strikes = [];        // Pending and sounding mallet contacts
+        this.rubAngle = this.random() * TWO_PI;
+
+        // Two members per mode; n is the number of wavelengths around the rim (0 for modes with no pair)
+        const count = modes.length * 2;
+        this.order = new Float64Array(count);
+        this.baseFrequency = new Float64Array(count);
+        this.decay = new Float64Array(count);
+        this.amplitude = new Float64Array(count);
+        this.coupling = new Float64Array(count);
+        this.partner = new Uint8Array(count); // 0 cosine member, 1 sine member
+        this.cr = new Float64Array(count);
+        this.ci = new Float64Array(count);
+        this.re = new Float64Array(count);
+        this.im = new Float64Array(count);
+        this.listenLeft = new Float64Array(count);
+        this.listenRight = new Float64Array(count);
+        this.forces = new Float64Array(count); // Reused every sample - nothing is allocated on the audio thread
+
+        modes.forEach((mode, k) => {
+            [-0.5, 0.5].forEach((side, member) => {
+                const j = k * 2 + member;
+                this.order[j] = mode.n;
+                this.baseFrequency[j] = mode.frequency + side * mode.split;
+                this.decay[j] = Math.exp(-6.91 / (mode.t60 * sampleRate)); // 60 dB over t60 seconds
+                this.amplitude[j] = mode.amplitude;
+                this.coupling[j] = mode.coupling ?? mode.amplitude;
+                this.partner[j] = member;
+                this.listenLeft[j] = this.shape(j, listen[0]);
+                this.listenRight[j] = this.shape(j, listen[1]);
+            });
+        });
+        this.updateCoefficients(0);
+
+        this.port.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'strike') {
+                this.strikes.push(this.createStrike(message));
+            } else if (message.type === 'end') {
+                this.ended = true;
+            }
+        };
+    }
+
+    // Displacement of member j at an angle around the rim
+    shape(j, angle) {
+        const n = this.order[j];
+        if (n === 0) return this.partner[j] === 0 ? 1 : 0;
+        return this.partner[j] === 0 ? Math.cos(n * angle) : Math.sin(n * angle);
+    }
+
+    updateCoefficients(time) {
+        const sway = this.wobble ? 1 + this.wobble.depth * Math.sin(TWO_PI * this.wobble.rate * time) : 1;
+        for (let j = 0; j < this.cr.length; j++) {
+            const omega = TWO_PI * Math.min(this.baseFrequency[j] * sway, sampleRate * 0.45) / sampleRate;
+            this.cr[j] = this.decay[j] * Math.cos(omega);
+            this.ci[j] = this.decay[j] * Math.sin(omega);
+        }
+    }
+
+    // Strikes towards the rim favour the upper modes; the angle decides how much of each pair partner rings
+    createStrike({ time, contact, velocity, position, angle = this.random() * TWO_PI }) {
+        const weights = new Float64Array(this.re.length);
+        const rimBias = 0.3 + 0.7 * position;
+        for (let j = 0; j < weights.length; j++) {
+            weights[j] = Math.pow(rimBias, j >> 1) * this.coupling[j] * this.shape(j, angle);
+        }
+        return {
+            start: Math.max(currentFrame, Math.round(time * sampleRate)), // A late message still lands, just late
+            length: Math.max(2, Math.round(contact * sampleRate)),
+            velocity,
+            weights
+        };
+    }
+
+    // Mallet force on each member: a half-sine contact pulse whose width (soft felt to hard wood)
+    // filters the highs by itself
+    strikeForce(strike, frame, forces) {
+        const t = frame - strike.start;
+        if (t < 0 || t >= strike.length) return;
+
+        // Normalised so the pulse delivers the same momentum whatever the contact time
+        const force = strike.velocity * Math.PI / (2 * strike.length) * Math.sin(Math.PI * t / strike.length);
+        for (let j = 0; j < forces.length; j++) {
+            forces[j] += force * strike.weights[j];
+        }
+    }
+
+    // Stick-slip friction at the puja's contact point. Friction falls as the stick slips faster, so
+    // the bowl's own motion feeds itself energy and the tone swells until the stick starts to stick.
+    frictionForce(pressure, forces) {
+        const f = this.friction;
+        const count = forces.length;
+        const angle = this.rubAngle;
+
+        let contactVelocity = 0;
+        for (let j = 0; j < count; j++) {
+            contactVelocity += this.coupling[j] * this.shape(j, angle) * this.re[j];
+        }
+
+        const slip = f.speed - contactVelocity;
+        const mu = f.dynamicFriction + (f.staticFriction - f.dynamicFriction) * Math.exp(-Math.abs(slip) / f.slipVelocity);
+        const grain = 1 + f.noise * (this.random() * 2 - 1); // Suede and wood never drag perfectly evenly
+        const force = pressure * f.force * grain * mu * Math.tanh(slip / (f.slipVelocity * 0.1));
+
+        for (let j = 0; j < count; j++) {
+            forces[j] += force * this.coupling[j] * this.shape(j, angle);
+        }
+        this.rubAngle = (angle + TWO_PI * f.rotation / sampleRate) % TWO_PI;
+    }
+
+    isExcited(lastFrame, drive) {
+        if (this.strikes.some(strike => strike.start < lastFrame)) return true;
+        return Boolean(this.friction && drive && drive.some(pressure => pressure > 0));
+    }
+
+    process(inputs, outputs) {
+        if (this.ended) return false;
+
+        const output = outputs[0];
+        const left = output[0];
+        const right = output[1] || output[0];
+        const drive = inputs[0] && inputs[0][0]; // Rubbing pressure 0-1, from the voice's drive source
+        const count = this.re.length;
+        const forces = this.forces;
+        const firstFrame = currentFrame;
+        const lastFrame = firstFrame + left.length;
+
+        // Offline renders create every voice up front, so most nodes sit waiting for their strike
+        if (this.resting && !this.isExcited(lastFrame, drive)) return true;
+
+        if (this.wobble) this.updateCoefficients(currentTime);
+
+        for (let i = 0; i < left.length; i++) {
+            const frame = firstFrame + i;
+            forces.fill(0);
+
+            for (let s = 0; s < this.strikes.length; s++) {
+                this.strikeForce(this.strikes[s], frame, forces);
+            }
+            const pressure = drive ? drive[i] : 0;
+            if (this.friction && pressure > 0) this.frictionForce(pressure, forces);
+
+            let outLeft = 0;
+            let outRight = 0;
+            for (let j = 0; j < count; j++) {
+                const re = this.re[j];
+                const im = this.im[j];
+                let nextRe = re * this.cr[j] - im * this.ci[j] + forces[j];
+                let nextIm = re * this.ci[j] + im * this.cr[j];
+
+                const magnitude = nextRe * nextRe + nextIm * nextIm;
+                if (magnitude > MODE_LIMIT * MODE_LIMIT) {
+                    const scale = MODE_LIMIT / Math.sqrt(magnitude);
+                    nextRe *= scale;
+                    nextIm *= scale;
+                }
+
+                this.re[j] = nextRe;
+                this.im[j] = nextIm;
+                outLeft += this.amplitude[j] * this.listenLeft[j] * nextIm;
+                outRight += this.amplitude[j] * this.listenRight[j] * nextIm;
+            }
+
+            left[i] = outLeft;
+            if (right !== left) right[i] = outRight;
+        }
+
+        this.strikes = this.strikes.filter(strike => strike.start + strike.length > lastFrame);
+
+        let energy = 0;
+        for (let j = 0; j < count; j++) {
+            energy += this.re[j] * this.re[j] + this.im[j] * this.im[j];
+        }
+        this.resting = energy < 1e-12;
+        return true;
+    }
+}
+
+registerProcessor('modal-resonator', ModalResonatorProcessor);
@@ -0,0 +1,250 @@
+/**
+ * Sound Bath Sanctuary - Presets
+ * Named scenes of the whole sanctuary: capture, local storage and compact share links
+ */
+
+const PRESET_STORAGE_KEY = 'soundBath.presets';
+const PRESET_LINK_KEY = 'preset'; // #preset=... in a share link
+const PRESET_LINK_VERSION = 1;
+const PRESET_NAME_LENGTH = 40;
+const PRESET_SMOOTHING = 0.6; // Time constant for recalled levels - settled in about three seconds
+
+// A preset leaves alone whatever it does not carry, so the shipped scenes keep the listener's tuning
+const BUILTIN_PRESETS = [
+    {
+        id: 'deepSleep',
+        name: 'Deep Sleep',
+        styles: { crystal: 'gentle', tibetan: 'singing', gong: 'soft', wind: 'sustained', handpan: 'ghost' },
+        master: 0.5,
+        ambient: { level: 0.45, beds: { rain: 0.45, templeNight: 0.3 } },
+        reverb: 'cathedral',
+        mixer: { master: { dry: 0.45, wet: 1 }, channels: { gong: { gain: 0.6 }, wind: { gain: 0.5 }, drone: { gain: 0.8 } } }
+    },
+    {
+        id: 'morningEnergize',
+        name: 'Morning Energize',
+        styles: { crystal: 'strike', tibetan: 'mallet', gong: 'crescendo', wind: 'rhythmic', handpan: 'finger' },
+        master: 0.8,
+        ambient: { level: 0.35, beds: { forest: 0.55, stream: 0.4 } },
+        reverb: 'outdoor',
+        mixer: { master: { dry: 0.8, wet: 0.6 }, channels: { handpan: { send: 0.3 }, wind: { gain: 0.9 } } }
+    }
+].map(preset => ({ ...normalizePreset(preset), id: preset.id, builtin: true }));
+
+// Keep what is valid and drop the rest, so stored presets and hand-edited links never break a recall.
+// Lookups go through Object.hasOwn so a key like "constructor" never passes for a bed or a space.
+function normalizePreset(preset) {
+    const isKey = (table, key) => typeof key === 'string' && Object.hasOwn(table, key);
+    const level = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : undefined);
+    const normalized = { name: String(preset?.name || '').trim().slice(0, PRESET_NAME_LENGTH) || 'Shared preset' };
+    if (!preset || typeof preset !== 'object') return normalized;
+
+    if (preset.styles && typeof preset.styles === 'object') {
+        normalized.styles = {};
+        Object.entries(PLAY_STYLE_OPTIONS).forEach(([group, styles]) => {
+            if (Object.hasOwn(preset.styles, group) && styles.includes(preset.styles[group])) normalized.styles[group] = preset.styles[group];
+        });
+    }
+    if (level(preset.master) !== undefined) normalized.master = level(preset.master);
+
+    if (preset.ambient && typeof preset.ambient === 'object') {
+        normalized.ambient = {};
+        if (level(preset.ambient.level) !== undefined) normalized.ambient.level = level(preset.ambient.level);
+        // The beds that play, at their levels - an empty list silences the soundscape
+        if (preset.ambient.beds && typeof preset.ambient.beds === 'object') {
+            normalized.ambient.beds = {};
+            Object.entries(preset.ambient.beds).forEach(([key, value]) => {
+                if (isKey(SOUNDSCAPE_BEDS, key) && level(value) !== undefined) normalized.ambient.beds[key] = level(value);
+            });
+        }
+    }
+
+    if (isKey(REVERB_SPACES, preset.reverb)) normalized.reverb = preset.reverb;
+    if (preset.mixer && typeof preset.mixer === 'object') normalized.mixer = normalizeMixerState(preset.mixer);
+    if (isKey(TUNING_REFERENCES, preset.tuning?.reference) && isKey(TEMPERAMENTS, preset.tuning?.temperament)) {
+        normalized.tuning = { reference: preset.tuning.reference, temperament: preset.tuning.temperament };
+    }
+    return normalized;
+}
+
+// Short keys, levels in whole percent and play styles as one digit per group keep a link to a few hundred characters:
+// { v, n: name, s: styles, m: master, a: ambient, b: { bed: level }, r: reverb, x: [dry, wet, [gain, pan, send, mute + 2 * solo]...], t: [reference, temperament] }
+function encodePresetLink(preset) {
+    const percent = (value) => Math.round(value * 100);
+    const link = { v: PRESET_LINK_VERSION, n: preset.name };
+
+    if (preset.styles) {
+        link.s = Object.entries(PLAY_STYLE_OPTIONS)
+            .map(([group, styles]) => (preset.styles[group] ? styles.indexOf(preset.styles[group]) : '-'))
+            .join('');
+    }
+    if (preset.master !== undefined) link.m = percent(preset.master);
+    if (preset.ambient?.level !== undefined) link.a = percent(preset.ambient.level);
+    if (preset.ambient?.beds) {
+        link.b = Object.fromEntries(Object.entries(preset.ambient.beds).map(([key, value]) => [key, percent(value)]));
+    }
+    if (preset.reverb) link.r = preset.reverb;
+    if (preset.mixer) {
+        const { master, channels } = preset.mixer;
+        link.x = [percent(master.dry), percent(master.wet), ...Object.keys(MIXER_CHANNELS).map(key => {
+            const channel = channels[key];
+            return [percent(channel.gain), percent(channel.pan), percent(channel.send), (channel.mute ? 1 : 0) + (channel.solo ? 2 : 0)];
+        })];
+    }
+    if (preset.tuning) link.t = [preset.tuning.reference, preset.tuning.temperament];
+
+    // base64url, so the link survives chat apps and address bars untouched
+    const bytes = new TextEncoder().encode(JSON.stringify(link));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodePresetLink(text) {
+    let link;
+    try {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        link = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+    } catch (error) {
+        throw new Error('This preset link is damaged - ask for it again');
+    }
+    if (!link || typeof link !== 'object' || typeof link.v !== 'number') {
+        throw new Error('Not a Sound Bath preset link');
+    }
+    if (link.v > PRESET_LINK_VERSION) {
+        throw new Error(`Preset link version ${link.v} is newer than this app supports`);
+    }
+
+    const level = (value) => (typeof value === 'number' ? value / 100 : undefined);
+    const preset = { name: link.n, master: level(link.m), reverb: link.r };
+
+    if (typeof link.s === 'string') {
+        preset.styles = {};
+        Object.entries(PLAY_STYLE_OPTIONS).forEach(([group, styles], index) => {
+            preset.styles[group] = styles[link.s[index]];
+        });
+    }
+    if (link.a !== undefined || link.b) {
+        preset.ambient = {
+            level: level(link.a),
+            beds: link.b && typeof link.b === 'object'
+                ? Object.fromEntries(Object.entries(link.b).map(([key, value]) => [key, level(value)]))
+                : undefined
+        };
+    }
+    if (Array.isArray(link.x)) {
+        const [dry, wet, ...strips] = link.x;
+        const channels = {};
+        Object.keys(MIXER_CHANNELS).forEach((key, index) => {
+            const strip = strips[index];
+            if (!Array.isArray(strip)) return;
+            channels[key] = { gain: level(strip[0]), pan: level(strip[1]), send: level(strip[2]), mute: (strip[3] & 1) === 1, solo: (strip[3] & 2) === 2 };
+        });
+        preset.mixer = { master: { dry: level(dry), wet: level(wet) }, channels };
+    }
+    if (Array.isArray(link.t)) preset.tuning = { reference: link.t[0], temperament: link.t[1] };
+
+    return normalizePreset(preset);
+}
+
+// '#preset=...' -> the encoded preset, or null when the fragment carries none
+function getPresetLinkFromHash(hash) {
+    return new URLSearchParams(String(hash).replace(/^#/, '')).get(PRESET_LINK_KEY);
+}
+
+class PresetLibrary {
+    constructor(engine) {
+        this.engine = engine;
+        this.presets = this.load(); // Saved on this device; the built-ins are listed first
+    }
+
+    list() {
+        return [...BUILTIN_PRESETS, ...this.presets];
+    }
+
+    get(id) {
+        return this.list().find(preset => preset.id === id) || null;
+    }
+
+    // The sanctuary as it sounds now
+    capture(name) {
+        const engine = this.engine;
+        const soundscape = window.soundscape;
+        const beds = {};
+        soundscape?.getActive().forEach(key => {
+            beds[key] = soundscape.levels[key];
+        });
+
+        const preset = {
+            name,
+            styles: { ...playStyles },
+            master: engine.masterVolume,
+            ambient: { level: engine.ambientLevel, beds },
+            mixer: engine.getMixerState()
+        };
+        // A loaded impulse response is too big to carry, so a custom space leaves the reverb alone
+        if (typeof engine.reverb?.space === 'string' && Object.hasOwn(REVERB_SPACES, engine.reverb.space)) preset.reverb = engine.reverb.space;
+        if (window.tuningSystem) {
+            preset.tuning = { reference: tuningSystem.reference, temperament: tuningSystem.temperament };
+        }
+        return normalizePreset(preset);
+    }
+
+    // Saving under a name already in use replaces that preset
+    saveCurrent(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Name the preset first');
+        }
+        if (BUILTIN_PRESETS.some(preset => preset.name.toLowerCase() === trimmed.toLowerCase())) {
+            throw new Error(`${trimmed} is built in - choose another name`);
+        }
+
+        const preset = this.capture(trimmed);
+        const index = this.presets.findIndex(existing => existing.name.toLowerCase() === preset.name.toLowerCase());
+        if (index >= 0) {
+            preset.id = this.presets[index].id;
+            this.presets[index] = preset;
+        } else {
+            preset.id = `preset_${Date.now().toString(36)}`;
+            this.presets.push(preset);
+        }
+        this.save();
+        return preset;
+    }
+
+    remove(id) {
+        const count = this.presets.length;
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        this.save();
+        return this.presets.length < count;
+    }
+
+    // The full address of a link that recalls the preset
+    getShareUrl(preset) {
+        const url = new URL(window.location.href);
+        url.hash = `${PRESET_LINK_KEY}=${encodePresetLink(preset)}`;
+        return url.href;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY));
+            return Array.isArray(stored)
+                ? stored.filter(preset => typeof preset?.id === 'string').map(preset => ({ ...normalizePreset(preset), id: preset.id }))
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('Could not save presets:', error);
+        }
+    }
+}
+
+// Export singleton
+window.BUILTIN_PRESETS = BUILTIN_PRESETS;
+window.presetLibrary = new PresetLibrary(window.audioEngine);
@@ -0,0 +1,200 @@
+/**
+ * Sound Bath Sanctuary - Reverb Spaces
+ * Procedural room impulses and user impulse responses, crossfaded on a shared reverb bus
+ */
+
+const DEFAULT_REVERB_SPACE = 'yogaHall';
+const REVERB_FADE_SECONDS = 2;
+
+// preDelay and decay (RT60) in seconds; damping is the tail's lowpass cutoff from start to end in Hz.
+// Early reflections are sparse taps spread over earlyTime with earlyCount taps.
+const REVERB_SPACES = {
+    studio: {
+        label: 'Small studio',
+        preDelay: 0.004,
+        decay: 0.7,
+        earlyTime: 0.03,
+        earlyCount: 14,
+        earlyLevel: 0.7,
+        damping: [9000, 2500],
+        width: 0.4
+    },
+    yogaHall: {
+        label: 'Yoga hall',
+        preDelay: 0.018,
+        decay: 2.6,
+        earlyTime: 0.08,
+        earlyCount: 10,
+        earlyLevel: 0.5,
+        damping: [8000, 1800],
+        width: 0.7
+    },
+    cathedral: {
+        label: 'Stone cathedral',
+        preDelay: 0.045,
+        decay: 6.5,
+        earlyTime: 0.16,
+        earlyCount: 8,
+        earlyLevel: 0.45,
+        damping: [11000, 2600],
+        width: 0.9
+    },
+    cave: {
+        label: 'Cave',
+        preDelay: 0.012,
+        decay: 4.2,
+        earlyTime: 0.12,
+        earlyCount: 24,
+        earlyLevel: 0.8,
+        damping: [5000, 900],
+        width: 0.8
+    },
+    outdoor: {
+        label: 'Outdoor',
+        preDelay: 0.002,
+        decay: 0.9,
+        earlyTime: 0.04,
+        earlyCount: 2,
+        earlyLevel: 0.35,
+        damping: [6000, 1500],
+        width: 1
+    }
+};
+
+// Stereo impulse: pre-delay, discrete early reflections, then a diffuse tail that
+// decays at the RT60 rate and darkens as it goes, like air and walls absorbing highs
+function createSpaceImpulse(context, space, random = Math.random) {
+    const sampleRate = context.sampleRate;
+    const length = Math.ceil((space.preDelay + space.decay * 1.1) * sampleRate);
+    const impulse = context.createBuffer(2, length, sampleRate);
+    const tailStart = space.preDelay + space.earlyTime * 0.5;
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = impulse.getChannelData(channel);
+
+        // Early reflections - each ear hears a slightly different set of walls
+        for (let k = 0; k < space.earlyCount; k++) {
+            const time = space.preDelay + space.earlyTime * Math.pow(random(), 0.7);
+            const index = Math.min(length - 1, Math.floor(time * sampleRate));
+            const distance = (time - space.preDelay) / space.earlyTime;
+            data[index] += (random() < 0.5 ? -1 : 1) * space.earlyLevel * (1 - distance * 0.6);
+        }
+
+        // Diffuse tail with a one-pole lowpass that closes over time for damping.
+        // Envelope and cutoff are stepped per sample so long halls still generate quickly
+        const [startCutoff, endCutoff] = space.damping;
+        const decaySamples = space.decay * sampleRate;
+        const envelopeStep = Math.exp(-6.91 / decaySamples); // -60 dB at the decay time
+        const cutoffStep = Math.pow(endCutoff / startCutoff, 1 / decaySamples);
+        const fadeInSamples = Math.max(1, space.earlyTime * sampleRate);
+        let envelope = 1;
+        let cutoff = startCutoff;
+        let coefficient = 0;
+        let filtered = 0;
+
+        for (let i = Math.floor(tailStart * sampleRate), n = 0; i < length; i++, n++) {
+            if (n % 32 === 0) coefficient = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+            filtered += coefficient * ((random() * 2 - 1) - filtered);
+            data[i] += filtered * envelope * Math.min(1, n / fadeInSamples);
+
+            envelope *= envelopeStep;
+            if (n < decaySamples) cutoff *= cutoffStep;
+        }
+    }
+
+    // Narrow the image by blending the channels toward their mid signal
+    const left = impulse.getChannelData(0);
+    const right = impulse.getChannelData(1);
+    const blend = (1 - space.width) / 2;
+    for (let i = 0; i < length; i++) {
+        const l = left[i];
+        left[i] = l * (1 - blend) + right[i] * blend;
+        right[i] = right[i] * (1 - blend) + l * blend;
+    }
+
+    return impulse;
+}
+
+class ReverbBus {
+    constructor(context, random = Math.random) {
+        this.context = context;
+        this.random = random;
+        this.input = context.createGain();
+        this.output = context.createGain();
+        this.slots = [];     // [{ convolver, gain, from, to, start, end }] - the last one is the active space, with its gain ramp
+        this.space = null;   // Key in REVERB_SPACES, or 'custom'
+        this.customName = null;
+    }
+
+    setSpace(key, fadeSeconds = REVERB_FADE_SECONDS, when) {
+        const space = REVERB_SPACES[key];
+        if (!space) return false;
+
+        this.crossfadeTo(createSpaceImpulse(this.context, space, this.random), fadeSeconds, when);
+        this.space = key;
+        this.customName = null;
+        return true;
+    }
+
+    setImpulse(buffer, name, fadeSeconds = REVERB_FADE_SECONDS, when) {
+        this.crossfadeTo(buffer, fadeSeconds, when);
+        this.space = 'custom';
+        this.customName = name;
+    }
+
+    // Where a slot's gain stands at a time, from the ramp it was given. gain.value is no use here:
+    // it lags the schedule, and an offline render has not computed it at all.
+    levelAt(slot, time) {
+        if (time >= slot.end) return slot.to;
+        if (time <= slot.start) return slot.from;
+        return slot.from + (slot.to - slot.from) * (time - slot.start) / (slot.end - slot.start);
+    }
+
+    // Feed the new space alongside the old ones so ringing tails fade rather than cut
+    crossfadeTo(buffer, fadeSeconds, when) {
+        const now = Math.max(this.context.currentTime, when || 0);
+        const fade = Math.max(0.01, fadeSeconds);
+        const isOffline = typeof this.context.startRendering === 'function';
+
+        // Offline renders schedule every change up front, so a slot silent by now stays wired for
+        // the render and is only dropped from the list
+        if (isOffline) this.slots = this.slots.filter(slot => slot.to > 0 || slot.end > now);
+
+        this.slots.forEach(slot => {
+            const level = this.levelAt(slot, now);
+            slot.gain.gain.cancelScheduledValues(now);
+            slot.gain.gain.setValueAtTime(level, now);
+            slot.gain.gain.linearRampToValueAtTime(0, now + fade);
+            Object.assign(slot, { from: level, to: 0, start: now, end: now + fade });
+        });
+
+        const convolver = this.context.createConvolver();
+        convolver.buffer = buffer;
+        const gain = this.context.createGain();
+        const from = fadeSeconds > 0 ? 0 : 1;
+        gain.gain.setValueAtTime(from, now);
+        gain.gain.linearRampToValueAtTime(1, now + fade);
+
+        this.input.connect(convolver);
+        convolver.connect(gain);
+        gain.connect(this.output);
+
+        this.slots = [...this.slots, { convolver, gain, from, to: 1, start: now, end: now + fade }];
+
+        if (!isOffline) {
+            setTimeout(() => {
+                // A quicker switch may already have freed some, or pushed a slot's fade later
+                const faded = this.slots.filter(slot => slot.to === 0 && slot.end <= this.context.currentTime);
+                faded.forEach(slot => {
+                    this.input.disconnect(slot.convolver);
+                    slot.gain.disconnect();
+                });
+                this.slots = this.slots.filter(slot => !faded.includes(slot));
+            }, (now - this.context.currentTime + fade) * 1000 + 100);
+        }
+    }
+}
+
+// Export
+window.REVERB_SPACES = REVERB_SPACES;
+window.ReverbBus = ReverbBus;
@@ -0,0 +1,213 @@
+/**
+ * Sound Bath Sanctuary - Sample Packs
+ * Recordings of real bowls, gongs and handpans: manifest parsing, IndexedDB caching and decoding for the sampler voice
+ */
+
+const SAMPLE_PACK_FORMAT = 'sound-bath-samples';
+const SAMPLE_PACK_FORMAT_VERSION = 1;
+const SAMPLE_PACK_DB = 'soundBath';
+const SAMPLE_PACK_DB_VERSION = 1;
+const SAMPLE_PACK_STORE = 'samplePacks';
+const SAMPLE_FILE_PATTERN = /\.(wav|ogg|oga)$/i;
+
+// A manifest lists each recording against the instrument it belongs to, e.g.
+// { "format": "sound-bath-samples", "version": 1, "name": "My bowls", "samples": [
+//     { "instrument": "crystalBowls[0]", "style": "strike", "velocity": [0, 0.6], "files": ["c-soft-1.wav", "c-soft-2.wav"] },
+//     { "instrument": "tibetanBowls[2]", "style": "singing", "frequency": 218.5, "loop": [2.5, 9], "files": ["singing.ogg"] } ] }
+// frequency is the recording's pitch (the instrument's own by default), velocity the layer it answers,
+// and several files take turns round-robin. Leave style out to cover every style.
+function parseSamplePackManifest(text) {
+    const doc = JSON.parse(text);
+    if (!doc || doc.format !== SAMPLE_PACK_FORMAT) {
+        throw new Error('Not a Sound Bath sample pack manifest');
+    }
+    if (doc.version > SAMPLE_PACK_FORMAT_VERSION) {
+        throw new Error(`Sample pack version ${doc.version} is newer than this app supports`);
+    }
+    if (!Array.isArray(doc.samples) || doc.samples.length === 0) {
+        throw new Error('samples: expected a list of recordings');
+    }
+
+    const samples = doc.samples.map((sample, index) => {
+        const where = `samples[${index}]`;
+        const target = resolveInstrument(sample?.instrument);
+        if (!target) {
+            throw new Error(`${where}.instrument: no instrument ${JSON.stringify(sample?.instrument)}`);
+        }
+        if (sample.style !== undefined && !PLAY_STYLE_OPTIONS[target.styleGroup].includes(sample.style)) {
+            throw new Error(`${where}.style: ${target.family} plays ${PLAY_STYLE_OPTIONS[target.styleGroup].join(', ')}`);
+        }
+        if (!Array.isArray(sample.files) || sample.files.length === 0 || !sample.files.every(file => typeof file === 'string')) {
+            throw new Error(`${where}.files: expected a list of file names`);
+        }
+
+        const frequency = sample.frequency ?? target.frequency;
+        if (typeof frequency !== 'number' || frequency < 20 || frequency > 20000) {
+            throw new Error(`${where}.frequency: expected a pitch in Hz`);
+        }
+        const velocity = sample.velocity ?? [0, 1];
+        if (!Array.isArray(velocity) || velocity.length !== 2 || !(velocity[0] >= 0 && velocity[0] <= velocity[1] && velocity[1] <= 1)) {
+            throw new Error(`${where}.velocity: expected [low, high] between 0 and 1`);
+        }
+        const loop = sample.loop ?? null;
+        if (loop !== null && (!Array.isArray(loop) || loop.length !== 2 || !(loop[0] >= 0 && loop[0] < loop[1]))) {
+            throw new Error(`${where}.loop: expected [start, end] in seconds`);
+        }
+
+        return {
+            instrument: target.path,
+            method: target.method,
+            style: sample.style ?? null,
+            frequency,
+            velocity,
+            gain: typeof sample.gain === 'number' ? Math.max(0, sample.gain) : 1,
+            loop,
+            files: sample.files.map(file => file.split('/').pop())
+        };
+    });
+
+    return { name: String(doc.name || 'Sample pack').slice(0, 60), samples };
+}
+
+class SamplePackLibrary {
+    constructor(engine) {
+        this.engine = engine;
+        this.db = null;
+        this.packs = [];           // [{ id, name, enabled, samples, size, error }] - everything but the audio
+        this.decoded = new Map();  // pack id -> zones, for enabled packs
+        this.errors = new Map();   // pack id -> why an enabled pack could not be decoded
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SAMPLE_PACK_DB, SAMPLE_PACK_DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(SAMPLE_PACK_STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    // One IndexedDB request as a promise
+    async request(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(SAMPLE_PACK_STORE, mode).objectStore(SAMPLE_PACK_STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Read the cached packs and decode the enabled ones. A pack that no longer decodes is marked
+    // and left out, so it cannot take the others down with it.
+    async load() {
+        const records = await this.request('readonly', store => store.getAll());
+        for (const record of records) {
+            if (!record.enabled) continue;
+            try {
+                await this.decode(record);
+            } catch (error) {
+                console.warn('Could not load sample pack:', error);
+                this.errors.set(record.id, error.message);
+            }
+        }
+        this.packs = records.map(record => this.describe(record));
+        this.apply();
+        return this.packs;
+    }
+
+    // Local files picked together: one manifest (.json) and the recordings it names
+    async import(files) {
+        const list = [...files];
+        const manifestFile = list.find(file => /\.json$/i.test(file.name));
+        if (!manifestFile) {
+            throw new Error('Choose the pack\'s manifest (.json) along with its samples');
+        }
+
+        const manifest = parseSamplePackManifest(await manifestFile.text());
+        const audio = new Map(list.filter(file => SAMPLE_FILE_PATTERN.test(file.name)).map(file => [file.name, file]));
+        const needed = [...new Set(manifest.samples.flatMap(sample => sample.files))];
+        const missing = needed.filter(name => !audio.has(name));
+        if (missing.length > 0) {
+            throw new Error(`Missing ${missing.length === 1 ? 'sample' : 'samples'}: ${missing.slice(0, 3).join(', ')}${missing.length > 3 ? '…' : ''}`);
+        }
+
+        const record = {
+            id: `pack_${Date.now().toString(36)}`,
+            name: manifest.name,
+            enabled: true,
+            samples: manifest.samples,
+            files: {}
+        };
+        for (const name of needed) {
+            record.files[name] = await audio.get(name).arrayBuffer();
+        }
+
+        // Decode before caching, so a pack the browser cannot play never lands in the library
+        await this.decode(record);
+        await this.request('readwrite', store => store.put(record));
+        this.packs.push(this.describe(record));
+        this.apply();
+        return this.describe(record);
+    }
+
+    async setEnabled(id, enabled) {
+        const record = await this.request('readonly', store => store.get(id));
+        if (!record) return false;
+
+        // Decode first, so a pack that still fails stays off
+        if (enabled) await this.decode(record);
+        this.errors.delete(id);
+        record.enabled = enabled;
+        await this.request('readwrite', store => store.put(record));
+        if (!enabled) this.decoded.delete(id);
+        this.packs = this.packs.map(pack => (pack.id === id ? this.describe(record) : pack));
+        this.apply();
+        return true;
+    }
+
+    async remove(id) {
+        await this.request('readwrite', store => store.delete(id));
+        this.decoded.delete(id);
+        this.errors.delete(id);
+        this.packs = this.packs.filter(pack => pack.id !== id);
+        this.apply();
+    }
+
+    describe(record) {
+        const size = Object.values(record.files).reduce((total, data) => total + data.byteLength, 0);
+        return { id: record.id, name: record.name, enabled: record.enabled, samples: record.samples, size, error: this.errors.get(record.id) || null };
+    }
+
+    // decodeAudioData detaches what it is given, so the cached bytes are copied first
+    async decode(record) {
+        const buffers = {};
+        for (const [name, data] of Object.entries(record.files)) {
+            try {
+                buffers[name] = await this.engine.audioContext.decodeAudioData(data.slice(0));
+            } catch (error) {
+                throw new Error(`${record.name}: could not decode ${name}`);
+            }
+        }
+
+        this.decoded.set(record.id, record.samples.map(sample => ({
+            ...sample,
+            buffers: sample.files.map(name => buffers[name]),
+            next: 0 // Round-robin position
+        })));
+    }
+
+    // Packs later in the library win where two cover the same instrument and style
+    apply() {
+        const zones = this.packs
+            .filter(pack => this.decoded.has(pack.id))
+            .flatMap(pack => this.decoded.get(pack.id));
+        this.engine.setSampleZones(zones);
+    }
+}
+
+// Export singleton
+window.SAMPLE_PACK_FORMAT = SAMPLE_PACK_FORMAT;
+window.samplePacks = new SamplePackLibrary(window.audioEngine);
@@ -0,0 +1,248 @@
+/**
+ * Sound Bath Sanctuary - Journey Sequencer
+ * Plays scripted sound-bath journeys hands-free using look-ahead scheduling
+ */
+
+const SEQUENCER_LOOKAHEAD = 0.25; // Seconds of audio scheduled ahead of the clock
+const SEQUENCER_INTERVAL = 50;    // Scheduler wake-up in ms
+
+// Built-in journeys. Times are seconds or 'm:ss'; targets use INSTRUMENTS paths.
+const JOURNEY_PRESETS = {
+    fullMoon: {
+        name: 'Full Moon Journey (30 min)',
+        duration: '30:00',
+        events: [
+            { at: '0:00', target: 'gongs.chauGong', style: 'crescendo' },
+            { at: '0:20', target: 'gongs.symphGong', style: 'soft' },
+            {
+                at: '2:00', style: 'rim', spread: 9,
+                target: ['crystalBowls[0]', 'crystalBowls[1]', 'crystalBowls[2]', 'crystalBowls[3]',
+                    'crystalBowls[4]', 'crystalBowls[5]', 'crystalBowls[6]']
+            },
+            { at: '4:00', until: '8:00', every: 12, target: ['tibetanBowls[0]', 'tibetanBowls[2]', 'tibetanBowls[1]'], style: 'singing' },
+            { at: '8:30', target: 'didgeridoo', style: 'sustained' },
+            {
+                at: '10:00', until: '14:00', every: 1.5, style: 'ghost',
+                target: ['handpan1.ding', 'handpan1.notes[0]', 'handpan1.notes[2]', 'handpan1.notes[4]', 'handpan1.notes[3]']
+            },
+            { at: '14:30', until: '20:00', every: 20, target: ['panFlute[0]', 'panFlute[3]', 'panFlute[2]'], style: 'sustained' },
+            { at: '20:00', until: '26:00', every: 30, target: 'gongs.chauGong', style: 'soft' },
+            {
+                at: '26:00', style: 'gentle', spread: 12,
+                target: ['crystalBowls[6]', 'crystalBowls[5]', 'crystalBowls[4]', 'crystalBowls[3]',
+                    'crystalBowls[2]', 'crystalBowls[1]', 'crystalBowls[0]']
+            },
+            { at: '29:40', target: 'tibetanBowls[4]', style: 'mallet' }
+        ]
+    },
+    chakraRise: {
+        name: 'Chakra Rise (10 min)',
+        duration: '10:00',
+        events: [
+            { at: '0:00', target: 'gongs.symphGong', style: 'soft' },
+            {
+                at: '0:30', style: 'rim', spread: 70,
+                target: ['crystalBowls[0]', 'crystalBowls[1]', 'crystalBowls[2]', 'crystalBowls[3]',
+                    'crystalBowls[4]', 'crystalBowls[5]', 'crystalBowls[6]']
+            },
+            { at: '0:45', until: '9:00', every: 35, target: ['tibetanBowls[0]', 'tibetanBowls[1]'], style: 'mallet' },
+            { at: '9:30', target: 'gongs.chauGong', style: 'soft' }
+        ]
+    }
+};
+
+// Accepts seconds or 'h:mm:ss' / 'm:ss' strings
+function parseJourneyTime(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) return NaN;
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+// Flatten ranges ('until'/'every') and sequences ('spread') into single strikes. Strikes keep their
+// instrument path and resolve it when they play, so tuning changes and slot swaps are heard mid-journey.
+function expandJourneyEvents(events) {
+    const expanded = [];
+
+    events.forEach(event => {
+        const targets = Array.isArray(event.target) ? event.target : [event.target];
+        const start = parseJourneyTime(event.at);
+        if (!Number.isFinite(start) || targets.length === 0) return;
+
+        const addStrike = (time, path) => {
+            if (!resolveInstrument(path)) {
+                console.warn(`Journey event skipped - unknown instrument "${path}"`);
+                return;
+            }
+            expanded.push({ time, path, style: event.style, duration: event.duration });
+        };
+
+        if (event.until !== undefined) {
+            const end = parseJourneyTime(event.until);
+            const every = Math.max(0.1, event.every || 2);
+            for (let time = start, i = 0; time < end; time += every, i++) {
+                addStrike(time, targets[i % targets.length]);
+            }
+        } else {
+            const spread = event.spread || 0;
+            targets.forEach((path, i) => addStrike(start + i * spread, path));
+        }
+    });
+
+    return expanded.sort((a, b) => a.time - b.time);
+}
+
+class JourneySequencer {
+    constructor(engine) {
+        this.engine = engine;
+        this.journey = null;
+        this.events = [];
+        this.duration = 0;
+        this.state = 'stopped'; // stopped | playing | paused
+        this.position = 0;      // Journey seconds at the last pause/seek
+        this.contextStartTime = 0;
+        this.nextEventIndex = 0;
+        this.timer = null;
+        this.voiceIds = new Set();
+        this.run = 0;           // Bumped whenever scheduled strikes are cancelled, so late UI callbacks can tell
+        engine.on('stopAll', () => this.stop());
+
+        // UI hooks
+        this.onTrigger = null;  // (strike, delaySeconds) - the event with its resolved target
+        this.onProgress = null; // (position, duration)
+        this.onStateChange = null; // (state)
+    }
+
+    load(journey) {
+        this.stop();
+        this.journey = journey;
+        this.events = expandJourneyEvents(journey.events || []);
+
+        const lastEvent = this.events[this.events.length - 1];
+        const declared = parseJourneyTime(journey.duration);
+        this.duration = Number.isFinite(declared) ? declared : (lastEvent ? lastEvent.time + 15 : 0);
+        this.reportProgress();
+    }
+
+    getPosition() {
+        if (this.state !== 'playing') return this.position;
+        return Math.min(this.duration, this.engine.audioContext.currentTime - this.contextStartTime);
+    }
+
+    play() {
+        if (!this.journey || !this.engine.audioContext || this.state === 'playing') return;
+        if (this.position >= this.duration) this.position = 0;
+
+        this.contextStartTime = this.engine.audioContext.currentTime - this.position;
+        this.nextEventIndex = this.events.findIndex(event => event.time >= this.position);
+        if (this.nextEventIndex === -1) this.nextEventIndex = this.events.length;
+
+        this.timer = setInterval(() => this.tick(), SEQUENCER_INTERVAL);
+        this.setState('playing');
+        this.tick();
+    }
+
+    pause() {
+        if (this.state !== 'playing') return;
+        this.position = this.getPosition();
+        this.halt();
+        this.setState('paused');
+    }
+
+    resume() {
+        if (this.state === 'paused') this.play();
+    }
+
+    stop() {
+        this.halt();
+        this.position = 0;
+        if (this.state !== 'stopped') this.setState('stopped');
+        this.reportProgress();
+    }
+
+    seek(seconds) {
+        const wasPlaying = this.state === 'playing';
+        this.halt();
+        this.position = Math.max(0, Math.min(this.duration, seconds));
+        if (wasPlaying) {
+            this.state = 'paused';
+            this.play();
+        } else {
+            this.reportProgress();
+        }
+    }
+
+    // Stop the scheduler and silence everything this sequencer started
+    halt() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.voiceIds.forEach(id => this.engine.stopVoice(id, 0.3));
+        this.voiceIds.clear();
+        this.run++;
+    }
+
+    // False once a pause, stop or seek has cancelled the strike
+    isScheduled(strike) {
+        return strike.run === this.run;
+    }
+
+    tick() {
+        const now = this.engine.audioContext.currentTime;
+        const horizon = now - this.contextStartTime + SEQUENCER_LOOKAHEAD;
+
+        while (this.nextEventIndex < this.events.length && this.events[this.nextEventIndex].time < horizon) {
+            this.scheduleEvent(this.events[this.nextEventIndex], now);
+            this.nextEventIndex++;
+        }
+
+        const position = this.getPosition();
+        this.reportProgress();
+
+        if (position >= this.duration) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.voiceIds.clear(); // Let the final voices ring out
+            this.position = this.duration;
+            this.setState('stopped');
+        }
+    }
+
+    scheduleEvent(event, now) {
+        // A listen-only group sync listener hears the facilitator alone; the journey runs on silently
+        if (window.groupSync?.isLocked()) return;
+
+        // A slot swapped to a shorter instrument may have lost this note since the journey was loaded
+        const target = resolveInstrument(event.path);
+        if (!target) return;
+
+        const when = Math.max(now, this.contextStartTime + event.time);
+        const style = event.style || playStyles[target.styleGroup];
+        const id = this.engine[target.method](target.frequency, style, event.duration, { when });
+
+        this.voiceIds.add(id);
+        this.pruneVoiceIds();
+
+        if (this.onTrigger) this.onTrigger({ ...event, target, run: this.run }, when - now);
+    }
+
+    pruneVoiceIds() {
+        this.voiceIds.forEach(id => {
+            if (!this.engine.activeOscillators.has(id)) this.voiceIds.delete(id);
+        });
+    }
+
+    setState(state) {
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+
+    reportProgress() {
+        if (this.onProgress) this.onProgress(this.getPosition(), this.duration);
+    }
+}
+
+// Export singleton
+window.JOURNEY_PRESETS = JOURNEY_PRESETS;
+window.parseJourneyTime = parseJourneyTime;
+window.journeySequencer = new JourneySequencer(window.audioEngine);
@@ -0,0 +1,353 @@
+/**
+ * Sound Bath Sanctuary - Group Sync Server
+ * Relays a facilitator's performance to every listener in the room, and every player's strikes in a jam room
+ *
+ * Run with: node server/sync-server.js  (SYNC_PORT, default 8080)
+ * Add --serve-app to serve the app itself too, for trying rooms out locally in several tabs
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { acceptWebSocket } = require('./websocket');
+
+const PORT = parseInt(process.env.SYNC_PORT, 10) || 8080;
+const APP_DIR = process.argv.includes('--serve-app') ? path.resolve(__dirname, '..') : null;
+const APP_PREFIX = '/sound-bath/'; // index.html's <base href>, so the app's own requests all start here
+const HEARTBEAT_MS = 30000;
+const ROOM_CODE_LENGTH = 4;
+const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'; // No I or O, so codes read aloud cleanly
+
+// One color per jam player, picked to stay distinct against the dark background
+const JAM_COLORS = ['#ff6b9d', '#4ecdc4', '#ffd93d', '#a78bfa', '#6bcb77', '#ff9f43', '#54a0ff', '#f368e0'];
+
+const STATIC_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json',
+    '.webmanifest': 'application/manifest+json',
+    '.woff2': 'font/woff2',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.wav': 'audio/wav'
+};
+
+// Broadcast rooms: code -> { mode: 'broadcast', facilitator, listeners: Set }
+// Jam rooms:       code -> { mode: 'jam', players: Map(id -> client), locking, claims: Map(instrument -> id) }
+const rooms = new Map();
+const clients = new Set();
+
+function createRoomCode() {
+    for (;;) {
+        let code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_LETTERS[crypto.randomInt(ROOM_CODE_LETTERS.length)];
+        }
+        if (!rooms.has(code)) return code;
+    }
+}
+
+function normalizeRoomCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+function getRoomClients(room) {
+    if (room.mode === 'jam') return [...room.players.values()];
+    return [room.facilitator, ...room.listeners].filter(Boolean);
+}
+
+function broadcast(room, message, except = null) {
+    getRoomClients(room).forEach(client => {
+        if (client !== except) client.send(message);
+    });
+}
+
+function broadcastPeers(room) {
+    broadcast(room, { type: 'peers', listeners: room.listeners.size, facilitator: Boolean(room.facilitator) });
+}
+
+function broadcastPlayers(room) {
+    broadcast(room, {
+        type: 'players',
+        players: [...room.players.values()].map(client => ({ id: client.id, name: client.name, color: client.color })),
+        claims: Object.fromEntries(room.claims)
+    });
+}
+
+function join(client, message) {
+    leave(client);
+    if (message.mode === 'jam') {
+        joinJam(client, message);
+    } else {
+        joinBroadcast(client, message);
+    }
+}
+
+// Facilitators open a room (a fresh code unless they ask for one); listeners need an existing room
+function joinBroadcast(client, message) {
+    const role = message.role === 'facilitator' ? 'facilitator' : 'listener';
+    let code = normalizeRoomCode(message.room);
+    let room = rooms.get(code);
+
+    if (room && room.mode !== 'broadcast') {
+        client.send({ type: 'error', message: `Room ${code} is a jam room` });
+        return;
+    }
+
+    if (role === 'facilitator') {
+        if (room?.facilitator) {
+            client.send({ type: 'error', message: `Room ${code} already has a facilitator` });
+            return;
+        }
+        if (!room) {
+            code = code || createRoomCode();
+            room = { mode: 'broadcast', facilitator: null, listeners: new Set() };
+            rooms.set(code, room);
+        }
+        room.facilitator = client;
+    } else {
+        if (!room) {
+            client.send({ type: 'error', message: `No room with code ${code || '(blank)'}` });
+            return;
+        }
+        room.listeners.add(client);
+    }
+
+    client.room = code;
+    client.role = role;
+    client.send({ type: 'joined', room: code, role });
+    broadcastPeers(room);
+}
+
+// Anyone may open or join a jam; whoever opens it decides whether instruments can be claimed
+function joinJam(client, message) {
+    let code = normalizeRoomCode(message.room);
+    let room = rooms.get(code);
+
+    if (room && room.mode !== 'jam') {
+        client.send({ type: 'error', message: `Room ${code} is not a jam room` });
+        return;
+    }
+    if (room && room.players.size >= JAM_COLORS.length) {
+        client.send({ type: 'error', message: `Room ${code} is full` });
+        return;
+    }
+    if (!room && !message.create) {
+        client.send({ type: 'error', message: `No jam with code ${code || '(blank)'}` });
+        return;
+    }
+    if (!room) {
+        code = code || createRoomCode();
+        room = { mode: 'jam', players: new Map(), locking: message.locking === true, claims: new Map() };
+        rooms.set(code, room);
+    }
+
+    const taken = new Set([...room.players.values()].map(player => player.color));
+    client.id = crypto.randomUUID();
+    client.name = String(message.name || '').trim().slice(0, 24) || `Player ${room.players.size + 1}`;
+    client.color = JAM_COLORS.find(color => !taken.has(color));
+    client.room = code;
+    client.role = 'player';
+    room.players.set(client.id, client);
+
+    client.send({ type: 'joined', mode: 'jam', room: code, role: 'player', id: client.id, color: client.color, locking: room.locking });
+    broadcastPlayers(room);
+}
+
+function leave(client) {
+    const code = client.room;
+    const room = rooms.get(code);
+    if (!room) return;
+
+    if (room.mode === 'jam') {
+        room.players.delete(client.id);
+        room.claims.forEach((owner, instrument) => {
+            if (owner === client.id) room.claims.delete(instrument);
+        });
+    } else {
+        if (room.facilitator === client) room.facilitator = null;
+        room.listeners.delete(client);
+    }
+    client.room = null;
+
+    // Listeners may wait for a facilitator who reconnects; an empty room is forgotten
+    if (getRoomClients(room).length === 0) {
+        rooms.delete(code);
+    } else if (room.mode === 'jam') {
+        broadcastPlayers(room);
+    } else {
+        broadcastPeers(room);
+    }
+}
+
+function relay(client, message) {
+    const room = rooms.get(client.room);
+    if (!room || !message.event) return;
+
+    if (room.mode === 'jam') {
+        relayJam(client, room, message.event);
+        return;
+    }
+
+    // Only the facilitator's events are relayed - listeners cannot play into the room
+    if (room.facilitator !== client) return;
+    broadcast(room, { type: 'event', event: message.event }, client);
+}
+
+// In a locking room the first player to strike an instrument owns it until they release it or leave
+function relayJam(client, room, event) {
+    const instrument = typeof event.instrument === 'string' ? event.instrument : null;
+
+    if (room.locking && instrument && event.kind === 'play') {
+        const owner = room.claims.get(instrument);
+        if (owner && owner !== client.id) {
+            client.send({ type: 'denied', instrument, owner });
+            return;
+        }
+        if (!owner) {
+            room.claims.set(instrument, client.id);
+            broadcastPlayers(room);
+        }
+    }
+
+    broadcast(room, { type: 'event', event: { ...event, from: client.id } }, client);
+}
+
+function release(client, message) {
+    const room = rooms.get(client.room);
+    if (!room || room.mode !== 'jam') return;
+
+    room.claims.forEach((owner, instrument) => {
+        if (owner === client.id && (!message.instrument || message.instrument === instrument)) {
+            room.claims.delete(instrument);
+        }
+    });
+    broadcastPlayers(room);
+}
+
+// Fields every message type relies on, with the JSON type each must have when present
+const MESSAGE_FIELDS = {
+    room: 'string',
+    role: 'string',
+    name: 'string',
+    event: 'object'
+};
+
+// Anything else is a client that is not ours - it is ignored rather than trusted
+function isWellFormed(message) {
+    return Object.entries(MESSAGE_FIELDS).every(([field, type]) => {
+        const value = message[field];
+        if (value === undefined || value === null) return true;
+        return typeof value === type && !Array.isArray(value);
+    });
+}
+
+function handleMessage(client, message) {
+    if (!isWellFormed(message)) {
+        client.send({ type: 'error', message: 'Malformed message' });
+        return;
+    }
+
+    switch (message.type) {
+        case 'join':
+            join(client, message);
+            break;
+        case 'leave':
+            leave(client);
+            break;
+        case 'event':
+            relay(client, message);
+            break;
+        case 'release':
+            release(client, message);
+            break;
+        case 'ping':
+            // Clock sync: the client halves the round trip to find its offset from this clock
+            client.send({ type: 'pong', sent: message.sent, server: Date.now() });
+            break;
+        default:
+            break;
+    }
+}
+
+// With --serve-app the whole sanctuary runs from this one process; requests stay inside the app folder
+function serveApp(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain' });
+        response.end('Bad request\n');
+        return;
+    }
+    // Served at the root and under the prefix alike, so either address opens the app
+    if (pathname.startsWith(APP_PREFIX)) pathname = pathname.slice(APP_PREFIX.length - 1);
+    if (pathname === APP_PREFIX.slice(0, -1)) pathname = '/';
+
+    const file = path.join(APP_DIR, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    const hidden = pathname.split('/').some(part => part.startsWith('.'));
+    if (hidden || !file.startsWith(APP_DIR + path.sep) || file.startsWith(path.join(APP_DIR, 'server') + path.sep)) {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found\n');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': STATIC_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    if (APP_DIR) {
+        serveApp(request, response);
+        return;
+    }
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(`Sound Bath sync server • ${rooms.size} room(s), ${clients.size} connection(s)\n`);
+});
+
+server.on('upgrade', (request, socket) => {
+    const client = acceptWebSocket(request, socket);
+    if (!client) return;
+
+    client.room = null;
+    client.role = null;
+    clients.add(client);
+    client.on('message', (message) => {
+        // One misbehaving connection is dropped; the rooms everyone else is in carry on
+        try {
+            handleMessage(client, message);
+        } catch (error) {
+            console.warn('Closing a connection after a bad message:', error);
+            client.close(1011, 'Internal error');
+        }
+    });
+    client.on('close', () => {
+        leave(client);
+        clients.delete(client);
+    });
+});
+
+// Drop connections that stopped answering - phones that went to sleep mid-session
+setInterval(() => {
+    clients.forEach(client => {
+        if (!client.isAlive) {
+            client.closed();
+        } else {
+            client.ping();
+        }
+    });
+}, HEARTBEAT_MS);
+
+server.listen(PORT, () => {
+    console.log(`Sound Bath sync server listening on port ${PORT}${APP_DIR ? ` • app at http://localhost:${PORT}${APP_PREFIX}` : ''}`);
+});
@@ -0,0 +1,201 @@
+/**
+ * Sound Bath Sanctuary - WebSocket
+ * Just enough RFC 6455 for JSON messages between browsers, using only Node's own http and crypto
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 64 * 1024; // Sound bath events are tiny; anything bigger is a mistake or abuse
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+class WebSocketConnection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.isOpen = true;
+        this.isAlive = true; // Cleared by each heartbeat, set again by the pong
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => this.closed());
+    }
+
+    send(message) {
+        if (!this.isOpen) return;
+        this.writeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    }
+
+    ping() {
+        this.isAlive = false;
+        this.writeFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.isOpen) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(OPCODES.close, payload);
+        this.isOpen = false;
+        this.socket.end(); // Lets the close frame flush before the socket goes
+        this.emit('close');
+    }
+
+    closed() {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.socket.destroy();
+        this.emit('close');
+    }
+
+    // Server frames are never masked
+    writeFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.alloc(2);
+            header[1] = payload.length;
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (this.isOpen) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.handleFrame(frame);
+        }
+    }
+
+    // One complete frame off the front of the buffer, or null while more bytes are due
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            const longLength = buffer.readBigUInt64BE(2);
+            length = longLength > BigInt(MAX_MESSAGE_BYTES) ? Infinity : Number(longLength);
+            offset = 10;
+        }
+
+        // Clients must mask every frame
+        if (!masked) {
+            this.close(1002, 'Frames must be masked');
+            return null;
+        }
+        if (length > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.writeFrame(OPCODES.pong, payload);
+                return;
+            case OPCODES.pong:
+                this.isAlive = true;
+                return;
+            case OPCODES.close:
+                this.close();
+                return;
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+                return;
+        }
+
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        if (size > MAX_MESSAGE_BYTES) {
+            this.close(1009, 'Message too big');
+            return;
+        }
+        if (!fin) return;
+
+        const text = Buffer.concat(this.fragments).toString('utf8');
+        this.fragments = [];
+
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            return; // Ignore anything that is not JSON
+        }
+        if (message && typeof message === 'object') this.emit('message', message);
+    }
+}
+
+// Complete the HTTP upgrade, or refuse it, and hand back the open connection
+function acceptWebSocket(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    const isUpgrade = (request.headers.upgrade || '').toLowerCase() === 'websocket';
+
+    if (!isUpgrade || !key || request.headers['sec-websocket-version'] !== '13') {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket);
+}
+
+module.exports = { acceptWebSocket, WebSocketConnection };
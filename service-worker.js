@@ -0,0 +1,86 @@
+/**
+ * Sound Bath Sanctuary - Service Worker
+ * Precaches the whole sanctuary so it installs as an app and plays with no connection at all
+ */
+
+// Bump on every release: the new version installs beside the old one and waits for the page to say go
+const CACHE_VERSION = 5;
+const CACHE_PREFIX = 'sound-bath-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Relative to this worker, so the app runs the same under /sound-bath/ or at a site's root.
+// Keep in step with the scripts index.html loads.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'styles.css',
+    'reverb.js',
+    'mixer.js',
+    'modal-synthesis.js',
+    'modal-worklet.js',
+    'audio-engine.js',
+    'entrainment.js',
+    'soundscape.js',
+    'instruments.js',
+    'session-recorder.js',
+    'sequencer.js',
+    'generative.js',
+    'chakra-journey.js',
+    'session-timer.js',
+    'group-sync.js',
+    'jam-session.js',
+    'sample-packs.js',
+    'journey-format.js',
+    'tuning.js',
+    'presets.js',
+    'media-session.js',
+    'midi-input.js',
+    'keyboard-input.js',
+    'instrument-library.js',
+    'app.js',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'fonts/cormorant-garamond.woff2',
+    'fonts/outfit.woff2'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Straight from the network - a stale HTTP cache must not leak an old file into a new version
+        await cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })));
+    })());
+});
+
+// Older versions are cleared once this one takes over
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page's "Update" button
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skip-waiting') self.skipWaiting();
+});
+
+// Cache first: a version is served whole until the user chooses to update, and anything not
+// precached (the sync server's status page, say) goes to the network as usual
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = request.mode === 'navigate'
+            ? await cache.match('index.html')
+            : await cache.match(request, { ignoreSearch: true });
+        return cached || fetch(request);
+    })());
+});
@@ -0,0 +1,260 @@
+/**
+ * Sound Bath Sanctuary - Session Recorder
+ * Logs every instrument played during a session and re-renders it offline to WAV
+ */
+
+const RECORDER_TAIL_SECONDS = 6; // Let the reverb ring out after the last voice
+
+class SessionRecorder {
+    constructor(engine) {
+        this.engine = engine;
+        this.events = [];
+        this.volumeChanges = [];
+        this.stops = [];
+        this.reverbChanges = [];
+        this.mixerChanges = [];
+        this.eventIndexById = new Map();
+        this.initialVolume = 0.7;
+        this.initialReverb = null;
+        this.initialMixer = null;
+        this.isRecording = false;
+        this.startTime = 0;
+        this.stopTime = 0;
+        this.seed = 1;
+        this.unsubscribers = [];
+    }
+
+    start() {
+        if (this.isRecording || !this.engine.audioContext) return false;
+
+        this.events = [];
+        this.volumeChanges = [];
+        this.stops = [];
+        this.reverbChanges = [];
+        this.mixerChanges = [];
+        this.eventIndexById = new Map();
+        this.startTime = this.engine.audioContext.currentTime;
+        this.stopTime = this.startTime;
+        this.initialVolume = this.engine.masterVolume;
+        this.initialReverb = {
+            space: this.engine.reverb.space,
+            name: this.engine.reverb.customName,
+            impulseData: this.engine.reverb.space === 'custom' ? this.engine.impulseData : null
+        };
+        this.initialMixer = this.engine.getMixerState();
+        this.seed = Math.floor(Math.random() * 0xffffffff);
+
+        this.unsubscribers = [
+            this.engine.on('play', (event) => this.handlePlay(event)),
+            this.engine.on('volume', (event) => this.handleVolume(event)),
+            this.engine.on('stop', (event) => this.handleStop(event)),
+            this.engine.on('reverb', (event) => this.handleReverb(event)),
+            this.engine.on('mixer', (event) => this.handleMixer(event))
+        ];
+
+        this.isRecording = true;
+        return true;
+    }
+
+    stop() {
+        if (!this.isRecording) return false;
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.stopTime = this.engine.audioContext.currentTime;
+        this.isRecording = false;
+        return true;
+    }
+
+    handlePlay(event) {
+        // Drop the live scheduling time - the offline render supplies its own
+        const { when, ...options } = event.options || {};
+
+        this.eventIndexById.set(event.id, this.events.length);
+        this.events.push({
+            time: Math.max(0, event.time - this.startTime),
+            method: event.method,
+            frequency: event.frequency,
+            style: event.style,
+            duration: event.duration,
+            options,
+            synthesis: event.synthesis || 'oscillator'
+        });
+    }
+
+    handleVolume(event) {
+        this.volumeChanges.push({
+            time: Math.max(0, event.time - this.startTime),
+            value: event.value,
+            smoothing: event.smoothing
+        });
+    }
+
+    // Hand-mutes and releases, so the render is cut short the same way
+    handleStop(event) {
+        const eventIndex = this.eventIndexById.get(event.id);
+        if (eventIndex === undefined) return;
+
+        this.stops.push({
+            time: Math.max(0, event.time - this.startTime),
+            eventIndex,
+            release: event.release
+        });
+    }
+
+    handleReverb(event) {
+        this.reverbChanges.push({
+            time: Math.max(0, event.time - this.startTime),
+            space: event.space,
+            name: event.name,
+            impulseData: event.impulseData || null,
+            fade: event.fade
+        });
+    }
+
+    handleMixer(event) {
+        this.mixerChanges.push({
+            time: Math.max(0, event.time - this.startTime),
+            state: event.state,
+            smoothing: event.smoothing
+        });
+    }
+
+    hasRecording() {
+        return this.events.length > 0;
+    }
+
+    // Length of the rendered file: the later of the stop press or the last voice ending
+    getDuration() {
+        const voiceEnds = this.events.map(event => event.time + event.duration);
+        this.stops.forEach(stop => {
+            voiceEnds[stop.eventIndex] = Math.min(voiceEnds[stop.eventIndex], stop.time + stop.release);
+        });
+
+        const lastVoiceEnd = voiceEnds.reduce((end, voiceEnd) => Math.max(end, voiceEnd), 0);
+        const sessionLength = Math.max(0, this.stopTime - this.startTime);
+        return Math.max(lastVoiceEnd, sessionLength) + RECORDER_TAIL_SECONDS;
+    }
+
+    async render(sampleRate = 44100) {
+        if (!this.hasRecording()) {
+            throw new Error('Nothing has been recorded yet');
+        }
+
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const length = Math.ceil(this.getDuration() * sampleRate);
+        const context = new OfflineContext(2, length, sampleRate);
+
+        // A fresh engine with the same seed gives the same detuning on every render
+        const engine = new AudioEngine();
+        engine.random = createSeededRandom(this.seed);
+        engine.maxPolyphony = Infinity; // Every voice is scheduled up front
+        const success = await engine.initialize(context);
+        if (!success) {
+            throw new Error('Offline audio engine failed to initialize');
+        }
+
+        // Decoded sample packs play in any context; copies keep the live round-robin where it is
+        engine.setSampleZones([...this.engine.sampleZones.values()].flat().map(zone => ({ ...zone })));
+
+        await this.applyReverb(engine, this.initialReverb, 0, 0);
+        for (const change of this.reverbChanges) {
+            await this.applyReverb(engine, change, change.fade, change.time);
+        }
+
+        engine.mixer.apply(normalizeMixerState(this.initialMixer), 0, 0);
+        this.mixerChanges.forEach(change => {
+            engine.mixer.apply(normalizeMixerState(change.state), change.time, change.smoothing);
+        });
+
+        engine.masterGain.gain.setValueAtTime(this.initialVolume, 0);
+        this.volumeChanges.forEach(change => {
+            engine.masterGain.gain.setTargetAtTime(change.value, change.time, change.smoothing ?? 0.1);
+        });
+
+        const voiceIds = this.events.map(event =>
+            engine[event.method](event.frequency, event.style, event.duration, { ...event.options, synthesis: event.synthesis, when: event.time }));
+
+        this.stops.forEach(stop => {
+            engine.stopVoice(voiceIds[stop.eventIndex], stop.release, stop.time);
+        });
+
+        return context.startRendering();
+    }
+
+    // Impulse data is copied because decoding detaches the buffer it is given
+    async applyReverb(engine, reverb, fade, time) {
+        if (reverb.space === 'custom' && reverb.impulseData) {
+            await engine.loadReverbImpulse(reverb.impulseData.slice(0), reverb.name, fade, time);
+        } else {
+            engine.setReverbSpace(reverb.space, fade, time);
+        }
+    }
+
+    async exportWav(bitDepth = 16, sampleRate = 44100) {
+        const buffer = await this.render(sampleRate);
+        return new Blob([encodeWav(buffer, bitDepth)], { type: 'audio/wav' });
+    }
+}
+
+// PCM WAV encoder for 16 or 24-bit output
+function encodeWav(buffer, bitDepth = 16) {
+    if (bitDepth !== 16 && bitDepth !== 24) {
+        throw new Error(`Unsupported bit depth: ${bitDepth}`);
+    }
+
+    const channels = buffer.numberOfChannels;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = channels * bytesPerSample;
+    const dataSize = buffer.length * blockAlign;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channelData = [];
+    for (let channel = 0; channel < channels; channel++) {
+        channelData.push(buffer.getChannelData(channel));
+    }
+
+    const maxValue = Math.pow(2, bitDepth - 1) - 1;
+    let offset = 44;
+    for (let i = 0; i < buffer.length; i++) {
+        for (let channel = 0; channel < channels; channel++) {
+            const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+            const value = Math.round(sample * maxValue);
+
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return view.buffer;
+}
+
+// Export singleton
+window.encodeWav = encodeWav;
+window.sessionRecorder = new SessionRecorder(window.audioEngine);
@@ -0,0 +1,211 @@
+/**
+ * Sound Bath Sanctuary - Session Timer
+ * Time-boxed sessions with opening and closing gongs, interval bells and a fade over the final minute
+ */
+
+const SESSION_TIMER_STORAGE_KEY = 'soundBath.sessionTimer';
+const SESSION_TIMER_INTERVAL = 250; // Scheduler wake-up in ms
+const SESSION_TIMER_LOOKAHEAD = 0.5; // Seconds of bells scheduled ahead of the clock
+const SESSION_FADE_SECONDS = 60;
+
+const SESSION_TIMER_PRESETS = [5, 10, 20, 30, 45, 60, 90]; // Minutes
+
+const DEFAULT_SESSION_TIMER_SETTINGS = {
+    minutes: 30,
+    bellInterval: 5,               // Minutes between bells, 0 for none
+    bellPath: 'tibetanBowls[2]',
+    gongPath: 'gongs.chauGong',
+    gongs: true,
+    sleep: false                   // Stop ambient and every voice when time is up
+};
+
+class SessionTimer {
+    constructor(engine) {
+        this.engine = engine;
+        this.settings = this.load();
+        this.isRunning = false;
+        this.startTime = 0;
+        this.endTime = 0;
+        this.fadeStart = 0;
+        this.nextBell = Infinity;
+        this.endGongDone = false;
+        this.baseVolume = null; // Master volume to fade from, and to restore afterwards
+        this.timer = null;
+        this.restoreTimer = null;
+        this.silenced = false;  // A finished session holds the master at zero until the next one starts
+
+        // UI hooks
+        this.onStateChange = null; // (isRunning)
+        this.onComplete = null;    // (sleep) - after the final fade
+        this.onSilenceChange = null; // (silenced) - the master is held at zero after a session
+    }
+
+    get context() {
+        return this.engine.audioContext;
+    }
+
+    start(settings = {}) {
+        if (!this.context) return false;
+        this.stop();
+
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+
+        const duration = Math.max(60, this.settings.minutes * 60);
+        const now = this.context.currentTime;
+        this.startTime = now;
+        this.endTime = now + duration;
+        this.fadeStart = this.endTime - Math.min(SESSION_FADE_SECONDS, duration / 4);
+        this.nextBell = this.settings.bellInterval > 0 ? now + this.settings.bellInterval * 60 : Infinity;
+        this.endGongDone = !this.settings.gongs;
+
+        // Starting again after a session picks up the volume it held back
+        if (this.restoreTimer || this.silenced) {
+            clearTimeout(this.restoreTimer);
+            this.restoreTimer = null;
+            this.setSilenced(false);
+            this.engine.setMasterVolume(this.baseVolume);
+        }
+        this.baseVolume = this.engine.masterVolume;
+
+        if (this.settings.gongs) this.strikeGong(now);
+
+        this.isRunning = true;
+        this.timer = setInterval(() => this.tick(), SESSION_TIMER_INTERVAL);
+        if (this.onStateChange) this.onStateChange(true);
+        return true;
+    }
+
+    // Cancel early, putting the master volume back if the fade had begun
+    stop() {
+        if (!this.isRunning) return;
+
+        this.clear();
+        this.engine.setMasterVolume(this.baseVolume);
+        if (this.onStateChange) this.onStateChange(false);
+    }
+
+    clear() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    tick() {
+        const now = this.context.currentTime;
+        const until = now + SESSION_TIMER_LOOKAHEAD;
+
+        // Bells stop once the fade begins - the closing gong has the last word
+        while (this.nextBell < until && this.nextBell < this.fadeStart) {
+            this.strikeBell(Math.max(now, this.nextBell));
+            this.nextBell += this.settings.bellInterval * 60;
+        }
+
+        // The closing gong sounds as the fade begins, so its bloom carries the room down to silence
+        if (!this.endGongDone && this.fadeStart < until) {
+            this.strikeGong(Math.max(now, this.fadeStart));
+            this.endGongDone = true;
+        }
+
+        if (now >= this.endTime) {
+            this.finish();
+        } else if (now > this.fadeStart) {
+            const progress = (now - this.fadeStart) / (this.endTime - this.fadeStart);
+            this.engine.setMasterVolume(this.baseVolume * (1 - progress));
+        }
+    }
+
+    finish() {
+        const sleep = this.settings.sleep;
+        this.clear();
+        this.engine.setMasterVolume(0);
+        this.engine.releaseAll(0.5);
+        if (sleep) this.engine.stopDrone(0.5);
+
+        if (this.onComplete) this.onComplete(sleep);
+        if (this.onStateChange) this.onStateChange(false);
+
+        // After sleep everything has stopped, so the volume comes back once the voices are gone.
+        // Otherwise the drone, soundscape and players carry on, and stay silent until the next session.
+        if (!sleep) {
+            this.setSilenced(true);
+            return;
+        }
+        this.restoreTimer = setTimeout(() => {
+            this.restoreTimer = null;
+            this.engine.setMasterVolume(this.baseVolume);
+        }, 5000);
+    }
+
+    strikeBell(when) {
+        const target = resolveInstrument(this.settings.bellPath) || resolveInstrument(DEFAULT_SESSION_TIMER_SETTINGS.bellPath);
+        if (!target) return;
+        this.engine[target.method](target.frequency, 'mallet', undefined, { when });
+    }
+
+    strikeGong(when) {
+        const target = resolveInstrument(this.settings.gongPath) || resolveInstrument(DEFAULT_SESSION_TIMER_SETTINGS.gongPath);
+        if (!target) return;
+        this.engine.playGong(target.frequency, 'soft', undefined, { when });
+    }
+
+    // Change bells, gongs or sleep mid-session; the length is fixed once started
+    update(settings) {
+        this.settings = { ...this.settings, ...settings };
+        this.save();
+        if (!this.isRunning) return;
+
+        const now = this.context.currentTime;
+        const interval = this.settings.bellInterval * 60;
+        this.nextBell = interval > 0
+            ? this.startTime + Math.floor((now - this.startTime) / interval + 1) * interval
+            : Infinity;
+        if (now < this.fadeStart) this.endGongDone = !this.settings.gongs;
+    }
+
+    // Follow the master slider, presets and MIDI volume while the timer runs - moving any of them
+    // after a session ends the silence
+    setBaseVolume(value) {
+        this.baseVolume = value;
+        this.setSilenced(false);
+    }
+
+    setSilenced(silenced) {
+        if (this.silenced === silenced) return;
+        this.silenced = silenced;
+        if (this.onSilenceChange) this.onSilenceChange(silenced);
+    }
+
+    getElapsed() {
+        return this.isRunning ? this.context.currentTime - this.startTime : 0;
+    }
+
+    getRemaining() {
+        return this.isRunning ? Math.max(0, this.endTime - this.context.currentTime) : 0;
+    }
+
+    isFading() {
+        return this.isRunning && this.context.currentTime > this.fadeStart;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SESSION_TIMER_STORAGE_KEY));
+            return { ...DEFAULT_SESSION_TIMER_SETTINGS, ...(stored || {}) };
+        } catch (error) {
+            return { ...DEFAULT_SESSION_TIMER_SETTINGS };
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SESSION_TIMER_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save session timer:', error);
+        }
+    }
+}
+
+// Export singleton
+window.SESSION_TIMER_PRESETS = SESSION_TIMER_PRESETS;
+window.sessionTimer = new SessionTimer(window.audioEngine);
@@ -0,0 +1,534 @@
+/**
+ * Sound Bath Sanctuary - Soundscapes
+ * Procedurally synthesized ambient beds that layer under the instruments, each at its own level
+ */
+
+const SOUNDSCAPE_STORAGE_KEY = 'soundBath.soundscape';
+const SOUNDSCAPE_LOOKAHEAD = 2;     // Seconds of events kept scheduled ahead of the clock
+const SOUNDSCAPE_TICK_MS = 500;
+const SOUNDSCAPE_NOISE_SECONDS = 6; // Featureless noise, so its loop point can't be heard
+
+// create names the Soundscape method that builds the bed
+const SOUNDSCAPE_BEDS = {
+    ocean: { label: 'Ocean surf', icon: '🌊', level: 0.6, create: 'createOcean' },
+    rain: { label: 'Rain', icon: '🌧️', level: 0.5, create: 'createRain' },
+    forest: { label: 'Forest birds', icon: '🌳', level: 0.5, create: 'createForest' },
+    fire: { label: 'Crackling fire', icon: '🔥', level: 0.5, create: 'createFire' },
+    wind: { label: 'Wind', icon: '🍃', level: 0.5, create: 'createWind' },
+    stream: { label: 'Stream', icon: '💧', level: 0.5, create: 'createStream' },
+    templeNight: { label: 'Temple night', icon: '🏯', level: 0.5, create: 'createTempleNight' }
+};
+
+// Pitch in Hz, sweep as the ratio each note glides through, note and gap lengths in seconds
+const FOREST_BIRD_CALLS = [
+    { base: [2500, 3500], sweep: 1.3, notes: [4, 8], length: [0.06, 0.1], gap: 0.03 },
+    { base: [1800, 2400], sweep: 0.8, notes: [2, 3], length: [0.25, 0.4], gap: 0.15 },
+    { base: [4000, 5000], sweep: 1.05, notes: [10, 16], length: [0.03, 0.03], gap: 0.015 }
+];
+
+class Soundscape {
+    constructor(engine) {
+        this.engine = engine;
+        this.beds = new Map();        // key -> { gain, sources, nextEvent, schedule }
+        this.noiseBuffers = new Map(); // 'white' | 'pink' | 'brown' -> AudioBuffer
+        this.noiseContext = null;
+        this.timer = null;
+
+        const stored = this.load();
+        this.levels = {};
+        Object.entries(SOUNDSCAPE_BEDS).forEach(([key, bed]) => {
+            this.levels[key] = typeof stored?.levels?.[key] === 'number' ? stored.levels[key] : bed.level;
+        });
+        this.lastMix = Array.isArray(stored?.mix) && stored.mix.length > 0 ? stored.mix : ['ocean'];
+
+        // Silenced with everything else, and brought back by the header toggle as usual
+        engine.on('stopAll', () => {
+            if (this.beds.size > 0) this.toggleAll();
+        });
+
+        // UI hook
+        this.onChange = null; // (activeKeys) - after levels change too
+    }
+
+    get context() {
+        return this.engine.audioContext;
+    }
+
+    range(min, max) {
+        return min + (max - min) * this.engine.random();
+    }
+
+    isPlaying(key) {
+        return this.beds.has(key);
+    }
+
+    getActive() {
+        return [...this.beds.keys()];
+    }
+
+    start(key) {
+        if (!SOUNDSCAPE_BEDS[key] || this.beds.has(key) || !this.context) return false;
+        this.engine.ensureAudioContext();
+
+        const now = this.context.currentTime;
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.setTargetAtTime(this.levels[key], now, 1);
+        gain.connect(this.engine.ambientGain);
+
+        const bed = { gain, sources: [], nextEvent: now, schedule: null };
+        this[SOUNDSCAPE_BEDS[key].create](bed);
+        this.beds.set(key, bed);
+
+        this.scheduleAhead();
+        if (!this.timer) this.timer = setInterval(() => this.scheduleAhead(), SOUNDSCAPE_TICK_MS);
+        this.changed();
+        return true;
+    }
+
+    stop(key, fadeSeconds = 2) {
+        const bed = this.beds.get(key);
+        if (!bed) return false;
+
+        const now = this.context.currentTime;
+        bed.gain.gain.cancelScheduledValues(now);
+        bed.gain.gain.setValueAtTime(bed.gain.gain.value, now);
+        bed.gain.gain.setTargetAtTime(0, now, fadeSeconds / 4);
+        bed.sources.forEach(source => {
+            try {
+                source.stop(now + fadeSeconds);
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        setTimeout(() => bed.gain.disconnect(), fadeSeconds * 1000 + SOUNDSCAPE_LOOKAHEAD * 1000);
+
+        this.beds.delete(key);
+        if (this.beds.size === 0) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.changed();
+        return true;
+    }
+
+    toggle(key) {
+        if (this.isPlaying(key)) {
+            this.stop(key);
+            return false;
+        }
+        return this.start(key);
+    }
+
+    // The header toggle: silence every bed, or bring back the last mix
+    toggleAll() {
+        if (this.beds.size > 0) {
+            const mix = this.getActive();
+            mix.forEach(key => this.stop(key));
+            this.lastMix = mix;
+            this.save();
+            return false;
+        }
+        this.lastMix.forEach(key => this.start(key));
+        return this.beds.size > 0;
+    }
+
+    setLevel(key, value) {
+        if (!SOUNDSCAPE_BEDS[key]) return;
+
+        this.levels[key] = value;
+        const bed = this.beds.get(key);
+        if (bed) bed.gain.gain.setTargetAtTime(value, this.context.currentTime, 0.3);
+        this.changed();
+    }
+
+    changed() {
+        if (this.beds.size > 0) this.lastMix = this.getActive();
+        this.save();
+        if (this.onChange) this.onChange(this.getActive());
+    }
+
+    // Each bed books its next event once the clock comes within the lookahead
+    scheduleAhead() {
+        if (!this.context) return;
+
+        const now = this.context.currentTime;
+        const until = now + SOUNDSCAPE_LOOKAHEAD;
+        this.beds.forEach(bed => {
+            if (!bed.schedule) return;
+            if (bed.nextEvent < now) bed.nextEvent = now; // Timers stall in background tabs
+            while (bed.nextEvent < until) {
+                bed.nextEvent = bed.schedule(bed.nextEvent);
+            }
+        });
+    }
+
+    getNoiseBuffer(type) {
+        if (this.noiseContext !== this.context) {
+            this.noiseBuffers.clear();
+            this.noiseContext = this.context;
+        }
+        if (this.noiseBuffers.has(type)) return this.noiseBuffers.get(type);
+
+        const sampleRate = this.context.sampleRate;
+        const length = SOUNDSCAPE_NOISE_SECONDS * sampleRate;
+        const buffer = this.context.createBuffer(2, length, sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+            let brown = 0;
+
+            for (let i = 0; i < length; i++) {
+                const white = this.engine.random() * 2 - 1;
+
+                if (type === 'pink') {
+                    // Paul Kellet's pink noise filter
+                    b0 = 0.99886 * b0 + white * 0.0555179;
+                    b1 = 0.99332 * b1 + white * 0.0750759;
+                    b2 = 0.96900 * b2 + white * 0.1538520;
+                    b3 = 0.86650 * b3 + white * 0.3104856;
+                    b4 = 0.55000 * b4 + white * 0.5329522;
+                    b5 = -0.7616 * b5 - white * 0.0168980;
+                    data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+                    b6 = white * 0.115926;
+                } else if (type === 'brown') {
+                    brown = (brown + 0.02 * white) / 1.02;
+                    data[i] = brown * 3.5;
+                } else {
+                    data[i] = white * 0.5;
+                }
+            }
+        }
+
+        this.noiseBuffers.set(type, buffer);
+        return buffer;
+    }
+
+    // Looping noise bed, started at a random point so layers sharing a buffer stay uncorrelated
+    createNoise(bed, type, destination) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.getNoiseBuffer(type);
+        source.loop = true;
+        source.connect(destination);
+        source.start(this.context.currentTime, this.range(0, SOUNDSCAPE_NOISE_SECONDS));
+        bed.sources.push(source);
+        return source;
+    }
+
+    createFilter(type, frequency, q = 0.7) {
+        const filter = this.context.createBiquadFilter();
+        filter.type = type;
+        filter.frequency.value = frequency;
+        filter.Q.value = q;
+        return filter;
+    }
+
+    // A short filtered click of noise - raindrops, embers, pebbles
+    playBurst(bed, time, { frequency, q = 2, duration, level, pan = 0 }) {
+        const ctx = this.context;
+        const source = ctx.createBufferSource();
+        source.buffer = this.getNoiseBuffer('white');
+        const filter = this.createFilter('bandpass', frequency, q);
+        const gain = ctx.createGain();
+        const panner = ctx.createStereoPanner();
+        panner.pan.value = pan;
+
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(level, time + 0.002);
+        gain.gain.setTargetAtTime(0, time + 0.002, duration / 4);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(panner);
+        panner.connect(bed.gain);
+        source.start(time, this.range(0, SOUNDSCAPE_NOISE_SECONDS - 1));
+        source.stop(time + duration + 0.05);
+    }
+
+    // A sine that glides between two pitches - birdsong, bubbles, crickets
+    playChirp(bed, time, { from, to, duration, level, pan = 0 }) {
+        const ctx = this.context;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const panner = ctx.createStereoPanner();
+        osc.type = 'sine';
+        panner.pan.value = pan;
+
+        osc.frequency.setValueAtTime(from, time);
+        osc.frequency.exponentialRampToValueAtTime(to, time + duration);
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(level, time + Math.min(0.01, duration / 3));
+        gain.gain.setTargetAtTime(0, time + duration * 0.6, duration / 6);
+
+        osc.connect(gain);
+        gain.connect(panner);
+        panner.connect(bed.gain);
+        osc.start(time);
+        osc.stop(time + duration + 0.05);
+    }
+
+    // Every wave has its own length, height and brightness, so the surf never settles into a loop
+    createOcean(bed) {
+        const filter = this.createFilter('lowpass', 500, 0.5);
+        const swell = this.context.createGain();
+        swell.gain.value = 0.2;
+
+        this.createNoise(bed, 'pink', filter);
+        filter.connect(swell);
+        swell.connect(bed.gain);
+
+        bed.schedule = (time) => {
+            const period = this.range(6, 13);
+            const height = this.range(0.45, 1);
+            const rise = period * this.range(0.3, 0.45);
+
+            swell.gain.setTargetAtTime(height, time, rise / 3);
+            swell.gain.setTargetAtTime(this.range(0.12, 0.25), time + rise, (period - rise) / 3);
+            filter.frequency.setTargetAtTime(600 + 1200 * height, time, rise / 3);
+            filter.frequency.setTargetAtTime(this.range(300, 450), time + rise, (period - rise) / 3);
+            return time + period;
+        };
+    }
+
+    // Steady hiss with drops scattered across the stereo field; the downpour ebbs and swells
+    createRain(bed) {
+        const highpass = this.createFilter('highpass', 500);
+        const lowpass = this.createFilter('lowpass', 7000);
+        const hiss = this.context.createGain();
+        hiss.gain.value = 0.5;
+
+        this.createNoise(bed, 'white', highpass);
+        highpass.connect(lowpass);
+        lowpass.connect(hiss);
+        hiss.connect(bed.gain);
+
+        let intensity = 1;
+        bed.schedule = (time) => {
+            if (this.engine.random() < 0.06) {
+                intensity = this.range(0.6, 1.3);
+                hiss.gain.setTargetAtTime(0.5 * intensity, time, 2);
+            }
+
+            const drops = Math.round(this.range(3, 8) * intensity);
+            for (let i = 0; i < drops; i++) {
+                this.playBurst(bed, time + this.range(0, 0.25), {
+                    frequency: this.range(1500, 6000),
+                    q: this.range(1, 4),
+                    duration: this.range(0.015, 0.04),
+                    level: this.range(0.1, 0.5),
+                    pan: this.range(-0.9, 0.9)
+                });
+            }
+            return time + 0.25;
+        };
+    }
+
+    // Rustling leaves under birds calling from different places in the canopy
+    createForest(bed) {
+        const filter = this.createFilter('lowpass', 1200, 0.5);
+        const rustle = this.context.createGain();
+        rustle.gain.value = 0.15;
+
+        this.createNoise(bed, 'pink', filter);
+        filter.connect(rustle);
+        rustle.connect(bed.gain);
+
+        bed.schedule = (time) => {
+            rustle.gain.setTargetAtTime(this.range(0.08, 0.25), time, 2);
+
+            const call = FOREST_BIRD_CALLS[Math.floor(this.range(0, FOREST_BIRD_CALLS.length))];
+            const base = this.range(...call.base);
+            const notes = Math.round(this.range(...call.notes));
+            const pan = this.range(-0.8, 0.8);
+            const level = this.range(0.05, 0.15);
+            let start = time;
+
+            for (let i = 0; i < notes; i++) {
+                const duration = this.range(...call.length);
+                const pitch = base * this.range(0.95, 1.05);
+                this.playChirp(bed, start, { from: pitch, to: pitch * call.sweep, duration, level, pan });
+                start += duration + call.gap;
+            }
+            return start + this.range(1.5, 7);
+        };
+    }
+
+    // Low roar that flickers, with pops and crackles, now and then a burst of them
+    createFire(bed) {
+        const filter = this.createFilter('lowpass', 250);
+        const roar = this.context.createGain();
+        roar.gain.value = 0.6;
+
+        this.createNoise(bed, 'brown', filter);
+        filter.connect(roar);
+        roar.connect(bed.gain);
+
+        bed.schedule = (time) => {
+            roar.gain.setTargetAtTime(this.range(0.4, 0.8), time, 0.3);
+
+            const crackles = this.engine.random() < 0.08 ? Math.round(this.range(6, 12)) : Math.round(this.range(0, 3));
+            for (let i = 0; i < crackles; i++) {
+                const isPop = this.engine.random() < 0.15;
+                this.playBurst(bed, time + this.range(0, 0.2), {
+                    frequency: isPop ? this.range(600, 1500) : this.range(1500, 5000),
+                    q: this.range(0.7, 2),
+                    duration: isPop ? this.range(0.02, 0.05) : this.range(0.004, 0.015),
+                    level: isPop ? this.range(0.4, 0.8) : this.range(0.1, 0.4),
+                    pan: this.range(-0.4, 0.4)
+                });
+            }
+            return time + 0.2;
+        };
+    }
+
+    // Gusts sweep a resonant band through the noise, with a faint whistle riding on top
+    createWind(bed) {
+        const band = this.createFilter('bandpass', 500, 1.5);
+        const gust = this.context.createGain();
+        gust.gain.value = 0.4;
+        const whistleBand = this.createFilter('bandpass', 900, 8);
+        const whistle = this.context.createGain();
+        whistle.gain.value = 0.05;
+
+        this.createNoise(bed, 'pink', band);
+        band.connect(gust);
+        gust.connect(bed.gain);
+        this.createNoise(bed, 'pink', whistleBand);
+        whistleBand.connect(whistle);
+        whistle.connect(bed.gain);
+
+        bed.schedule = (time) => {
+            const period = this.range(3, 9);
+            const strength = this.range(0.2, 1);
+
+            band.frequency.setTargetAtTime(250 + 650 * strength, time, period / 3);
+            band.Q.setTargetAtTime(this.range(1, 4), time, period / 3);
+            gust.gain.setTargetAtTime(0.2 + 0.6 * strength, time, period / 3);
+            whistleBand.frequency.setTargetAtTime(this.range(700, 1400), time, period / 3);
+            whistle.gain.setTargetAtTime(strength > 0.7 ? this.range(0.05, 0.15) : 0.02, time, period / 3);
+            return time + period;
+        };
+    }
+
+    // Babbling water: narrow bands that jump about quickly, over a soft rush and the odd bubble
+    createStream(bed) {
+        const rushFilter = this.createFilter('lowpass', 900, 0.5);
+        const rush = this.context.createGain();
+        rush.gain.value = 0.3;
+        this.createNoise(bed, 'pink', rushFilter);
+        rushFilter.connect(rush);
+        rush.connect(bed.gain);
+
+        const bands = [0, 1, 2].map(() => {
+            const filter = this.createFilter('bandpass', 1000, this.range(3, 6));
+            const gain = this.context.createGain();
+            gain.gain.value = 0.4;
+            this.createNoise(bed, 'white', filter);
+            filter.connect(gain);
+            gain.connect(bed.gain);
+            return filter;
+        });
+
+        bed.schedule = (time) => {
+            bands.forEach(filter => {
+                filter.frequency.setTargetAtTime(this.range(400, 2500), time + this.range(0, 0.1), 0.03);
+            });
+
+            if (this.engine.random() < 0.3) {
+                const pitch = this.range(600, 1500);
+                this.playChirp(bed, time + this.range(0, 0.1), {
+                    from: pitch,
+                    to: pitch * this.range(1.5, 2.5),
+                    duration: this.range(0.03, 0.07),
+                    level: this.range(0.05, 0.15),
+                    pan: this.range(-0.6, 0.6)
+                });
+            }
+            return time + 0.1;
+        };
+    }
+
+    // Still night air, crickets either side, and a far-off temple bell now and then
+    createTempleNight(bed) {
+        const airFilter = this.createFilter('lowpass', 400, 0.5);
+        const air = this.context.createGain();
+        air.gain.value = 0.25;
+        this.createNoise(bed, 'brown', airFilter);
+        airFilter.connect(air);
+        air.connect(bed.gain);
+
+        const now = this.context.currentTime;
+        const crickets = [-0.6, 0.5].map(pan => ({ pan, pitch: this.range(4200, 4800), next: now + this.range(0, 1) }));
+        let nextBell = now + this.range(5, 15);
+
+        bed.schedule = (time) => {
+            const end = time + 0.5;
+
+            crickets.forEach(cricket => {
+                while (cricket.next < end) {
+                    const pulses = Math.round(this.range(3, 4));
+                    for (let i = 0; i < pulses; i++) {
+                        this.playChirp(bed, cricket.next + i * 0.045, {
+                            from: cricket.pitch,
+                            to: cricket.pitch * 0.98,
+                            duration: 0.025,
+                            level: 0.04,
+                            pan: cricket.pan
+                        });
+                    }
+                    cricket.next += this.range(0.6, 1.2);
+                }
+            });
+
+            if (nextBell < end) {
+                this.playTempleBell(bed, nextBell);
+                nextBell += this.range(20, 45);
+            }
+            return end;
+        };
+    }
+
+    playTempleBell(bed, time) {
+        const ctx = this.context;
+        const base = this.range(200, 400);
+        const decay = this.range(6, 10);
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0, time);
+        gain.gain.linearRampToValueAtTime(0.08, time + 0.01);
+        gain.gain.setTargetAtTime(0, time + 0.01, decay / 5);
+        gain.connect(bed.gain);
+
+        [[1, 1], [2.76, 0.4], [5.4, 0.15]].forEach(([ratio, level]) => {
+            const osc = ctx.createOscillator();
+            const partial = ctx.createGain();
+            osc.type = 'sine';
+            osc.frequency.value = base * ratio;
+            partial.gain.value = level;
+            osc.connect(partial);
+            partial.connect(gain);
+            osc.start(time);
+            osc.stop(time + decay);
+        });
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(SOUNDSCAPE_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(SOUNDSCAPE_STORAGE_KEY, JSON.stringify({ levels: this.levels, mix: this.lastMix }));
+        } catch (error) {
+            console.warn('Could not save soundscape:', error);
+        }
+    }
+}
+
+// Export singleton
+window.SOUNDSCAPE_BEDS = SOUNDSCAPE_BEDS;
+window.soundscape = new Soundscape(window.audioEngine);
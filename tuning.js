@@ -0,0 +1,209 @@
+/**
+ * Sound Bath Sanctuary - Tuning Systems
+ * Recomputes instrument frequencies from a reference pitch and temperament
+ */
+
+const TUNING_STORAGE_KEY = 'soundBath.tuning';
+
+const NOTE_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+// Frequency ratio above the tonic for each semitone of the octave
+const TEMPERAMENTS = {
+    equal: {
+        label: 'Equal temperament',
+        ratios: Array.from({ length: 12 }, (_, i) => Math.pow(2, i / 12))
+    },
+    just: {
+        label: 'Just intonation',
+        ratios: [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8]
+    },
+    pythagorean: {
+        label: 'Pythagorean',
+        ratios: [1, 256 / 243, 9 / 8, 32 / 27, 81 / 64, 4 / 3, 729 / 512, 3 / 2, 128 / 81, 27 / 16, 16 / 9, 243 / 128]
+    }
+};
+
+// Solfeggio gives the crystal bowls the sacred tones (root to crown) and tunes everything else to C = 528
+const TUNING_REFERENCES = {
+    factory: { label: 'Factory tuning' },
+    scientific: { label: 'Scientific (C = 256 Hz)', note: 'C4', frequency: 256 },
+    a432: { label: 'A = 432 Hz', note: 'A4', frequency: 432 },
+    a440: { label: 'A = 440 Hz', note: 'A4', frequency: 440 },
+    solfeggio: { label: 'Solfeggio', note: 'C5', frequency: 528, crystalBowls: [396, 417, 528, 639, 741, 852, 963] }
+};
+
+// 'C#4' -> 61. Crystal bowl notes carry no octave, so they fall back to defaultOctave.
+function parseNoteName(name, defaultOctave = 4) {
+    const match = /^([A-G])([#b]?)(-?\d+)?$/.exec(String(name).trim());
+    if (!match) return null;
+
+    const [, letter, accidental, octaveText] = match;
+    const octave = octaveText === undefined ? defaultOctave : Number(octaveText);
+    const offset = accidental === '#' ? 1 : accidental === 'b' ? -1 : 0;
+    return (octave + 1) * 12 + NOTE_PITCH_CLASSES[letter] + offset;
+}
+
+function roundFrequency(frequency) {
+    return Math.round(frequency * 100) / 100;
+}
+
+class TuningSystem {
+    constructor() {
+        this.reference = 'factory';
+        this.temperament = 'equal';
+        this.concertPitch = 440; // The A4 that unpitched instruments currently follow
+        this.factoryFrequencies = new WeakMap(); // INSTRUMENTS entry -> its frequency at factory pitch
+    }
+
+    // Pitched sets and their tonic; just and Pythagorean intervals are measured from the tonic
+    getPitchedSets() {
+        const sets = [
+            { key: 'crystalBowls', notes: INSTRUMENTS.crystalBowls || [] },
+            { key: 'panFlute', notes: INSTRUMENTS.panFlute || [] }
+        ];
+
+        Object.entries(INSTRUMENTS).forEach(([key, config]) => {
+            if (config && config.ding && Array.isArray(config.notes)) {
+                sets.push({ key, notes: [config.ding, ...config.notes] });
+            }
+        });
+
+        return sets
+            .map(set => ({ ...set, tonic: set.notes.length > 0 ? parseNoteName(set.notes[0].note) : null }))
+            .filter(set => set.tonic !== null);
+    }
+
+    // Bowls, gongs and didgeridoo without note names follow the reference pitch proportionally
+    getUnpitchedEntries() {
+        return [
+            ...(INSTRUMENTS.tibetanBowls || []),
+            ...Object.values(INSTRUMENTS.gongs || {}),
+            ...(INSTRUMENTS.didgeridoo ? [INSTRUMENTS.didgeridoo] : [])
+        ];
+    }
+
+    getFrequency(midiNote, tonic, referenceKey = this.reference, temperamentKey = this.temperament) {
+        const reference = TUNING_REFERENCES[referenceKey];
+        const ratios = TEMPERAMENTS[temperamentKey].ratios;
+        const referenceNote = parseNoteName(reference.note);
+
+        // Tonic in the octave at or below the reference, pitched so the reference note lands exactly
+        const tonicClass = ((tonic % 12) + 12) % 12;
+        const tonicNote = referenceNote - (((referenceNote - tonicClass) % 12) + 12) % 12;
+        const tonicFrequency = reference.frequency / ratios[referenceNote - tonicNote];
+
+        const distance = midiNote - tonicNote;
+        const octaves = Math.floor(distance / 12);
+        return tonicFrequency * ratios[distance - octaves * 12] * Math.pow(2, octaves);
+    }
+
+    // Instruments are written into INSTRUMENTS at factory pitch - by the built-ins, builder slots and
+    // journeys alike - and every retune works from that, so switching back and forth never drifts
+    getFactoryFrequency(entry) {
+        if (!this.factoryFrequencies.has(entry)) this.factoryFrequencies.set(entry, entry.frequency);
+        return this.factoryFrequencies.get(entry);
+    }
+
+    apply(referenceKey, temperamentKey = this.temperament) {
+        const reference = TUNING_REFERENCES[referenceKey];
+        if (!reference || !TEMPERAMENTS[temperamentKey]) return false;
+
+        const isFactory = !reference.note;
+        const concertPitch = isFactory ? 440 : this.getFrequency(69, 9, referenceKey, temperamentKey);
+
+        this.getPitchedSets().forEach(set => {
+            set.notes.forEach((entry, i) => {
+                const factory = this.getFactoryFrequency(entry);
+                const midiNote = parseNoteName(entry.note);
+                if (midiNote === null) return;
+
+                if (isFactory) {
+                    entry.frequency = factory;
+                } else if (set.key === 'crystalBowls' && reference.crystalBowls?.[i]) {
+                    entry.frequency = reference.crystalBowls[i];
+                } else {
+                    entry.frequency = roundFrequency(this.getFrequency(midiNote, set.tonic, referenceKey, temperamentKey));
+                }
+            });
+        });
+
+        this.getUnpitchedEntries().forEach(entry => {
+            entry.frequency = roundFrequency(this.getFactoryFrequency(entry) * concertPitch / 440);
+        });
+
+        const changed = referenceKey !== this.reference || temperamentKey !== this.temperament;
+        this.reference = referenceKey;
+        this.temperament = temperamentKey;
+        this.concertPitch = concertPitch;
+        if (changed) this.save();
+        return true;
+    }
+
+    // Bring instruments just written at factory pitch into the current tuning
+    retune() {
+        return this.apply(this.reference, this.temperament);
+    }
+
+    // A builder definition, entered under the current tuning, as the factory-pitch values it is kept at.
+    // Frequencies set by hand keep their distance from the note.
+    toFactory(kind, definition) {
+        return this.convertDefinition(kind, definition, (tuned, factory) => factory / tuned);
+    }
+
+    // ...and back, for editing under the current tuning
+    fromFactory(kind, definition) {
+        return this.convertDefinition(kind, definition, (tuned, factory) => tuned / factory);
+    }
+
+    convertDefinition(kind, definition, getRatio) {
+        const copy = JSON.parse(JSON.stringify(definition));
+        if (this.reference === 'factory' || !copy) return copy;
+
+        if (kind === 'tibetanBowls' || kind === 'gong') {
+            (kind === 'gong' ? [copy] : copy).forEach(entry => {
+                if (typeof entry?.frequency === 'number') entry.frequency = roundFrequency(entry.frequency * getRatio(this.concertPitch, 440));
+            });
+            return copy;
+        }
+
+        const reference = TUNING_REFERENCES[this.reference];
+        const notes = kind === 'handpan' ? [copy.ding, ...(copy.notes || [])] : copy;
+        const tonic = notes.length > 0 ? parseNoteName(notes[0]?.note) : null;
+        if (tonic === null) return copy; // apply() leaves such a set alone too
+
+        notes.forEach((entry, i) => {
+            const midiNote = parseNoteName(entry?.note);
+            if (midiNote === null || typeof entry.frequency !== 'number') return;
+            const tuned = kind === 'crystalBowls' && reference.crystalBowls?.[i]
+                ? reference.crystalBowls[i]
+                : this.getFrequency(midiNote, tonic);
+            entry.frequency = roundFrequency(entry.frequency * getRatio(tuned, 440 * Math.pow(2, (midiNote - 69) / 12)));
+        });
+        return copy;
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify({
+                reference: this.reference,
+                temperament: this.temperament
+            }));
+        } catch (error) {
+            console.warn('Could not save tuning:', error);
+        }
+    }
+}
+
+// Export singleton
+window.TEMPERAMENTS = TEMPERAMENTS;
+window.TUNING_REFERENCES = TUNING_REFERENCES;
+window.parseNoteName = parseNoteName;
+window.tuningSystem = new TuningSystem();